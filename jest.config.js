@@ -1,12 +1,5 @@
 export default {
-  preset: 'default',
   testEnvironment: 'node',
-  extensionsToTreatAsEsm: ['.js'],
-  globals: {
-    'ts-jest': {
-      useESM: true
-    }
-  },
   transform: {},
   testMatch: ['**/src/tests/**/*.test.js'],
   collectCoverageFrom: [
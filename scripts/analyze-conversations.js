@@ -9,16 +9,25 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import ConversationVisualizer from '../src/utils/conversationVisualizer.js';
+import { listConversationLogs, loadConversationLog } from '../src/utils/logReader.js';
+import Encryptor from '../src/utils/encryption.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Parse command line arguments
-const args = process.argv.slice(2);
+// Parse command line arguments: [logDir] [outputDir] [sessionId] [--key-file <file>]
+const argv = process.argv.slice(2);
+const keyFileIndex = argv.indexOf('--key-file');
+const keyFile = keyFileIndex === -1 ? undefined : argv[keyFileIndex + 1];
+const args = argv.filter((arg, index) => keyFileIndex === -1 || (index !== keyFileIndex && index !== keyFileIndex + 1));
 const logDir = args[0] || 'logs';
 const outputDir = args[1] || 'analysis';
 const sessionId = args[2] || null;
 
+// Decrypts encrypted logs and encrypts the reports made from them; keys come
+// from --key-file, ENCRYPTION_KEY_FILE or ENCRYPTION_KEYS
+const encryptor = new Encryptor({ keyFile });
+
 /**
  * Main analysis function
  */
@@ -33,9 +42,8 @@ async function main() {
       process.exit(1);
     }
     
-    // Get log files
-    const logFiles = fs.readdirSync(logDir)
-      .filter(file => file.startsWith('conversation_') && file.endsWith('.json'));
+    // Get conversation logs (JSONL segments or legacy JSON files)
+    const logFiles = listConversationLogs(logDir);
     
     if (logFiles.length === 0) {
       console.log('No conversation log files found.');
@@ -43,11 +51,12 @@ async function main() {
       process.exit(1);
     }
     
-    console.log(`Found ${logFiles.length} conversation log files`);
+    console.log(`Found ${logFiles.length} conversation logs`);
     
     // Initialize visualizer
     const visualizer = new ConversationVisualizer({
       outputDir,
+      encryptor,
       enableHTML: true,
       enableJSON: true,
       enableCSV: true
@@ -55,19 +64,16 @@ async function main() {
     
     // Process each log file
     for (const logFile of logFiles) {
-      if (sessionId && !logFile.includes(sessionId)) {
+      if (sessionId && !logFile.sessionId.includes(sessionId)) {
         continue;
       }
       
-      console.log(`\nProcessing: ${logFile}`);
+      console.log(`\nProcessing: ${logFile.files.map(file => path.basename(file)).join(', ')}`);
       
       try {
         // Load conversation data
-        const logPath = path.join(logDir, logFile);
-        const conversationData = JSON.parse(fs.readFileSync(logPath, 'utf8'));
-        
-        // Extract session ID from filename
-        const fileSessionId = logFile.replace('conversation_', '').replace('.json', '');
+        const conversationData = loadConversationLog(logFile, encryptor);
+        const fileSessionId = logFile.sessionId;
         
         // Generate analysis report
         await visualizer.saveAnalysisReport(conversationData, fileSessionId);
@@ -88,7 +94,7 @@ async function main() {
         console.log(`  Error Rate: ${summary.errorRate.toFixed(1)}%`);
         
       } catch (error) {
-        console.error(`  Error processing ${logFile}:`, error.message);
+        console.error(`  Error processing ${logFile.sessionId}:`, error.message);
       }
     }
     
@@ -124,11 +130,10 @@ async function generateAggregateReport(logFiles, logDir, outputDir) {
   // Process each session
   for (const logFile of logFiles) {
     try {
-      const logPath = path.join(logDir, logFile);
-      const conversationData = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+      const conversationData = loadConversationLog(logFile, encryptor);
       
       const sessionData = {
-        sessionId: logFile.replace('conversation_', '').replace('.json', ''),
+        sessionId: logFile.sessionId,
         duration: conversationData.metrics?.duration || 0,
         totalSteps: conversationData.metrics?.totalSteps || 0,
         errors: conversationData.metrics?.errors?.length || 0,
@@ -146,7 +151,7 @@ async function generateAggregateReport(logFiles, logDir, outputDir) {
       aggregateData.successfulValidations += sessionData.successfulValidations;
       
     } catch (error) {
-      console.error(`Error processing ${logFile} for aggregate:`, error.message);
+      console.error(`Error processing ${logFile.sessionId} for aggregate:`, error.message);
     }
   }
   
@@ -173,7 +178,7 @@ async function generateAggregateReport(logFiles, logDir, outputDir) {
   
   // Save aggregate report
   const aggregateFile = path.join(outputDir, 'aggregate_analysis.json');
-  fs.writeFileSync(aggregateFile, JSON.stringify(aggregateReport, null, 2));
+  fs.writeFileSync(aggregateFile, encryptor.encryptDocument(JSON.stringify(aggregateReport, null, 2)));
   
   console.log(`Aggregate report saved: ${aggregateFile}`);
   console.log(`Total Sessions: ${aggregateData.totalSessions}`);
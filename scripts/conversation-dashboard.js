@@ -9,6 +9,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { format } from 'date-fns';
+import { listConversationLogs, loadConversationLog } from '../src/utils/logReader.js';
+import Encryptor from '../src/utils/encryption.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +23,11 @@ const config = {
   maxSessions: 50
 };
 
+// Decrypts encrypted logs and encrypts the dashboard made from them; keys come
+// from --key-file, ENCRYPTION_KEY_FILE or ENCRYPTION_KEYS
+const keyFileIndex = process.argv.indexOf('--key-file');
+const encryptor = new Encryptor({ keyFile: keyFileIndex === -1 ? undefined : process.argv[keyFileIndex + 1] });
+
 /**
  * Main dashboard function
  */
@@ -43,7 +50,7 @@ async function main() {
     // Set up file watching for real-time updates
     if (fs.existsSync(config.logDir)) {
       fs.watch(config.logDir, { recursive: true }, async (eventType, filename) => {
-        if (filename && filename.endsWith('.json')) {
+        if (filename && /\.jsonl?$/.test(filename)) {
           console.log(`\n[${format(new Date(), 'HH:mm:ss')}] Log file updated: ${filename}`);
           await generateDashboard();
         }
@@ -78,12 +85,12 @@ async function generateDashboard() {
     // Generate HTML dashboard
     const html = generateHTMLDashboard(conversationData);
     const htmlFile = path.join(config.outputDir, 'index.html');
-    fs.writeFileSync(htmlFile, html);
+    fs.writeFileSync(htmlFile, encryptor.encryptDocument(html));
     
     // Generate JSON data for AJAX updates
     const jsonData = generateJSONData(conversationData);
     const jsonFile = path.join(config.outputDir, 'data.json');
-    fs.writeFileSync(jsonFile, JSON.stringify(jsonData, null, 2));
+    fs.writeFileSync(jsonFile, encryptor.encryptDocument(JSON.stringify(jsonData, null, 2)));
     
   } catch (error) {
     console.error('Error generating dashboard:', error);
@@ -96,29 +103,15 @@ async function generateDashboard() {
 async function loadAllConversations() {
   const conversations = [];
   
-  if (!fs.existsSync(config.logDir)) {
-    return conversations;
-  }
-  
-  const logFiles = fs.readdirSync(config.logDir)
-    .filter(file => file.startsWith('conversation_') && file.endsWith('.json'))
-    .sort((a, b) => {
-      const statA = fs.statSync(path.join(config.logDir, a));
-      const statB = fs.statSync(path.join(config.logDir, b));
-      return statB.mtime - statA.mtime;
-    })
+  // Newest first, JSONL segments or legacy JSON files
+  const logFiles = listConversationLogs(config.logDir)
     .slice(0, config.maxSessions);
   
   for (const logFile of logFiles) {
     try {
-      const logPath = path.join(config.logDir, logFile);
-      const data = JSON.parse(fs.readFileSync(logPath, 'utf8'));
-      conversations.push({
-        sessionId: logFile.replace('conversation_', '').replace('.json', ''),
-        ...data
-      });
+      conversations.push(loadConversationLog(logFile, encryptor));
     } catch (error) {
-      console.error(`Error loading ${logFile}:`, error.message);
+      console.error(`Error loading ${logFile.sessionId}:`, error.message);
     }
   }
   
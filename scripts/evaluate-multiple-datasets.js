@@ -48,8 +48,7 @@ async function evaluateDataset(filePath) {
           console.log(`   Step ${step}: ${agent.conversationState.currentNodeId}`);
           console.log(`   User: ${userResponse}`);
           
-          await agent.processUserInput(userResponse);
-          currentPrompt = agent.generatePrompt();
+          currentPrompt = await agent.processUserInput(userResponse);
           
           // Check for completion or failure
           if (agent.conversationState.currentNodeId === 'COMPLETION') {
@@ -142,6 +141,12 @@ function simulateUserResponse(scenario, currentNodeId) {
       }
       return applicantData.date_of_birth || '1985-03-15';
       
+    case 'IDENTITY_RETRY_SSN':
+      if (scenario.scenario_name === 'partial_identity_failure_then_success') {
+        return applicantData.second_attempt?.ssn_last_four || applicantData.ssn_last_four;
+      }
+      return applicantData.ssn_last_four || '7234';
+      
     case 'CONTACT_INFO_ADDRESS':
       const address = applicantData.mailing_address || applicantData.complete_address;
       if (scenario.scenario_name === 'address_with_unit_clarification') {
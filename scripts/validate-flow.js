@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import VerificationAgent from '../src/agent/VerificationAgent.js';
+import { flows } from '../src/agent/conversationFlow.js';
+import { loadFlowFromFile, FlowDefinitionError } from '../src/agent/flowLoader.js';
+import { validateFlowGraph } from '../src/agent/flowValidator.js';
+
+/**
+ * Flow Validation Script
+ * Checks conversation flow definitions for dangling transitions, missing
+ * handlers, unreachable terminal nodes and dead ends
+ */
+
+/**
+ * Loads the flows named on the command line, or every shipped flow
+ * @param {string[]} files - Flow definition files
+ * @returns {Array<{source: string, flow: (object|null), error: (Error|null)}>} - Loaded flows
+ */
+function loadFlows(files) {
+  if (files.length === 0) {
+    return Object.values(flows).map(flow => ({ source: flow.id, flow, error: null }));
+  }
+
+  return files.map(file => {
+    try {
+      return { source: file, flow: loadFlowFromFile(file), error: null };
+    } catch (error) {
+      return { source: file, flow: null, error };
+    }
+  });
+}
+
+async function main() {
+  console.log('Validating conversation flows...\n');
+
+  const files = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const strict = process.argv.includes('--strict');
+  let failed = 0;
+
+  for (const { source, flow, error } of loadFlows(files)) {
+    if (error) {
+      failed++;
+      console.log(`FAIL ${source}`);
+      const messages = error instanceof FlowDefinitionError ? error.errors : [error.message];
+      messages.forEach(message => console.log(`   error: ${message}`));
+      continue;
+    }
+
+    const result = validateFlowGraph(flow, {
+      handlers: VerificationAgent.prototype,
+      handlerEvents: VerificationAgent.handlerEvents
+    });
+    const passed = result.valid && !(strict && result.warnings.length > 0);
+    if (!passed) failed++;
+
+    console.log(`${passed ? 'PASS' : 'FAIL'} ${source} (${Object.keys(flow.nodes).length} nodes)`);
+    result.errors.forEach(message => console.log(`   error: ${message}`));
+    result.warnings.forEach(message => console.log(`   warning: ${message}`));
+  }
+
+  if (failed > 0) {
+    console.log(`\n${failed} flow(s) failed validation`);
+    process.exit(1);
+  }
+
+  console.log('\nAll flows are valid');
+}
+
+// Help function
+function showHelp() {
+  console.log(`
+Conversation Flow Validator
+
+Usage:
+  node scripts/validate-flow.js [flow.json ...] [options]
+
+Arguments:
+  flow.json   Flow definition files to validate (default: all flows in src/agent/flows)
+
+Options:
+  --strict    Treat warnings (unreachable nodes, unused transitions) as failures
+
+Examples:
+  node scripts/validate-flow.js
+  node scripts/validate-flow.js src/agent/flows/refinance_verification.json --strict
+`);
+}
+
+// Check for help flag
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  showHelp();
+  process.exit(0);
+}
+
+// Run the validator
+main().catch(error => {
+  console.error('Error validating flows:', error);
+  process.exit(1);
+});
@@ -89,6 +89,14 @@ else
     print_warning ".env file already exists. Skipping creation."
 fi
 
+# The file audit trail won't start without its signing key
+AUDIT_KEY_FILE=$(grep -E '^AUDIT_KEY_FILE=' .env | cut -d'=' -f2-)
+if [ -n "$AUDIT_KEY_FILE" ] && [ ! -f "$AUDIT_KEY_FILE" ]; then
+    mkdir -p "$(dirname "$AUDIT_KEY_FILE")"
+    (umask 077 && node -p "require('crypto').randomBytes(32).toString('hex')" > "$AUDIT_KEY_FILE")
+    print_status "Created audit trail signing key in $AUDIT_KEY_FILE - OK"
+fi
+
 # Step 4: Check OpenAI API key
 print_step "Checking OpenAI API key configuration..."
 
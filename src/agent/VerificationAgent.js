@@ -1,32 +1,178 @@
-import { nodes } from './conversationFlow.js';
-import { extractEntities, getConfirmation } from '../services/llmService.js';
+import { defaultFlow, getFlow } from './conversationFlow.js';
+import { guards } from './guards.js';
+import { assertValidFlowGraph } from './flowValidator.js';
+import { detectCommand } from './commands.js';
+import { detectEscalation } from './escalation.js';
+import { getDefaultLLMService } from '../services/llmService.js';
+import { getDefaultLockoutRegistry, resolveApplicantId } from '../services/lockoutRegistry.js';
+import { getDefaultAuditTrail } from '../services/auditTrail.js';
 import { validateDob, validateSsnLast4, validateEmail, validateIncome, validateTenure, validateAddress } from '../utils/validators.js';
-import { formatSpokenDate, formatSpokenDigits, formatSpokenEmail, formatSpokenCurrency, formatSpokenAddress } from '../utils/formatters.js';
+import { formatSpokenDate, formatSpokenDigits, formatSpokenEmail, formatSpokenCurrency, formatSpokenAddress, formatSlowSpeech } from '../utils/formatters.js';
 import ConversationLogger from '../utils/conversationLogger.js';
+import { compareAddresses, extractUnit, normalizeUnit, parseAddressPart } from '../utils/addressMatcher.js';
+import { parseIncome, describeIncome } from '../utils/incomeParser.js';
+import { parseDuration } from '../utils/durationParser.js';
+import { normalizeTranscript } from '../utils/speechNormalizer.js';
+import { scrubText } from '../utils/redactor.js';
+
+// Bump when the snapshot shape changes so stale snapshots are rejected
+export const SNAPSHOT_VERSION = 1;
+
+// Flows already validated against the handlers, so construction stays cheap
+const validatedFlows = new WeakSet();
+
+// Details the caller can correct at the final read-back, keyed by field
+const CORRECTION_FIELDS = {
+  address: { label: 'mailing address', pattern: /\b((?<!e-?mail\s)address|street|city|state|zip|postal|apartment|apt|unit|suite)\b/ },
+  email: { label: 'email address', pattern: /\be-?mail\b/ },
+  income: { label: 'monthly income', pattern: /\b(income|salary|pay|paid|earn|earnings|make|wages?)\b/ },
+  tenure: { label: 'job tenure', pattern: /\b(tenure|employer|employment|job|years|months|been (there|working|with))\b/ }
+};
+
+// Parts of the address a correction can name on their own; once one is asked
+// for, the answer can be just its value ("80203")
+const ADDRESS_PARTS = {
+  zip_code: { label: 'ZIP code', pattern: /\b(zip|postal)\b/ },
+  state: { label: 'state', pattern: /\bstate\b/ },
+  unit: { label: 'apartment or unit number', pattern: /\b(apartment|apt|unit|suite)\b/ }
+};
+
+// What a failed identity check may tell the caller: opaque never says which
+// detail was wrong, specific names it and re-asks only that one
+const IDENTITY_DISCLOSURE_POLICIES = ['opaque', 'specific'];
+
+// How each identity factor is named when the specific policy discloses a mismatch
+const IDENTITY_FACTOR_LABELS = {
+  dob: 'date of birth',
+  ssn: 'last four digits of your Social Security Number'
+};
+
+// Node that hands the call to a person; flows route noProgress here
+const ESCALATION_NODE = 'ESCALATION';
+
+// Caller replies kept in the handoff packet's transcript summary
+const HANDOFF_RECENT_EXCHANGES = 5;
+
+// Verified identity details are never changed after the identity check
+const IDENTITY_FIELD_PATTERN = /\b(birth|birthday|dob|born|social|ssn)\b/;
 
 class VerificationAgent {
+  // Transition events each handler can emit; flow nodes must define a target for each.
+  // Handlers that can ask again emit noProgress through stay() once the node's budget runs out.
+  static handlerEvents = {
+    handleGreetingConfirmation: ['next', 'failure', 'unavailable', 'thirdParty', 'locked'],
+    handleCallbackScheduling: ['next'],
+    handleDobCollection: ['next', 'noProgress'],
+    handleSsnCollection: ['next', 'noProgress'],
+    handleIdentityConfirmation: ['success', 'failure', 'exhausted', 'reject', 'locked', 'noProgress'],
+    handleAddressCollection: ['next', 'mismatch', 'noProgress'],
+    handleAddressChangeConfirmation: ['next', 'reject', 'noProgress'],
+    handleUnitCollection: ['next', 'unitRequested', 'noProgress'],
+    handleUnitNumberCollection: ['next', 'noProgress'],
+    handleEmailCollection: ['next', 'noProgress'],
+    handleIncomeCollection: ['next', 'discrepancy', 'convert', 'noProgress'],
+    handleIncomeConversionConfirmation: ['next', 'discrepancy', 'reject', 'noProgress'],
+    handleIncomeDiscrepancy: ['next'],
+    handleTenureCollection: ['next', 'discrepancy', 'noProgress'],
+    handleTenureDiscrepancy: ['next'],
+    handleFinalConfirmation: ['next', 'correct', 'noProgress'],
+    handleCorrectionCollection: ['next', 'noProgress'],
+    terminate: [],
+    complete: []
+  };
+
+  /**
+   * Validates a flow's graph against the agent's handlers
+   * @param {object} flow - Loaded flow
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}} - Validation result
+   * @throws {FlowValidationError} - If the flow has dangling references or dead ends
+   */
+  static validateFlow(flow) {
+    return assertValidFlowGraph(flow, {
+      handlers: VerificationAgent.prototype,
+      handlerEvents: VerificationAgent.handlerEvents
+    });
+  }
+
   constructor(applicantData, config = {}) {
     // Store the "ground truth" data from the database
     this.applicantData = applicantData;
     
+    // Conversation script: a loaded flow, a shipped flow ID, or the default flow
+    this.flow = config.flow || (config.flowId ? getFlow(config.flowId) : defaultFlow);
+    this.nodes = this.flow.nodes;
+    if (!validatedFlows.has(this.flow)) {
+      VerificationAgent.validateFlow(this.flow);
+      validatedFlows.add(this.flow);
+    }
+    
     // Initialize conversation state
     this.conversationState = {
-      currentNodeId: 'START',
+      currentNodeId: this.flow.startNode,
       attempts: {
         identity: 0
       },
       collectedData: {},
       context: {
         applicantName: this.applicantData.name
-      }
+      },
+      // Data-collection nodes already answered, most recent last, for "go back"
+      history: [],
+      // 'normal', or 'slow' once the caller asks to slow down
+      delivery: 'normal',
+      // Set while the caller has asked us to hold
+      hold: null,
+      // Answers in a row on the current node that made no progress
+      noProgressTurns: 0,
+      // The last few caller replies, scrubbed, with the node each answered, for the handoff packet
+      transcript: [],
+      // Caller replies so far and the nodes they answered, for the handoff summary
+      turns: 0,
+      nodesVisited: [],
+      // Context packet for the live agent once the call is escalated
+      handoff: null,
+      // Identity factors ('dob', 'ssn') being asked again after a failed check
+      identityRetry: null
     };
     
     // Configuration with defaults
     this.config = {
       jobTenureThreshold: config.jobTenureThreshold || parseInt(process.env.JOB_TENURE_THRESHOLD_MONTHS) || 24,
-      maxIdentityAttempts: config.maxIdentityAttempts || parseInt(process.env.MAX_IDENTITY_ATTEMPTS) || 2
+      // Stated income is flagged only when it differs from the application by more than both thresholds
+      incomeDiscrepancyPercent: config.incomeDiscrepancyPercent || parseFloat(process.env.INCOME_DISCREPANCY_PERCENT) || 20,
+      incomeDiscrepancyAmount: config.incomeDiscrepancyAmount || parseFloat(process.env.INCOME_DISCREPANCY_AMOUNT) || 1000,
+      maxIdentityAttempts: config.maxIdentityAttempts || parseInt(process.env.MAX_IDENTITY_ATTEMPTS) || 2,
+      // opaque or specific: whether a failed identity check says which detail was wrong
+      identityDisclosure: config.identityDisclosure || process.env.IDENTITY_DISCLOSURE_POLICY || 'opaque',
+      // "Since <date>" tenures are measured from the day of the call
+      callDate: config.callDate || new Date().toISOString(),
+      // llm, rules (fully offline) or llm-with-rules-fallback
+      extractionStrategy: config.extractionStrategy || process.env.EXTRACTION_STRATEGY || 'llm-with-rules-fallback',
+      // Yes/no replies classified below this confidence are treated as unsure
+      intentConfidenceThreshold: config.intentConfidenceThreshold ?? (parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6),
+      // Model, temperature and timeout for extraction calls (service defaults when unset)
+      llm: config.llm || {},
+      // Rewrite spoken digits, years and spelling before handlers see the transcript
+      normalizeTranscripts: config.normalizeTranscripts !== false,
+      // Answers in a row that can make no progress on a node before the call moves on
+      maxNoProgressTurns: config.maxNoProgressTurns || parseInt(process.env.MAX_NO_PROGRESS_TURNS) || 3,
+      // How long the channel should wait on hold before re-prompting
+      holdRepromptMs: config.holdRepromptMs || parseInt(process.env.HOLD_REPROMPT_MS) || 20000
     };
     
+    if (!IDENTITY_DISCLOSURE_POLICIES.includes(this.config.identityDisclosure)) {
+      throw new Error(`Unknown identity disclosure policy: ${this.config.identityDisclosure}`);
+    }
+    
+    // LLM service; injectable so tests and local runs can swap the provider
+    this.llm = config.llmService || getDefaultLLMService();
+    
+    // Failed identity checks across sessions; injectable like the LLM service
+    this.lockoutRegistry = config.lockoutRegistry || getDefaultLockoutRegistry();
+    
+    // Tamper-evident record of identity, lockout, confirmation and escalation decisions
+    this.auditTrail = config.auditTrail || getDefaultAuditTrail();
+    
     // Security gate
     this.identityVerified = false;
     
@@ -34,30 +180,159 @@ class VerificationAgent {
     this.logger = new ConversationLogger({
       enableFileLogging: config.enableLogging !== false,
       enableConsoleLogging: config.enableConsoleLogging !== false,
-      logDir: config.logDir || 'logs'
+      logDir: config.logDir || 'logs',
+      sessionId: config.sessionId,
+      // Field policies and salt for log redaction (see utils/redactor.js); the
+      // applicant's name is scrubbed from prompts and replies too
+      redaction: {
+        ...config.redaction,
+        names: [this.applicantData.name, ...(config.redaction?.names || [])].filter(Boolean)
+      }
     });
     
-    // Log conversation start
-    this.logger.logStep('conversation_start', {
-      applicantName: this.applicantData.name,
-      config: this.config
+    // Log conversation start (rehydrated agents log a resume instead)
+    if (!config.resumed) {
+      this.logger.logStep('conversation_start', {
+        applicantName: this.applicantData.name,
+        flowId: this.flow.id,
+        config: this.config
+      });
+    }
+  }
+
+  /**
+   * Serializes the agent so the conversation can be resumed later
+   * @returns {object} - JSON-safe snapshot of the agent
+   */
+  toJSON() {
+    return {
+      version: SNAPSHOT_VERSION,
+      sessionId: this.logger.sessionId,
+      flowId: this.flow.id,
+      savedAt: new Date().toISOString(),
+      applicantData: this.applicantData,
+      config: this.config,
+      identityVerified: this.identityVerified,
+      conversationState: JSON.parse(JSON.stringify(this.conversationState))
+    };
+  }
+
+  /**
+   * Rehydrates an agent from a snapshot produced by toJSON()
+   * @param {object} snapshot - Agent snapshot
+   * @param {object} options - Runtime options (logging, custom flow, etc.) not stored in the snapshot
+   * @returns {VerificationAgent} - Agent positioned at the snapshot's node
+   */
+  static fromSnapshot(snapshot, options = {}) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+    }
+
+    const flow = options.flow || getFlow(snapshot.flowId);
+    if (flow.id !== snapshot.flowId) {
+      throw new Error(`Snapshot was taken on flow "${snapshot.flowId}", not "${flow.id}"`);
+    }
+
+    const { currentNodeId } = snapshot.conversationState || {};
+    if (!flow.nodes[currentNodeId]) {
+      throw new Error(`Snapshot references unknown conversation node: ${currentNodeId}`);
+    }
+
+    const agent = new VerificationAgent(snapshot.applicantData, {
+      ...options,
+      ...snapshot.config,
+      flow,
+      sessionId: snapshot.sessionId,
+      resumed: true
+    });
+    agent.conversationState = JSON.parse(JSON.stringify(snapshot.conversationState));
+    agent.identityVerified = snapshot.identityVerified === true;
+
+    agent.logger.logStep('conversation_resumed', {
+      currentNodeId,
+      savedAt: snapshot.savedAt,
+      identityAttempts: agent.conversationState.attempts.identity
     });
+
+    return agent;
   }
 
   /**
-   * Generates the next prompt for the user
+   * Generates the next prompt for the user and records it as sent
    * @returns {string} - The next prompt to send to the user
    */
   generatePrompt() {
-    const currentNode = nodes[this.conversationState.currentNodeId];
+    return this.emitPrompt(this.composePrompt());
+  }
+
+  /**
+   * Records a prompt sent to the user
+   * @param {string} prompt - Prompt text
+   * @returns {string} - The same prompt
+   */
+  emitPrompt(prompt) {
+    this.logger.logAgentPrompt(prompt, this.conversationState.currentNodeId, {
+      noProgressTurns: this.conversationState.noProgressTurns || 0,
+      delivery: this.conversationState.delivery,
+      onHold: Boolean(this.conversationState.hold)
+    });
+    return prompt;
+  }
+
+  /**
+   * Builds the prompt for the current node
+   * @returns {string} - Prompt text
+   */
+  composePrompt() {
+    const currentNode = this.nodes[this.conversationState.currentNodeId];
     if (!currentNode) {
       return "Error: Conversation node not found.";
     }
     
+    if (this.conversationState.hold) {
+      return "Of course, take your time. I'll be right here.";
+    }
+    
     // Update context for the prompt template
     this.updateContextForPrompt();
     
-    return currentNode.prompt(this.conversationState.context);
+    // After an answer that made no progress, ask with the next reprompt variant
+    const turns = this.conversationState.noProgressTurns || 0;
+    const reprompts = currentNode.reprompts || [];
+    const template = turns > 0 && reprompts.length > 0
+      ? reprompts[Math.min(turns, reprompts.length) - 1]
+      : currentNode.prompt;
+    
+    // Builders like the final summary read the collected data directly
+    const prompt = template({
+      ...this.conversationState.context,
+      collectedData: this.conversationState.collectedData
+    });
+    
+    return this.conversationState.delivery === 'slow' ? formatSlowSpeech(prompt) : prompt;
+  }
+
+  /**
+   * Ends a hold and asks the current question again. Channels call this once
+   * the caller has been quiet for holdRepromptMs.
+   * @returns {string} - Re-prompt for the current node
+   */
+  reprompt() {
+    const hold = this.conversationState.hold;
+    this.conversationState.hold = null;
+    this.logger.logStep('hold_reprompt', {
+      nodeId: this.conversationState.currentNodeId,
+      heldSince: hold?.since || null
+    });
+    return this.emitPrompt(`Are you still there? ${this.composePrompt()}`);
+  }
+
+  /**
+   * How long the channel should wait before calling reprompt()
+   * @returns {number|null} - Milliseconds, or null when the caller is not on hold
+   */
+  getRepromptDelay() {
+    return this.conversationState.hold ? this.config.holdRepromptMs : null;
   }
 
   /**
@@ -66,7 +341,7 @@ class VerificationAgent {
    * @returns {Promise<string>} - The next prompt or termination message
    */
   async processUserInput(userResponse) {
-    const currentNode = nodes[this.conversationState.currentNodeId];
+    const currentNode = this.nodes[this.conversationState.currentNodeId];
     
     if (!currentNode) {
       this.logger.logError(`Current node not found: ${this.conversationState.currentNodeId}`, {
@@ -78,12 +353,41 @@ class VerificationAgent {
     // Log user response
     this.logger.logUserResponse(userResponse, this.conversationState.currentNodeId);
     
+    const input = this.config.normalizeTranscripts ? normalizeTranscript(userResponse) : userResponse;
+    if (input !== userResponse) {
+      this.logger.logStep('transcript_normalized', {
+        original: userResponse,
+        normalized: input,
+        nodeId: this.conversationState.currentNodeId
+      });
+    }
+    
+    // Anything the caller says ends a hold
+    this.conversationState.hold = null;
+    this.recordExchange(userResponse);
+    
+    // A request for a person, distress or fraud takes the call to a person from any question
+    const escalation = currentNode.isTerminal ? null : detectEscalation(input);
+    if (escalation && this.escalate(escalation)) {
+      this.logger.logCompletion(this.conversationState, this.nodes[ESCALATION_NODE].outcome, this.conversationState.collectedData);
+      return this.generatePrompt();
+    }
+    
+    // Requests about the conversation itself never reach the handler, so they
+    // don't count as an answer or an attempt
+    const command = currentNode.isTerminal ? null : detectCommand(input, userResponse);
+    if (command) {
+      this.handleCommand(command, input);
+      return this.generatePrompt();
+    }
+    
     // Execute the handler for the current node
-    await this[currentNode.handler](userResponse);
+    await this[currentNode.handler](input);
     
     // Check if we've reached a terminal state
-    if (nodes[this.conversationState.currentNodeId]?.isTerminal) {
-      this.logger.logCompletion(this.conversationState, 'terminal', this.conversationState.collectedData);
+    if (this.isTerminal()) {
+      const outcome = this.nodes[this.conversationState.currentNodeId].outcome || 'terminal';
+      this.logger.logCompletion(this.conversationState, outcome, this.conversationState.collectedData);
       return this.generatePrompt();
     }
     
@@ -91,6 +395,230 @@ class VerificationAgent {
     return this.generatePrompt();
   }
 
+  /**
+   * Carries out a conversational command (see commands.js)
+   * @param {string} command - One of COMMANDS
+   * @param {string} userResponse - The user's response
+   */
+  handleCommand(command, userResponse) {
+    const nodeId = this.conversationState.currentNodeId;
+    this.logger.logStep('conversation_command', { command, nodeId, userResponse });
+    
+    switch (command) {
+      case 'slowDown':
+        this.conversationState.delivery = 'slow';
+        break;
+      case 'goBack': {
+        const previous = (this.conversationState.history || []).pop();
+        if (previous) {
+          this.conversationState.currentNodeId = previous;
+          this.conversationState.noProgressTurns = 0;
+          this.logger.logNodeTransition(nodeId, previous, { command: 'goBack' });
+        }
+        break;
+      }
+      case 'hold':
+        this.conversationState.hold = { since: new Date().toISOString() };
+        break;
+      default:
+        // Repeat: the current prompt is asked again as-is
+        break;
+    }
+  }
+
+  /**
+   * Hands the call to a person from whatever node it is on
+   * @param {string} reason - One of ESCALATION_REASONS
+   * @returns {boolean} - Whether the call was escalated (false if the flow has no escalation node)
+   */
+  escalate(reason) {
+    const nodeId = this.conversationState.currentNodeId;
+    if (!this.nodes[ESCALATION_NODE]) {
+      this.logger.logError(`Cannot escalate (${reason}): flow ${this.flow.id} has no ${ESCALATION_NODE} node`, {
+        currentNodeId: nodeId,
+        reason
+      }, 'high');
+      return false;
+    }
+    
+    this.recordHandoff(reason, nodeId);
+    this.transitionTo(ESCALATION_NODE, { escalation: reason });
+    return true;
+  }
+
+  /**
+   * Adds a caller reply to the transcript. Only the last few are kept, and
+   * without the digits, dates and emails they carried, since the transcript
+   * is saved in snapshots and handed to the live agent.
+   * @param {string} userResponse - User's response as transcribed
+   */
+  recordExchange(userResponse) {
+    const state = this.conversationState;
+    const nodeId = state.currentNodeId;
+    const { transcript = [] } = state;
+    // Snapshots from before the transcript was capped have no counters yet
+    const turns = state.turns ?? transcript.length;
+    const nodesVisited = state.nodesVisited ?? [...new Set(transcript.map(entry => entry.nodeId))];
+    
+    state.transcript = [...transcript, { nodeId, userResponse: scrubText(userResponse) }].slice(-HANDOFF_RECENT_EXCHANGES);
+    state.turns = turns + 1;
+    state.nodesVisited = nodesVisited.includes(nodeId) ? nodesVisited : [...nodesVisited, nodeId];
+  }
+
+  /**
+   * Builds the packet a live agent needs to pick the call up without re-asking
+   * anything, stores it on the conversation and logs it
+   * @param {string} reason - One of ESCALATION_REASONS
+   * @param {string} nodeId - Node the call was on when it was escalated
+   * @param {number} noProgressTurns - Answers in a row on that node that made no progress
+   * @returns {object} - Handoff packet
+   */
+  recordHandoff(reason, nodeId, noProgressTurns = this.conversationState.noProgressTurns || 0) {
+    const { transcript = [], turns, nodesVisited } = this.conversationState;
+    const handoff = {
+      reason,
+      escalatedAt: new Date().toISOString(),
+      sessionId: this.logger.sessionId,
+      flowId: this.flow.id,
+      applicantName: this.applicantData.name,
+      identityVerified: this.identityVerified,
+      failedStep: {
+        nodeId,
+        noProgressTurns,
+        identityAttempts: this.conversationState.attempts.identity
+      },
+      collectedData: JSON.parse(JSON.stringify(this.conversationState.collectedData)),
+      transcriptSummary: {
+        turns: turns || 0,
+        nodesVisited: nodesVisited || [],
+        recentExchanges: transcript.slice(-HANDOFF_RECENT_EXCHANGES)
+      }
+    };
+    
+    this.conversationState.handoff = handoff;
+    this.logger.logStep('escalation_handoff', handoff, 'warning');
+    // The call is with a person either way; audit() has already logged the failure as critical
+    this.audit('escalation', { reason, nodeId, noProgressTurns, identityVerified: this.identityVerified }).catch(() => {});
+    return handoff;
+  }
+
+  /**
+   * Records a decision in the audit trail. A trail failure is logged and
+   * rethrown.
+   * @param {string} event - One of AUDIT_EVENTS
+   * @param {object} details - Event details; identifiers and outcomes only, never the caller's answers
+   * @returns {Promise<object>} - The signed record
+   */
+  async audit(event, details = {}) {
+    try {
+      return await this.auditTrail.record(event, {
+        sessionId: this.logger.sessionId,
+        applicantId: this.getApplicantId(),
+        flowId: this.flow.id,
+        details
+      });
+    } catch (error) {
+      console.error('Error writing audit trail:', error);
+      this.logger.logError(`Audit trail ${event} failed: ${error.message}`, {}, 'critical');
+      throw error;
+    }
+  }
+
+  /**
+   * Records a decision the call can't go on without. A decision the trail
+   * can't record is left to a person.
+   * @param {string} event - One of AUDIT_EVENTS
+   * @param {object} details - Event details (see audit)
+   * @returns {Promise<boolean>} - Whether the record was written; if not, the call has been escalated
+   */
+  async auditOrEscalate(event, details = {}) {
+    try {
+      await this.audit(event, details);
+      return true;
+    } catch (error) {
+      this.escalate('audit_unavailable');
+      return false;
+    }
+  }
+
+  /**
+   * ID the lockout registry tracks the applicant under
+   * @returns {string|null} - Applicant ID (see resolveApplicantId), or null if nothing identifies the applicant
+   */
+  getApplicantId() {
+    return resolveApplicantId(this.applicantData);
+  }
+
+  /**
+   * Records an identity check outcome in the lockout registry. A registry
+   * failure is logged and rethrown for the caller to decide how to fail.
+   * @param {string} method - 'recordFailure', 'recordSuccess' or 'recordRefusal'
+   * @returns {Promise<object|null>} - Lockout status, or null if the applicant isn't tracked
+   */
+  async updateLockout(method) {
+    const applicantId = this.getApplicantId();
+    if (!applicantId) return null;
+
+    try {
+      return await this.lockoutRegistry[method](applicantId, {
+        sessionId: this.logger.sessionId,
+        flowId: this.flow.id
+      });
+    } catch (error) {
+      console.error('Error updating identity lockout:', error);
+      this.logger.logError(`Identity lockout ${method} failed: ${error.message}`, { applicantId }, 'high');
+      throw error;
+    }
+  }
+
+  /**
+   * Ends verification if the applicant is locked out from earlier failed checks.
+   * If the registry can't be read, or nothing identifies the applicant,
+   * verification doesn't go ahead either: the call is handed to a person.
+   * @returns {Promise<boolean>} - Whether the caller was refused
+   */
+  async refuseIfLocked() {
+    const applicantId = this.getApplicantId();
+    if (!applicantId) {
+      // Failures that can't be counted would be free guesses, so a person checks the caller instead
+      this.logger.logError('No applicant ID to track identity lockouts under', {}, 'high');
+      this.escalate('lockout_unavailable');
+      return true;
+    }
+
+    let status;
+    try {
+      status = await this.lockoutRegistry.getStatus(applicantId);
+    } catch (error) {
+      console.error('Error checking identity lockout:', error);
+      this.logger.logError(`Identity lockout check failed: ${error.message}`, { applicantId }, 'high');
+      this.escalate('lockout_unavailable');
+      return true;
+    }
+    if (!status.locked) return false;
+
+    // The caller is refused whether or not the refusal could be recorded
+    await this.updateLockout('recordRefusal').catch(() => {});
+    await this.lockOut(status);
+    return true;
+  }
+
+  /**
+   * Moves to the lockout message
+   * @param {object} status - Lockout status from the registry
+   * @returns {Promise<void>}
+   */
+  async lockOut(status) {
+    this.logger.logStep('identity_locked', {
+      applicantId: this.getApplicantId(),
+      lockedUntil: status.lockedUntil,
+      failures: status.failures
+    }, 'warning');
+    if (!(await this.auditOrEscalate('identity_locked', { lockedUntil: status.lockedUntil, failures: status.failures }))) return;
+    this.conversationState.context.lockedUntil = formatSpokenDate(status.lockedUntil);
+    this.transitionOn('locked');
+  }
+
   // --- HANDLER IMPLEMENTATIONS ---
 
   /**
@@ -98,14 +626,59 @@ class VerificationAgent {
    * @param {string} userResponse - User's response to greeting
    */
   async handleGreetingConfirmation(userResponse) {
-    // Simple confirmation check (in production, you'd use LLM)
-    if (userResponse.toLowerCase().includes('yes') || userResponse.toLowerCase().includes('yeah')) {
-      this.transitionTo('IDENTITY_VERIFICATION_DOB');
+    const response = userResponse.toLowerCase();
+    
+    // Someone answering on the applicant's behalf ("yes, I'm his wife") must not
+    // be verified, so this is checked before any confirmation
+    const thirdPartyResponses = [
+      "i'm his", "i'm her", "i am his", "i am her",
+      "spouse", "wife", "husband", "partner",
+      "mother", "father", "son", "daughter",
+      "on behalf of", "speaking for", "answer for"
+    ];
+    
+    const unavailableResponses = [
+      "not available", "isn't available", "not here", "isn't here",
+      "not home", "isn't home", "not in right now", "can't come to the phone",
+      "at work", "stepped out", "call back", "call later", "busy right now"
+    ];
+    
+    // Whole-word matching so "person" is not read as "son"
+    const mentions = (phrases) => phrases.some(phrase => new RegExp(`\\b${phrase}\\b`).test(response));
+    
+    if (mentions(thirdPartyResponses)) {
+      this.logger.logStep('third_party_detected', { userResponse });
+      this.transitionOn('thirdParty');
+    } else if (mentions(unavailableResponses)) {
+      this.transitionOn('unavailable');
+    } else if ((await this.classifyReply(userResponse)).intent === 'affirm') {
+      if (await this.refuseIfLocked()) return;
+      this.transitionOn('next');
     } else {
-      this.transitionTo('INCORRECT_PERSON_TERMINATION');
+      this.transitionOn('failure');
     }
   }
 
+  /**
+   * Handles a callback time offered when the applicant is unavailable.
+   * The caller's words are recorded as-is for the callback queue.
+   * @param {string} userResponse - Suggested callback time
+   */
+  async handleCallbackScheduling(userResponse) {
+    const response = userResponse.toLowerCase().trim();
+    const declined = response === '' || /^(no|nope|not sure|i'm not sure|i don't know|don't know|no idea)[.!]?$/.test(response);
+    
+    const callbackTime = declined ? null : userResponse.trim();
+    this.conversationState.collectedData.callback = {
+      requestedTime: callbackTime,
+      requestedAt: new Date().toISOString()
+    };
+    this.conversationState.context.callbackTime = callbackTime;
+    
+    this.logger.logStep('callback_requested', { requestedTime: callbackTime });
+    this.transitionOn('next');
+  }
+
   /**
    * Handles date of birth collection
    * @param {string} userResponse - User's date of birth response
@@ -113,18 +686,18 @@ class VerificationAgent {
   async handleDobCollection(userResponse) {
     try {
       // Use LLM to extract the date
-      const { date } = await extractEntities(userResponse, { date: 'The user\'s date of birth in YYYY-MM-DD format' });
+      const { date } = await this.extractSlots(userResponse);
       
-      if (date && validateDob(date)) {
+      if (date && this.checkValid('dob', validateDob, date)) {
         this.conversationState.collectedData.dob = date;
-        this.transitionTo('IDENTITY_VERIFICATION_SSN');
+        this.transitionOn('next');
       } else {
         // Ask again if invalid
-        this.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_DOB';
+        this.stay();
       }
     } catch (error) {
       console.error('Error extracting DOB:', error);
-      this.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_DOB';
+      this.stay();
     }
   }
 
@@ -135,18 +708,18 @@ class VerificationAgent {
   async handleSsnCollection(userResponse) {
     try {
       // Use LLM to extract digits
-      const { ssn } = await extractEntities(userResponse, { ssn: 'The last 4 digits of the user\'s Social Security Number' });
+      const { ssn } = await this.extractSlots(userResponse);
       
-      if (ssn && validateSsnLast4(ssn)) {
+      if (ssn && this.checkValid('ssnLast4', validateSsnLast4, ssn)) {
         this.conversationState.collectedData.ssnLast4 = ssn;
-        this.transitionTo('IDENTITY_VERIFICATION_CONFIRM');
+        this.transitionOn('next');
       } else {
         // Ask again if invalid
-        this.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_SSN';
+        this.stay();
       }
     } catch (error) {
       console.error('Error extracting SSN:', error);
-      this.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_SSN';
+      this.stay();
     }
   }
   
@@ -155,70 +728,93 @@ class VerificationAgent {
    * @param {string} userResponse - User's confirmation response
    */
   async handleIdentityConfirmation(userResponse) {
+    const { intent } = await this.classifyReply(userResponse);
+    
     // Check if user confirmed the information
-    if (userResponse.toLowerCase().includes('yes') || userResponse.toLowerCase().includes('correct')) {
-      const isVerified = this.validateIdentity(
+    if (intent === 'affirm') {
+      // Another session may have locked the applicant since the greeting
+      if (await this.refuseIfLocked()) return;
+      
+      const attempt = this.conversationState.attempts.identity + 1;
+      if (!(await this.auditOrEscalate('identity_attempt', { attempt }))) return;
+      
+      const factors = this.checkIdentityFactors(
         this.conversationState.collectedData.dob,
         this.conversationState.collectedData.ssnLast4
       );
 
-      if (isVerified) {
+      const mismatched = ['dob', 'ssn'].filter(factor => !factors[factor]);
+      this.logger.logValidation('identity', { dobMatches: factors.dob, ssnMatches: factors.ssn }, mismatched.length === 0,
+        mismatched.length === 0 ? '' : `mismatch: ${mismatched.join(', ')}`);
+
+      if (factors.dob && factors.ssn) {
+        if (!(await this.auditOrEscalate('identity_verified', { attempt }))) return;
         this.identityVerified = true;
-        this.transitionTo(nodes['IDENTITY_VERIFICATION_CONFIRM'].onSuccess);
+        this.conversationState.identityRetry = null;
+        // "Go back" never returns to the identity questions once they are verified
+        this.conversationState.history = [];
+        // Failures left uncleared only bring the next lockout closer, so the call carries on
+        await this.updateLockout('recordSuccess').catch(() => {});
+        this.transitionOn('success');
       } else {
         this.conversationState.attempts.identity++;
-        if (this.conversationState.attempts.identity >= this.config.maxIdentityAttempts) {
-          this.transitionTo('IDENTITY_FAILURE_TERMINATION');
+        // Which detail failed is for fraud analytics only; the policy decides what the caller hears
+        this.logger.logStep('identity_factor_mismatch', {
+          attempt: this.conversationState.attempts.identity,
+          dobMatches: factors.dob,
+          ssnMatches: factors.ssn
+        }, 'warning');
+        if (!(await this.auditOrEscalate('identity_failed', { attempt, dobMatches: factors.dob, ssnMatches: factors.ssn }))) {
+          // The failure still counts towards a lockout
+          await this.updateLockout('recordFailure').catch(() => {});
+          return;
+        }
+        let status;
+        try {
+          status = await this.updateLockout('recordFailure');
+        } catch (error) {
+          // A failure the registry didn't count would be a free guess on the next call
+          this.escalate('lockout_unavailable');
+          return;
+        }
+        if (status?.locked) {
+          await this.lockOut(status);
+        } else if (this.conversationState.attempts.identity >= this.config.maxIdentityAttempts) {
+          this.transitionOn('exhausted');
         } else {
-          this.transitionTo(nodes['IDENTITY_VERIFICATION_CONFIRM'].onFailure);
+          this.startIdentityRetry(factors);
+          this.transitionOn('failure');
         }
       }
-    } else {
+    } else if (intent === 'deny' || intent === 'correction') {
       // User said the info was wrong, let them re-enter it
-      this.transitionTo('IDENTITY_VERIFICATION_DOB');
+      this.transitionOn('reject');
+    } else {
+      // Ambiguous response, ask again
+      this.stay();
     }
   }
 
   /**
-   * Handles identity retry
-   * @param {string} userResponse - User's retry response
+   * Sets up the retry after a failed identity check: which details are asked
+   * again and, under the specific policy, which mismatch the prompts name
+   * @param {{dob: boolean, ssn: boolean}} factors - Which details matched
    */
-  async handleIdentityRetry(userResponse) {
-    // Check if user is providing corrected information
-    const response = userResponse.toLowerCase();
+  startIdentityRetry(factors) {
+    const mismatched = ['dob', 'ssn'].filter(factor => !factors[factor]);
+    const specific = this.config.identityDisclosure === 'specific';
+    const retry = specific ? mismatched : ['dob', 'ssn'];
     
-    if (response.includes('dob') || response.includes('date') || response.includes('birth')) {
-      // User is providing DOB, extract it
-      try {
-        const { date } = await extractEntities(userResponse, { date: 'The user\'s date of birth in YYYY-MM-DD format' });
-        if (date && validateDob(date)) {
-          this.conversationState.collectedData.dob = date;
-          this.transitionTo('IDENTITY_VERIFICATION_SSN');
-          return;
-        }
-      } catch (error) {
-        console.error('Error extracting DOB from retry:', error);
-      }
+    this.conversationState.identityRetry = retry;
+    for (const factor of retry) {
+      this.conversationState.collectedData[factor === 'dob' ? 'dob' : 'ssnLast4'] = null;
     }
     
-    if (response.includes('ssn') || response.includes('social') || /^\d{4}$/.test(userResponse.trim())) {
-      // User is providing SSN, extract it
-      try {
-        const { ssn } = await extractEntities(userResponse, { ssn: 'The last 4 digits of the user\'s Social Security Number' });
-        if (ssn && validateSsnLast4(ssn)) {
-          this.conversationState.collectedData.ssnLast4 = ssn;
-          this.transitionTo('IDENTITY_VERIFICATION_CONFIRM');
-          return;
-        }
-      } catch (error) {
-        console.error('Error extracting SSN from retry:', error);
-      }
-    }
-    
-    // If no specific data provided, reset and start over
-    this.conversationState.collectedData.dob = null;
-    this.conversationState.collectedData.ssnLast4 = null;
-    this.transitionTo('IDENTITY_VERIFICATION_DOB');
+    const { context } = this.conversationState;
+    context.disclosedMismatch = specific
+      ? mismatched.map(factor => IDENTITY_FACTOR_LABELS[factor]).join(' and the ')
+      : null;
+    context.retryStartsWithSsn = retry[0] === 'ssn';
   }
 
   /**
@@ -228,12 +824,7 @@ class VerificationAgent {
   async handleAddressCollection(userResponse) {
     try {
       // Use LLM to extract address components
-      const { street, city, state, zip_code } = await extractEntities(userResponse, {
-        street: 'The street address',
-        city: 'The city name',
-        state: 'The state name',
-        zip_code: 'The ZIP code'
-      });
+      const { street, city, state, zip_code } = await this.extractSlots(userResponse);
       
       if (street && city && state && zip_code) {
         this.conversationState.collectedData.address = {
@@ -242,14 +833,52 @@ class VerificationAgent {
           state,
           zip_code
         };
-        this.transitionTo('CONTACT_INFO_UNIT');
+        
+        const verification = this.verifyAddress(this.conversationState.collectedData.address);
+        if (verification?.result === 'mismatch') {
+          // Read back the address on file and ask whether they have moved
+          this.conversationState.context.addressOnFile = formatSpokenAddress(this.applicantData.mailing_address);
+          this.transitionOn('mismatch');
+        } else {
+          this.conversationState.collectedData.addressChanged = false;
+          this.transitionOn('next');
+        }
       } else {
         // Ask again if incomplete
-        this.conversationState.currentNodeId = 'CONTACT_INFO_ADDRESS';
+        this.stay();
       }
     } catch (error) {
       console.error('Error extracting address:', error);
-      this.conversationState.currentNodeId = 'CONTACT_INFO_ADDRESS';
+      this.stay();
+    }
+  }
+
+  /**
+   * Handles confirmation of an address change after a mismatch with the address on file
+   * @param {string} userResponse - Whether the user's address has changed
+   */
+  async handleAddressChangeConfirmation(userResponse) {
+    const response = userResponse.toLowerCase();
+    const mentions = (pattern) => pattern.test(response);
+    const { intent } = await this.classifyReply(userResponse);
+    
+    if (intent === 'deny' || mentions(/\b(hasn't|haven't|didn't|same)\b/)) {
+      // The user misspoke; collect the address again
+      this.logger.logStep('address_change_denied', {
+        addressVerification: this.conversationState.collectedData.addressVerification
+      });
+      this.conversationState.collectedData.address = null;
+      this.conversationState.collectedData.addressVerification = null;
+      this.transitionOn('reject');
+    } else if (intent === 'affirm' || mentions(/\b(moved|changed|new)\b/)) {
+      this.conversationState.collectedData.addressChanged = true;
+      this.logger.logStep('address_change_confirmed', {
+        addressVerification: this.conversationState.collectedData.addressVerification
+      }, 'warning');
+      this.transitionOn('next');
+    } else {
+      // Ambiguous response, ask again
+      this.stay();
     }
   }
 
@@ -258,12 +887,52 @@ class VerificationAgent {
    * @param {string} userResponse - User's unit response
    */
   async handleUnitCollection(userResponse) {
-    if (userResponse.toLowerCase().includes('yes') || userResponse.toLowerCase().includes('yeah')) {
-      // Ask for unit number
-      this.conversationState.currentNodeId = 'CONTACT_INFO_UNIT';
+    const response = userResponse.toLowerCase().trim();
+    let unit = extractUnit(userResponse);
+    
+    if (!unit) {
+      const { intent } = await this.classifyReply(userResponse);
+      
+      if (intent === 'deny' || /\b(none|there's no|there is no|house)\b/.test(response)) {
+        // No unit, proceed to email
+        this.recordUnit(null);
+        this.transitionOn('next');
+        return;
+      }
+      
+      // A bare "yes" needs a follow-up; "yes, it's 12" already has the number
+      if (intent === 'affirm') {
+        unit = extractUnit(userResponse, { allowBare: true });
+        if (!unit && !/\d/.test(response)) {
+          this.transitionOn('unitRequested');
+          return;
+        }
+      }
+    }
+    
+    unit = unit || await this.extractUnitSlot(userResponse);
+    if (unit) {
+      this.recordUnit(unit);
+      this.transitionOn('next');
     } else {
-      // No unit, proceed to email
-      this.transitionTo('CONTACT_INFO_EMAIL');
+      // Ambiguous response, ask again
+      this.stay();
+    }
+  }
+
+  /**
+   * Handles the unit number follow-up after the user confirmed there is one
+   * @param {string} userResponse - User's unit number response
+   */
+  async handleUnitNumberCollection(userResponse) {
+    const unit = extractUnit(userResponse, { allowBare: true }) || await this.extractUnitSlot(userResponse);
+    
+    if (unit) {
+      this.recordUnit(unit);
+      this.transitionOn('next');
+    } else {
+      this.logger.logValidation('unit', userResponse, false, 'No unit number found');
+      this.stay();
     }
   }
 
@@ -290,23 +959,23 @@ class VerificationAgent {
         // Handle no email scenario
         this.conversationState.collectedData.email = null;
         this.conversationState.collectedData.noEmail = true;
-        this.transitionTo('EMPLOYMENT_INCOME');
+        this.transitionOn('next');
         return;
       }
       
       // Use LLM to extract email
-      const { email } = await extractEntities(userResponse, { email: 'The user\'s email address' });
+      const { email } = await this.extractSlots(userResponse);
       
-      if (email && validateEmail(email)) {
+      if (email && this.checkValid('email', validateEmail, email)) {
         this.conversationState.collectedData.email = email;
-        this.transitionTo('EMPLOYMENT_INCOME');
+        this.transitionOn('next');
       } else {
         // Ask again if invalid
-        this.conversationState.currentNodeId = 'CONTACT_INFO_EMAIL';
+        this.stay();
       }
     } catch (error) {
       console.error('Error extracting email:', error);
-      this.conversationState.currentNodeId = 'CONTACT_INFO_EMAIL';
+      this.stay();
     }
   }
 
@@ -316,26 +985,91 @@ class VerificationAgent {
    */
   async handleIncomeCollection(userResponse) {
     try {
-      // Use LLM to extract income
-      const { income } = await extractEntities(userResponse, { income: 'The user\'s monthly income as a number' });
-      
-      // Clean income string - remove currency symbols and text
-      const cleanIncome = income.replace(/[$,]/g, '').replace(/[^\d]/g, '');
-      const incomeValue = parseInt(cleanIncome);
+      // Numeric answers are parsed directly; the LLM handles everything else
+      let income = parseIncome(userResponse);
+      if (!income) {
+        const extracted = await this.extractSlots(userResponse);
+        income = parseIncome(extracted?.income);
+      }
       
-      if (incomeValue && validateIncome(incomeValue)) {
-        this.conversationState.collectedData.monthlyIncome = incomeValue;
-        this.transitionTo('EMPLOYMENT_TENURE');
+      if (income && this.checkValid('income', validateIncome, income.monthly)) {
+        this.conversationState.collectedData.incomeDetails = income;
+        
+        if (income.period === 'monthly') {
+          this.acceptIncome(income.monthly);
+        } else {
+          // Read the monthly conversion back before using it
+          this.conversationState.context.incomeAsStated = describeIncome(income);
+          this.conversationState.context.convertedIncome = formatSpokenCurrency(income.monthly);
+          this.transitionOn('convert');
+        }
       } else {
         // Ask again if invalid
-        this.conversationState.currentNodeId = 'EMPLOYMENT_INCOME';
+        this.stay();
       }
     } catch (error) {
       console.error('Error extracting income:', error);
-      this.conversationState.currentNodeId = 'EMPLOYMENT_INCOME';
+      this.stay();
+    }
+  }
+
+  /**
+   * Handles confirmation of an income converted to monthly
+   * @param {string} userResponse - User's confirmation response
+   */
+  async handleIncomeConversionConfirmation(userResponse) {
+    const { incomeDetails } = this.conversationState.collectedData;
+    const { intent } = await this.classifyReply(userResponse);
+    
+    if (intent === 'deny' || intent === 'correction') {
+      this.logger.logStep('income_conversion_rejected', { incomeDetails });
+      this.conversationState.collectedData.incomeDetails = null;
+      this.transitionOn('reject');
+    } else if (intent === 'affirm') {
+      this.logger.logStep('income_conversion_confirmed', { incomeDetails }, 'success');
+      this.acceptIncome(incomeDetails.monthly);
+    } else {
+      // Ambiguous response, ask again
+      this.stay();
+    }
+  }
+
+  /**
+   * Stores a confirmed monthly income and moves on, via the discrepancy check if it
+   * differs from the application
+   * @param {number} monthlyIncome - Monthly income before taxes
+   */
+  acceptIncome(monthlyIncome) {
+    this.conversationState.collectedData.monthlyIncome = monthlyIncome;
+    
+    const verification = this.verifyIncome(monthlyIncome);
+    if (verification?.hasDiscrepancy) {
+      this.conversationState.context.applicationIncome = formatSpokenCurrency(verification.applicationIncome);
+      this.conversationState.context.statedIncome = formatSpokenCurrency(verification.statedIncome);
+      this.transitionOn('discrepancy');
+    } else {
+      this.transitionOn('next');
     }
   }
 
+  /**
+   * Handles the user's explanation of an income discrepancy
+   * @param {string} userResponse - User's explanation
+   */
+  async handleIncomeDiscrepancy(userResponse) {
+    const incomeVerification = this.conversationState.collectedData.incomeVerification;
+    incomeVerification.explanation = userResponse;
+    
+    this.logger.logStep('income_discrepancy_response', {
+      userResponse,
+      applicationIncome: incomeVerification.applicationIncome,
+      statedIncome: incomeVerification.statedIncome
+    }, 'warning');
+    
+    // The explanation is recorded for underwriting; the call continues either way
+    this.transitionOn('next');
+  }
+
   /**
    * Handles tenure collection
    * @param {string} userResponse - User's tenure response
@@ -360,23 +1094,31 @@ class VerificationAgent {
         // Handle self-employed scenario
         this.conversationState.collectedData.jobTenure = null;
         this.conversationState.collectedData.employmentStatus = 'self_employed';
-        this.transitionTo('TENURE_DISCREPANCY_CHECK');
+        this.transitionOn('next');
         return;
       }
       
-      // Use LLM to extract tenure
-      const { tenure } = await extractEntities(userResponse, { tenure: 'The user\'s job tenure in months as a number' });
+      // Parse the answer directly; the LLM only handles what the parser can't
+      const now = new Date(this.config.callDate);
+      let duration = parseDuration(userResponse, { now });
+      if (!duration) {
+        const extracted = await this.extractSlots(userResponse);
+        duration = parseDuration(extracted?.tenure, { now, defaultUnit: 'months' });
+      }
       
-      if (tenure && validateTenure(parseInt(tenure))) {
-        this.conversationState.collectedData.jobTenure = parseInt(tenure);
-        this.transitionTo('TENURE_DISCREPANCY_CHECK');
+      if (duration && this.checkValid('tenure', validateTenure, duration.months)) {
+        this.conversationState.collectedData.jobTenure = duration.months;
+        this.conversationState.collectedData.tenureDetails = duration;
+        
+        const verification = this.verifyTenure(duration.months);
+        this.transitionOn(verification?.hasDiscrepancy ? 'discrepancy' : 'next');
       } else {
         // Ask again if invalid
-        this.conversationState.currentNodeId = 'EMPLOYMENT_TENURE';
+        this.stay();
       }
     } catch (error) {
       console.error('Error extracting tenure:', error);
-      this.conversationState.currentNodeId = 'EMPLOYMENT_TENURE';
+      this.stay();
     }
   }
 
@@ -385,108 +1127,154 @@ class VerificationAgent {
    * @param {string} userResponse - User's response to discrepancy
    */
   async handleTenureDiscrepancy(userResponse) {
-    const statedTenure = this.conversationState.collectedData.jobTenure;
-    const applicationTenure = this.applicantData.application_job_tenure || this.applicantData.job_tenure_months;
-    const employmentStatus = this.conversationState.collectedData.employmentStatus;
+    const tenureVerification = this.conversationState.collectedData.tenureVerification;
     
-    // Handle self-employed scenario - no tenure comparison needed
-    if (employmentStatus === 'self_employed') {
-      this.transitionTo('FINAL_CONFIRMATION');
+    // Self-employed applicants and tenures within threshold never need an explanation
+    if (!tenureVerification?.hasDiscrepancy) {
+      this.transitionOn('next');
       return;
     }
     
-    // Check for significant discrepancy
-    const hasDiscrepancy = statedTenure && applicationTenure && 
-      Math.abs(statedTenure - applicationTenure) > this.config.jobTenureThreshold;
+    const { applicationTenure, statedTenure } = tenureVerification;
+    const explanation = userResponse.toLowerCase();
+    tenureVerification.explanation = userResponse;
     
-    if (hasDiscrepancy) {
-      // Update context for the prompt
-      this.conversationState.context.hasDiscrepancy = true;
-      this.conversationState.context.applicationTenure = applicationTenure;
-      this.conversationState.context.statedTenure = statedTenure;
+    // Log the user's response to the discrepancy
+    this.logger.logStep('tenure_discrepancy_response', {
+      userResponse,
+      applicationTenure,
+      statedTenure,
+      explanation
+    });
+    
+    // Check if user provides a reasonable explanation
+    if (explanation.includes('promotion') || explanation.includes('new position') || 
+        explanation.includes('same company') || explanation.includes('different role') ||
+        explanation.includes('clarify') || explanation.includes('explain') ||
+        explanation.includes('confusion') || explanation.includes('understand')) {
       
-      // If this is the first time showing the discrepancy, stay on this node
-      if (!this.conversationState.context.discrepancyShown) {
-        this.conversationState.context.discrepancyShown = true;
-        this.conversationState.currentNodeId = 'TENURE_DISCREPANCY_CHECK';
-      } else {
-        // User has responded to discrepancy, analyze their explanation
-        const explanation = userResponse.toLowerCase();
-        
-        // Log the user's response to the discrepancy
-        this.logger.logStep('tenure_discrepancy_response', {
-          userResponse,
-          applicationTenure,
-          statedTenure,
-          explanation
-        });
-        
-        // Check if user provides a reasonable explanation
-        if (explanation.includes('promotion') || explanation.includes('new position') || 
-            explanation.includes('same company') || explanation.includes('different role') ||
-            explanation.includes('clarify') || explanation.includes('explain') ||
-            explanation.includes('confusion') || explanation.includes('understand')) {
-          
-          // User provided explanation, acknowledge and proceed
-          this.logger.logStep('tenure_discrepancy_resolved', {
-            explanation: userResponse,
-            resolved: true
-          });
-          
-          this.transitionTo('FINAL_CONFIRMATION');
-        } else {
-          // Ask for more clarification or accept and proceed
-          this.logger.logStep('tenure_discrepancy_acknowledged', {
-            userResponse,
-            proceeding: true
-          });
-          
-          this.transitionTo('FINAL_CONFIRMATION');
-        }
-      }
+      // User provided explanation, acknowledge and proceed
+      this.logger.logStep('tenure_discrepancy_resolved', {
+        explanation: userResponse,
+        resolved: true
+      });
+      
+      this.transitionOn('next');
     } else {
-      // No discrepancy, proceed to final confirmation
-      this.transitionTo('FINAL_CONFIRMATION');
+      // Ask for more clarification or accept and proceed
+      this.logger.logStep('tenure_discrepancy_acknowledged', {
+        userResponse,
+        proceeding: true
+      });
+      
+      this.transitionOn('next');
     }
   }
 
   /**
-   * Handles final confirmation
+   * Handles final confirmation. A correction updates only the details it names
+   * and reads back just what changed before asking again.
    * @param {string} userResponse - User's final confirmation response
    */
   async handleFinalConfirmation(userResponse) {
-    const response = userResponse.toLowerCase();
+    const context = this.conversationState.context;
+    context.correctionReadback = null;
+    context.correctionNotice = null;
+    context.correctionField = null;
+    context.correctionPart = null;
+    context.correctionLabel = null;
+    
+    const { intent, confidence } = await this.classifyReply(userResponse);
+    const fields = intent === 'affirm' ? [] : this.findCorrectionFields(userResponse);
     
     // Log the final confirmation response
     this.logger.logStep('final_confirmation_response', {
       userResponse,
-      response: response,
-      confirmed: response.includes('yes') || response.includes('correct') || response.includes('ok') || response.includes('good')
+      intent,
+      confidence,
+      confirmed: intent === 'affirm',
+      fields
     });
     
-    if (response.includes('yes') || response.includes('correct') || response.includes('ok') || response.includes('good')) {
+    if (intent === 'affirm') {
       // User confirms all information is correct
       this.logger.logStep('verification_completed_successfully', {
         finalData: this.conversationState.collectedData,
         identityVerified: this.identityVerified
       });
-      this.transitionTo('COMPLETION');
-    } else if (response.includes('no') || response.includes('not') || response.includes('wrong')) {
+      const audited = await this.auditOrEscalate('data_confirmed', {
+        fields: Object.keys(this.conversationState.collectedData)
+          .filter(field => this.conversationState.collectedData[field] !== null),
+        identityVerified: this.identityVerified
+      });
+      if (!audited) return;
+      this.transitionOn('next');
+    } else if (fields.length > 0 || intent === 'deny' || intent === 'correction' || this.mentionsIdentity(userResponse)) {
       // User indicates information is incorrect
       this.logger.logStep('final_confirmation_rejected', {
         userResponse,
+        fields,
         needsCorrection: true
       });
       
-      // User wants to correct something, go back to appropriate section
-      this.transitionTo('CONTACT_INFO_ADDRESS');
+      try {
+        const result = await this.applyCorrections(userResponse, fields);
+        if (result.missing) {
+          // Ask for the value of the detail they named
+          this.askForCorrection(result.missing, userResponse);
+          this.transitionOn('correct');
+        } else if (result.applied || result.refused) {
+          // Read back only what changed (or why it can't change) and confirm again;
+          // the summary prompt carries that, so this isn't a no-progress repeat
+        } else {
+          // Ask which detail is wrong
+          this.transitionOn('correct');
+        }
+      } catch (error) {
+        console.error('Error applying correction:', error);
+        this.stay();
+      }
     } else {
       // Ambiguous response, ask for clarification
       this.logger.logStep('final_confirmation_ambiguous', {
         userResponse,
         needsClarification: true
       });
-      this.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+      this.stay();
+    }
+  }
+
+  /**
+   * Handles a correction after the final read-back: which detail is wrong, its
+   * new value, or both
+   * @param {string} userResponse - User's correction
+   */
+  async handleCorrectionCollection(userResponse) {
+    const context = this.conversationState.context;
+    const named = this.findCorrectionFields(userResponse);
+    const fields = named.length > 0 ? named : [context.correctionField].filter(Boolean);
+    
+    try {
+      const result = await this.applyCorrections(userResponse, fields);
+      if (result.missing) {
+        // Naming a different detail is progress; failing to give the value again is not
+        const progress = result.missing !== context.correctionField;
+        this.askForCorrection(result.missing, userResponse);
+        if (!progress) {
+          this.stay();
+        }
+      } else if (result.applied || result.refused) {
+        context.correctionField = null;
+        context.correctionPart = null;
+        context.correctionLabel = null;
+        this.transitionOn('next');
+      } else {
+        this.logger.logValidation('correction', userResponse, false, 'No correctable detail found');
+        this.stay();
+      }
+    } catch (error) {
+      console.error('Error applying correction:', error);
+      this.stay();
     }
   }
 
@@ -510,6 +1298,19 @@ class VerificationAgent {
 
   // --- CORE LOGIC (DETERMINISTIC) ---
   
+  /**
+   * Runs a validator and records its result
+   * @param {string} field - Field being validated
+   * @param {function(any): boolean} validator - Validator from utils/validators
+   * @param {any} value - Value to validate
+   * @returns {boolean} - Whether the value is valid
+   */
+  checkValid(field, validator, value) {
+    const isValid = Boolean(validator(value));
+    this.logger.logValidation(field, value, isValid, isValid ? '' : `${validator.name} rejected the value`);
+    return isValid;
+  }
+
   /**
    * Validates identity against stored data
    * @param {string} dob - Date of birth
@@ -517,21 +1318,457 @@ class VerificationAgent {
    * @returns {boolean} - Whether identity is verified
    */
   validateIdentity(dob, ssnLast4) {
+    const factors = this.checkIdentityFactors(dob, ssnLast4);
+    return factors.dob && factors.ssn;
+  }
+
+  /**
+   * Checks each identity detail against stored data
+   * @param {string} dob - Date of birth
+   * @param {string} ssnLast4 - Last 4 digits of SSN
+   * @returns {{dob: boolean, ssn: boolean}} - Whether each detail matches
+   */
+  checkIdentityFactors(dob, ssnLast4) {
     // This is pure, deterministic code. NO LLM.
-    const isDobMatch = (dob === this.applicantData.date_of_birth);
-    const isSsnMatch = (ssnLast4 === this.applicantData.ssn_last_four);
-    return isDobMatch && isSsnMatch;
+    return {
+      dob: dob === this.applicantData.date_of_birth,
+      ssn: ssnLast4 === this.applicantData.ssn_last_four
+    };
+  }
+  
+  /**
+   * Extracts a unit number with the LLM when the rules find none
+   * @param {string} userResponse - User's response
+   * @returns {Promise<string|null>} - Unit with its designator, or null
+   */
+  async extractUnitSlot(userResponse) {
+    try {
+      const extracted = await this.extractSlots(userResponse, ['unit']);
+      return extractUnit(extracted?.unit, { allowBare: true });
+    } catch (error) {
+      console.error('Error extracting unit:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stores the unit on the collected address and checks it against the unit on file
+   * @param {string|null} unit - Unit with its designator, or null if the user has none
+   */
+  recordUnit(unit) {
+    const collectedData = this.conversationState.collectedData;
+    if (unit) {
+      collectedData.address = { ...collectedData.address, unit };
+    }
+    
+    const onFile = this.applicantData.mailing_address?.unit || null;
+    if (!unit && !onFile) {
+      return;
+    }
+    
+    const matches = normalizeUnit(unit) === normalizeUnit(onFile);
+    collectedData.unitVerification = {
+      result: matches ? 'match' : 'mismatch',
+      stated: unit,
+      onFile
+    };
+    this.logger.logStep('unit_verification', collectedData.unitVerification, matches ? 'success' : 'warning');
+  }
+
+  /**
+   * Compares stated monthly income with the income on the application and
+   * records the result for underwriting
+   * @param {number} statedIncome - Monthly income given by the user
+   * @returns {object|null} - Income verification, or null if the application has no income
+   */
+  verifyIncome(statedIncome) {
+    const applicationIncome = this.applicantData.monthly_income;
+    if (!applicationIncome) {
+      return null;
+    }
+    
+    const difference = statedIncome - applicationIncome;
+    const percentDifference = Math.round(Math.abs(difference) / applicationIncome * 1000) / 10;
+    const hasDiscrepancy = Math.abs(difference) > this.config.incomeDiscrepancyAmount &&
+      percentDifference > this.config.incomeDiscrepancyPercent;
+    
+    const verification = {
+      statedIncome,
+      applicationIncome,
+      difference,
+      percentDifference,
+      hasDiscrepancy,
+      explanation: null
+    };
+    this.conversationState.collectedData.incomeVerification = verification;
+    this.logger.logStep('income_verification', verification, hasDiscrepancy ? 'warning' : 'success');
+    
+    return verification;
+  }
+
+  /**
+   * Compares stated job tenure with the tenure on the application and prepares
+   * the discrepancy prompt when they differ by more than the threshold
+   * @param {number} statedTenure - Tenure given by the user, in months
+   * @returns {object|null} - Tenure verification, or null if the application has no tenure
+   */
+  verifyTenure(statedTenure) {
+    const applicationTenure = this.applicantData.application_job_tenure || this.applicantData.job_tenure_months;
+    if (!applicationTenure) {
+      return null;
+    }
+    
+    const hasDiscrepancy = Math.abs(statedTenure - applicationTenure) > this.config.jobTenureThreshold;
+    const verification = {
+      statedTenure,
+      applicationTenure,
+      difference: statedTenure - applicationTenure,
+      hasDiscrepancy,
+      explanation: null
+    };
+    this.conversationState.collectedData.tenureVerification = verification;
+    this.logger.logStep('tenure_verification', verification, hasDiscrepancy ? 'warning' : 'success');
+    
+    // Update context for the prompt
+    this.conversationState.context.hasDiscrepancy = hasDiscrepancy;
+    this.conversationState.context.applicationTenure = applicationTenure;
+    this.conversationState.context.statedTenure = statedTenure;
+    
+    return verification;
+  }
+
+  /**
+   * Compares an address given by the user with the mailing address on file
+   * and records the result for underwriting
+   * @param {object} address - Collected address
+   * @returns {object|null} - Comparison result, or null if there is no address on file
+   */
+  verifyAddress(address) {
+    const onFile = this.applicantData.mailing_address;
+    if (!onFile) {
+      return null;
+    }
+    
+    const comparison = compareAddresses(address, onFile);
+    this.conversationState.collectedData.addressVerification = comparison;
+    this.logger.logStep('address_verification', {
+      result: comparison.result,
+      differingFields: Object.keys(comparison.diffs)
+    }, comparison.result === 'match' ? 'success' : 'warning');
+    
+    return comparison;
   }
   
+  /**
+   * Finds the details a correction refers to ("my email is wrong", "income should be 7,000")
+   * @param {string} userResponse - User's correction
+   * @returns {string[]} - Keys of CORRECTION_FIELDS that were mentioned and collected
+   */
+  findCorrectionFields(userResponse) {
+    const response = String(userResponse || '').toLowerCase();
+    const collectedData = this.conversationState.collectedData;
+    const collected = {
+      address: Boolean(collectedData.address),
+      email: Boolean(collectedData.email || collectedData.noEmail),
+      income: Boolean(collectedData.monthlyIncome),
+      tenure: Boolean(collectedData.jobTenure || collectedData.employmentStatus)
+    };
+    
+    return Object.keys(CORRECTION_FIELDS)
+      .filter(field => collected[field] && CORRECTION_FIELDS[field].pattern.test(response));
+  }
+
+  /**
+   * Whether a response refers to the identity details checked at the start of the call
+   * @param {string} userResponse - User's response
+   * @returns {boolean} - Whether date of birth or SSN was mentioned
+   */
+  mentionsIdentity(userResponse) {
+    return IDENTITY_FIELD_PATTERN.test(String(userResponse || '').toLowerCase());
+  }
+
+  /**
+   * Applies a correction to each named detail that has a new value in the response.
+   * Verified identity details are refused rather than changed.
+   * @param {string} userResponse - User's correction
+   * @param {string[]} fields - Keys of CORRECTION_FIELDS to update
+   * @returns {Promise<{applied: number, missing: (string|null), refused: boolean}>} - Details updated,
+   *   the first named detail without a value, and whether an identity change was refused
+   */
+  async applyCorrections(userResponse, fields) {
+    const context = this.conversationState.context;
+    const refused = this.identityVerified && this.mentionsIdentity(userResponse);
+    if (refused) {
+      context.correctionNotice = "Your date of birth and Social Security number were already verified, so I can't change them on this call.";
+      this.logger.logStep('identity_correction_refused', { userResponse }, 'warning');
+    }
+    
+    const readbacks = [];
+    let missing = null;
+    for (const field of fields) {
+      const readback = await this.correctField(field, userResponse);
+      if (readback) {
+        readbacks.push(readback);
+        this.logger.logStep('field_corrected', { field, userResponse }, 'success');
+      } else {
+        missing = missing || field;
+      }
+    }
+    
+    if (readbacks.length > 0) {
+      context.correctionReadback = [context.correctionReadback, ...readbacks].filter(Boolean).join(' ');
+    }
+    
+    return { applied: readbacks.length, missing, refused };
+  }
+
+  /**
+   * Sets up the prompt asking for a corrected value, naming the part of the
+   * address when the caller named one
+   * @param {string} field - Key of CORRECTION_FIELDS
+   * @param {string} userResponse - Response that named the detail
+   */
+  askForCorrection(field, userResponse) {
+    const context = this.conversationState.context;
+    const response = String(userResponse || '').toLowerCase();
+    const part = field === 'address'
+      ? Object.keys(ADDRESS_PARTS).find(key => ADDRESS_PARTS[key].pattern.test(response))
+      : null;
+    
+    // Asking again keeps the part named the turn before
+    context.correctionPart = part || (context.correctionField === field ? context.correctionPart : null);
+    context.correctionField = field;
+    context.correctionLabel = context.correctionPart
+      ? ADDRESS_PARTS[context.correctionPart].label
+      : CORRECTION_FIELDS[field].label;
+  }
+
+  /**
+   * Updates one collected detail from a correction and re-runs its checks
+   * @param {string} field - Key of CORRECTION_FIELDS
+   * @param {string} userResponse - User's correction
+   * @returns {Promise<string|null>} - Read-back of the new value, or null if the response has none
+   */
+  async correctField(field, userResponse) {
+    const collectedData = this.conversationState.collectedData;
+    
+    switch (field) {
+      case 'address':
+        return this.correctAddress(userResponse, this.conversationState.context.correctionPart);
+      
+      case 'email': {
+        const { email } = await this.extractSlots(userResponse, ['email']);
+        if (!email || !this.checkValid('email', validateEmail, email)) return null;
+        collectedData.email = email;
+        collectedData.noEmail = false;
+        return `Your email is now ${formatSpokenEmail(email)}.`;
+      }
+      
+      case 'income': {
+        let income = parseIncome(userResponse);
+        if (!income) {
+          const extracted = await this.extractSlots(userResponse, ['income']);
+          income = parseIncome(extracted?.income);
+        }
+        if (!income || !this.checkValid('income', validateIncome, income.monthly)) return null;
+        collectedData.incomeDetails = income;
+        collectedData.monthlyIncome = income.monthly;
+        this.verifyIncome(income.monthly);
+        return `Your monthly income is now ${formatSpokenCurrency(income.monthly)}.`;
+      }
+      
+      case 'tenure': {
+        const now = new Date(this.config.callDate);
+        let duration = parseDuration(userResponse, { now });
+        if (!duration) {
+          const extracted = await this.extractSlots(userResponse, ['tenure']);
+          duration = parseDuration(extracted?.tenure, { now, defaultUnit: 'months' });
+        }
+        if (!duration || !this.checkValid('tenure', validateTenure, duration.months)) return null;
+        collectedData.jobTenure = duration.months;
+        collectedData.tenureDetails = duration;
+        delete collectedData.employmentStatus;
+        this.verifyTenure(duration.months);
+        return `You've been with your current employer for ${duration.months} months.`;
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Updates the collected address from a correction. A full address replaces
+   * the old one; otherwise only a named ZIP code, state or unit changes.
+   * @param {string} userResponse - User's correction
+   * @param {string|null} part - Key of ADDRESS_PARTS the caller was asked for, if any
+   * @returns {Promise<string|null>} - Read-back of the new address, or null if the response has none
+   */
+  async correctAddress(userResponse, part = null) {
+    const collectedData = this.conversationState.collectedData;
+    const response = userResponse.toLowerCase();
+    const extracted = await this.extractSlots(userResponse, ['street', 'city', 'state', 'zip_code']);
+    
+    const changes = {};
+    // A street alone isn't a new address; a bare ZIP or unit reads as a house number
+    if (extracted?.street && (extracted.city || extracted.state || extracted.zip_code)) {
+      for (const key of ['street', 'city', 'state', 'zip_code']) {
+        if (extracted[key]) changes[key] = extracted[key];
+      }
+    } else {
+      if (extracted?.zip_code && ADDRESS_PARTS.zip_code.pattern.test(response)) changes.zip_code = extracted.zip_code;
+      if (extracted?.state && ADDRESS_PARTS.state.pattern.test(response)) changes.state = extracted.state;
+      if (part && part !== 'unit' && !changes[part]) {
+        const value = parseAddressPart(userResponse, part);
+        if (value) changes[part] = value;
+      }
+    }
+    
+    const unit = extractUnit(userResponse) || (part === 'unit' ? parseAddressPart(userResponse, part) : null);
+    if (Object.keys(changes).length === 0 && !unit) {
+      return null;
+    }
+    
+    // A new street starts a new address, so the old unit doesn't carry over
+    const address = changes.street ? changes : { ...collectedData.address, ...changes };
+    if (!this.checkValid('address', validateAddress, address)) return null;
+    collectedData.address = address;
+    
+    const verification = this.verifyAddress(address);
+    collectedData.addressChanged = verification?.result === 'mismatch';
+    if (unit) {
+      this.recordUnit(unit);
+    }
+    
+    return `Your mailing address is now ${formatSpokenAddress(collectedData.address)}.`;
+  }
+
   // --- UTILITY METHODS ---
 
   /**
    * Transitions to a new conversation node
    * @param {string} nodeId - The ID of the node to transition to
+   * @param {object} context - Why the transition was taken (event, guard), for the log
    */
-  transitionTo(nodeId) {
+  transitionTo(nodeId, context = {}) {
+    const current = this.conversationState.currentNodeId;
+    this.logger.logNodeTransition(current, nodeId, context);
+    if (nodeId !== current) {
+      if (Object.keys(this.nodes[current]?.slots || {}).length > 0) {
+        this.conversationState.history = [...(this.conversationState.history || []), current];
+      }
+      this.conversationState.noProgressTurns = 0;
+    }
     this.conversationState.currentNodeId = nodeId;
   }
+
+  /**
+   * Follows one of the current node's transitions. Candidates are tried in
+   * order and the first whose guard passes is taken.
+   * @param {string} event - Transition event (e.g. 'next', 'success', 'failure')
+   * @returns {string|null} - The node transitioned to, or null if none applied
+   */
+  transitionOn(event) {
+    const nodeId = this.conversationState.currentNodeId;
+    const candidates = this.nodes[nodeId]?.transitions?.[event] || [];
+    const target = candidates.find(candidate => !candidate.guard || guards[candidate.guard](this));
+
+    if (!target) {
+      this.logger.logError(`No transition for event "${event}" from node ${nodeId}`, {
+        currentNodeId: nodeId,
+        event,
+        guards: candidates.map(candidate => candidate.guard).filter(Boolean)
+      }, 'high');
+      return null;
+    }
+
+    this.transitionTo(target.to, { event, guard: target.guard || null });
+    return target.to;
+  }
+
+  /**
+   * Keeps the conversation on the current node after an answer that made no
+   * progress, so the next reprompt variant is asked. Once the node's budget
+   * (maxNoProgressTurns) is spent the node's noProgress transition is taken.
+   */
+  stay() {
+    const nodeId = this.conversationState.currentNodeId;
+    const turns = (this.conversationState.noProgressTurns || 0) + 1;
+    const limit = this.nodes[nodeId]?.maxNoProgressTurns || this.config.maxNoProgressTurns;
+    this.conversationState.noProgressTurns = turns;
+    
+    if (turns > limit) {
+      this.logger.logStep('no_progress_limit_reached', { nodeId, turns, limit }, 'warning');
+      const target = this.transitionOn('noProgress');
+      if (target === ESCALATION_NODE) {
+        this.recordHandoff('no_progress', nodeId, turns);
+      }
+      return;
+    }
+    
+    this.logger.logStep('no_progress', { nodeId, turns, limit });
+  }
+
+  /**
+   * Extracts the current node's slots from the user's response
+   * @param {string} userResponse - The user's response
+   * @param {string[]} slotNames - Subset of slots to extract (defaults to all of the node's slots)
+   * @returns {Promise<object>} - Extracted values keyed by slot name
+   */
+  async extractSlots(userResponse, slotNames) {
+    const slots = this.nodes[this.conversationState.currentNodeId]?.slots || {};
+    const schema = {};
+    const types = {};
+    for (const name of slotNames || Object.keys(slots)) {
+      if (slots[name]) {
+        schema[name] = slots[name].description;
+        types[name] = slots[name].type;
+      }
+    }
+    return this.llm.extractEntities(userResponse, schema, {
+      ...this.config.llm,
+      strategy: this.config.extractionStrategy,
+      types,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Classifies what the user means by a reply to the current node's question.
+   * Replies below the configured confidence are treated as unsure.
+   * @param {string} userResponse - The user's response
+   * @returns {Promise<{intent: string, confidence: number, source: string}>} - Intent and confidence (0-1)
+   */
+  async classifyReply(userResponse) {
+    const nodeId = this.conversationState.currentNodeId;
+    let classification;
+    try {
+      classification = await this.llm.classifyIntent(userResponse, {
+        ...this.config.llm,
+        strategy: this.config.extractionStrategy,
+        question: this.nodes[nodeId]?.prompt(this.conversationState.context),
+        logger: this.logger
+      });
+    } catch (error) {
+      console.error('Error classifying intent:', error);
+      classification = { intent: 'unsure', confidence: 0, source: 'error' };
+    }
+    
+    this.logger.logStep('intent_classified', { nodeId, userResponse, ...classification });
+    
+    if (classification.confidence < this.config.intentConfidenceThreshold) {
+      return { ...classification, intent: 'unsure' };
+    }
+    return classification;
+  }
+
+  /**
+   * Whether the conversation has reached a terminal node
+   * @returns {boolean} - Whether the current node is terminal
+   */
+  isTerminal() {
+    return Boolean(this.nodes[this.conversationState.currentNodeId]?.isTerminal);
+  }
   
   /**
    * Updates context for prompt generation
@@ -545,6 +1782,9 @@ class VerificationAgent {
     if (ssnLast4) {
       this.conversationState.context.ssn = formatSpokenDigits(ssnLast4);
     }
+    if (address?.unit) {
+      this.conversationState.context.unit = address.unit;
+    }
     if (address) {
       this.conversationState.context.address = formatSpokenAddress(address);
     }
@@ -0,0 +1,72 @@
+/**
+ * Conversational Commands
+ * Requests about the conversation itself ("can you repeat that?", "slow down",
+ * "go back", "hold on") rather than answers to the current question. The agent
+ * checks for these before running the current node's handler.
+ */
+
+import { classifyIntentWithRules } from '../services/intentClassifier.js';
+
+export const COMMANDS = ['repeat', 'slowDown', 'goBack', 'hold'];
+
+// Checked before the intent rules, which would read "what was the last question" as a repeat
+const COMMAND_PATTERNS = [
+  ['goBack', [
+    /\bgo(?:ing)?\s+back\b/,
+    /\b(?:previous|last)\s+question\b.*\b(?:again|back|change|wrong)\b/,
+    /\bchange\s+my\s+(?:last|previous)\s+answer\b/
+  ]],
+  ['slowDown', [
+    /\bslow(?:er)?\s+down\b/,
+    /\b(?:more\s+slowly|slower|too\s+fast)\b/
+  ]],
+  ['repeat', [
+    /\bwhat\s+(?:was|is)\s+the\s+question\b/,
+    /\bwhat\s+did\s+you\s+(?:ask|need)\b/
+  ]]
+];
+
+// The intent rules already recognize these; they become commands when said on their own
+const INTENT_COMMANDS = { repeat: 'repeat', hold: 'hold' };
+
+// Longer replies are answers that happen to contain a command phrase
+const MAX_COMMAND_WORDS = 8;
+
+/**
+ * Removes "one second"-style phrases, which are a hold rather than a number
+ * @param {string} value - Lowercased reply
+ * @returns {string} - Reply without them
+ */
+function withoutHoldPhrases(value) {
+  return value.replace(/\b(?:1|one|a)\s+(?:sec|second|moment|minute)s?\b/g, '');
+}
+
+/**
+ * Finds a conversational command in a reply. A reply that also carries an
+ * answer ("hold on, it's 1234") is left to the node handler.
+ * @param {string} text - User's response, after transcript normalization
+ * @param {string} original - The response as transcribed, before number words became digits (default: text)
+ * @returns {string|null} - One of COMMANDS, or null if the reply is an answer
+ */
+export function detectCommand(text, original = text) {
+  const value = String(text || '').toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+
+  // Normalizing turns "one more time" into "1 more time", so a lone digit only
+  // counts as an answer if it was said as one; spoken digit strings still count
+  const content = withoutHoldPhrases(value);
+  const spoken = withoutHoldPhrases(String(original || '').toLowerCase());
+  if (/@|\d{2}/.test(content) || /\d/.test(spoken) || value.split(' ').length > MAX_COMMAND_WORDS) {
+    return null;
+  }
+
+  for (const [command, patterns] of COMMAND_PATTERNS) {
+    if (patterns.some(pattern => pattern.test(value))) {
+      return command;
+    }
+  }
+
+  return INTENT_COMMANDS[classifyIntentWithRules(value).intent] || null;
+}
+
+export default detectCommand;
@@ -0,0 +1,55 @@
+/**
+ * Escalation Triggers
+ * Replies that should take the call to a person, whatever question is being
+ * asked: a request for a human, signs of distress, or signs of fraud. The
+ * agent checks for these before commands and node handlers.
+ */
+
+import { classifyIntentWithRules } from '../services/intentClassifier.js';
+
+// Why a call was handed off; no_progress comes from a node's no-progress budget,
+// lockout_unavailable from an identity lockout registry that couldn't be reached
+// or an applicant it can't track,
+// audit_unavailable from an audit trail that couldn't record a decision
+export const ESCALATION_REASONS = ['caller_request', 'distress', 'fraud', 'no_progress', 'lockout_unavailable', 'audit_unavailable'];
+
+// The applicant may not have made this application
+const FRAUD_PATTERNS = [
+  /\bi\s+(?:never|didn't|did\s+not)\s+(?:apply|applied|submit|submitted|fill\s+out|sign\s+up)\b/,
+  /\b(?:not|isn't)\s+my\s+application\b/,
+  /\bsomeone\s+(?:else\s+)?(?:used|stole|took|is\s+using|opened)\b/,
+  /\b(?:identity\s+theft|stolen\s+identity|stole\s+my\s+identity)\b/,
+  /\b(?:fraud\w*|scam\w*|unauthori[sz]ed|didn't\s+authori[sz]e)\b/
+];
+
+// The caller is in no state to continue an automated call
+const DISTRESS_PATTERNS = [
+  /\b(?:scared|frightened|terrified|panicking|crying|overwhelmed)\b/,
+  /\b(?:suicid\w*|kill\s+myself|want\s+to\s+die|hurt\s+myself)\b/,
+  /\b(?:emergency|in\s+danger|being\s+threatened|harass\w*)\b/,
+  /\bcan't\s+(?:cope|do\s+this|take\s+(?:this|it)\s+anymore)\b/
+];
+
+/**
+ * Finds a reason to hand the call to a person
+ * @param {string} text - User's response
+ * @returns {string|null} - One of ESCALATION_REASONS, or null to carry on
+ */
+export function detectEscalation(text) {
+  const value = String(text || '').toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+
+  if (FRAUD_PATTERNS.some(pattern => pattern.test(value))) {
+    return 'fraud';
+  }
+  if (DISTRESS_PATTERNS.some(pattern => pattern.test(value))) {
+    return 'distress';
+  }
+  if (classifyIntentWithRules(value).intent === 'escalate') {
+    return 'caller_request';
+  }
+
+  return null;
+}
+
+export default detectEscalation;
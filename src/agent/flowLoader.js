@@ -0,0 +1,229 @@
+/**
+ * Conversation Flow Loader
+ * Builds runtime conversation nodes from declarative (JSON) flow definitions so
+ * new scripts can ship without touching agent code
+ */
+
+import fs from 'fs';
+import { renderTemplate, promptBuilders } from './prompts.js';
+import { guards } from './guards.js';
+
+export const SLOT_TYPES = ['string', 'date', 'digits', 'email', 'money', 'duration', 'boolean'];
+
+const NODE_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const EVENT_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Raised when a flow definition is malformed. Carries every problem found,
+ * not just the first, so authors can fix a definition in one pass.
+ */
+export class FlowDefinitionError extends Error {
+  constructor(flowId, errors) {
+    super(`Invalid flow definition "${flowId}":\n  - ${errors.join('\n  - ')}`);
+    this.name = 'FlowDefinitionError';
+    this.flowId = flowId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks a single prompt definition
+ * @param {string|object} prompt - Prompt definition
+ * @param {string} where - Location used in error messages
+ * @param {string[]} errors - Error accumulator
+ */
+function checkPrompt(prompt, where, errors) {
+  if (typeof prompt === 'string') return;
+
+  if (!prompt || typeof prompt !== 'object') {
+    errors.push(`${where}: prompt must be a string or an object`);
+  } else if ('builder' in prompt) {
+    if (!promptBuilders[prompt.builder]) {
+      errors.push(`${where}: unknown prompt builder "${prompt.builder}"`);
+    }
+  } else if ('when' in prompt) {
+    if (typeof prompt.when !== 'string') {
+      errors.push(`${where}: conditional prompt "when" must name a context key`);
+    }
+    checkPrompt(prompt.then, `${where}.then`, errors);
+    checkPrompt(prompt.else, `${where}.else`, errors);
+  } else {
+    errors.push(`${where}: prompt object must have "builder" or "when"`);
+  }
+}
+
+/**
+ * Normalizes a transition definition into a list of guarded candidates
+ * @param {string|object|Array} definition - Transition definition
+ * @returns {Array<{to: string, guard: (string|undefined)}>} - Candidates, tried in order
+ */
+function normalizeTransition(definition) {
+  const candidates = Array.isArray(definition) ? definition : [definition];
+  return candidates.map(candidate =>
+    typeof candidate === 'string' ? { to: candidate } : { to: candidate?.to, guard: candidate?.guard }
+  );
+}
+
+/**
+ * Validates the shape of a flow definition. Graph-level checks (reachability,
+ * dangling targets) are left to the flow validator.
+ * @param {object} definition - Flow definition
+ * @returns {string[]} - Problems found (empty when the definition is well-formed)
+ */
+export function checkFlowDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return ['definition must be an object'];
+  }
+
+  if (typeof definition.id !== 'string' || definition.id === '') {
+    errors.push('id is required');
+  }
+
+  if (!definition.nodes || typeof definition.nodes !== 'object' || Object.keys(definition.nodes).length === 0) {
+    errors.push('nodes must be a non-empty object');
+    return errors;
+  }
+
+  if (!definition.nodes[definition.startNode]) {
+    errors.push(`startNode "${definition.startNode}" is not defined in nodes`);
+  }
+
+  for (const [nodeId, node] of Object.entries(definition.nodes)) {
+    const where = `nodes.${nodeId}`;
+
+    if (!NODE_ID_PATTERN.test(nodeId)) {
+      errors.push(`${where}: node IDs must be UPPER_SNAKE_CASE`);
+    }
+    if (!node || typeof node !== 'object') {
+      errors.push(`${where}: node must be an object`);
+      continue;
+    }
+    if (typeof node.handler !== 'string' || node.handler === '') {
+      errors.push(`${where}: handler is required`);
+    }
+
+    checkPrompt(node.prompt, `${where}.prompt`, errors);
+
+    if (node.reprompts !== undefined) {
+      if (!Array.isArray(node.reprompts) || node.reprompts.length === 0) {
+        errors.push(`${where}.reprompts: must be a non-empty array of prompts`);
+      } else {
+        node.reprompts.forEach((reprompt, index) => checkPrompt(reprompt, `${where}.reprompts[${index}]`, errors));
+      }
+    }
+    if (node.maxNoProgressTurns !== undefined && !(Number.isInteger(node.maxNoProgressTurns) && node.maxNoProgressTurns > 0)) {
+      errors.push(`${where}: maxNoProgressTurns must be a positive integer`);
+    }
+
+    for (const [event, transition] of Object.entries(node.transitions || {})) {
+      if (!EVENT_PATTERN.test(event)) {
+        errors.push(`${where}.transitions.${event}: event names must be camelCase`);
+      }
+      for (const candidate of normalizeTransition(transition)) {
+        if (typeof candidate.to !== 'string' || candidate.to === '') {
+          errors.push(`${where}.transitions.${event}: target node is required`);
+        }
+        if (candidate.guard !== undefined && !guards[candidate.guard]) {
+          errors.push(`${where}.transitions.${event}: unknown guard "${candidate.guard}"`);
+        }
+      }
+    }
+
+    if (node.isTerminal && Object.keys(node.transitions || {}).length > 0) {
+      errors.push(`${where}: terminal nodes cannot have transitions`);
+    }
+    if (node.outcome !== undefined && (!node.isTerminal || typeof node.outcome !== 'string')) {
+      errors.push(`${where}: outcome must be a string on a terminal node`);
+    }
+
+    for (const [slotName, slot] of Object.entries(node.slots || {})) {
+      if (!SLOT_TYPES.includes(slot?.type)) {
+        errors.push(`${where}.slots.${slotName}: type must be one of ${SLOT_TYPES.join(', ')}`);
+      }
+      if (typeof slot?.description !== 'string' || slot.description === '') {
+        errors.push(`${where}.slots.${slotName}: description is required`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compiles a prompt definition into a prompt function
+ * @param {string|object} prompt - Prompt definition
+ * @returns {function(object): string} - Prompt function taking the prompt context
+ */
+function compilePrompt(prompt) {
+  if (typeof prompt === 'string') {
+    return (context) => renderTemplate(prompt, context);
+  }
+  if (prompt.builder) {
+    return promptBuilders[prompt.builder];
+  }
+
+  const whenTrue = compilePrompt(prompt.then);
+  const whenFalse = compilePrompt(prompt.else);
+  return (context) => (context[prompt.when] ? whenTrue(context) : whenFalse(context));
+}
+
+/**
+ * Loads a flow from a definition object
+ * @param {object} definition - Flow definition
+ * @returns {object} - Loaded flow ({ id, version, description, startNode, nodes, definition })
+ * @throws {FlowDefinitionError} - If the definition is malformed
+ */
+export function loadFlow(definition) {
+  const errors = checkFlowDefinition(definition);
+  if (errors.length > 0) {
+    throw new FlowDefinitionError(definition?.id || 'unknown', errors);
+  }
+
+  const nodes = {};
+  for (const [nodeId, node] of Object.entries(definition.nodes)) {
+    const transitions = {};
+    for (const [event, transition] of Object.entries(node.transitions || {})) {
+      transitions[event] = normalizeTransition(transition);
+    }
+
+    nodes[nodeId] = {
+      id: nodeId,
+      prompt: compilePrompt(node.prompt),
+      // Asked in turn when an answer makes no progress; the last one repeats
+      reprompts: (node.reprompts || []).map(compilePrompt),
+      // Overrides the agent's maxNoProgressTurns for this node
+      maxNoProgressTurns: node.maxNoProgressTurns,
+      handler: node.handler,
+      transitions,
+      slots: node.slots || {},
+      isTerminal: node.isTerminal === true,
+      // Completion outcome logged when the conversation ends on this node
+      outcome: node.outcome,
+      // Unguarded shorthands kept for code that reads the classic node shape
+      next: transitions.next?.[0]?.to,
+      onSuccess: transitions.success?.[0]?.to,
+      onFailure: transitions.failure?.[0]?.to
+    };
+  }
+
+  return {
+    id: definition.id,
+    version: definition.version,
+    description: definition.description,
+    startNode: definition.startNode,
+    nodes,
+    definition
+  };
+}
+
+/**
+ * Loads a flow from a JSON definition file
+ * @param {string|URL} filePath - Path to the definition file
+ * @returns {object} - Loaded flow
+ */
+export function loadFlowFromFile(filePath) {
+  const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return loadFlow(definition);
+}
@@ -0,0 +1,163 @@
+/**
+ * Conversation Flow Graph Validator
+ * Statically checks a loaded flow against the handlers that will run it, so a
+ * broken script fails at startup instead of mid-call with "node not found"
+ */
+
+/**
+ * Raised when a flow graph has errors
+ */
+export class FlowValidationError extends Error {
+  constructor(flowId, errors) {
+    super(`Flow "${flowId}" failed validation:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'FlowValidationError';
+    this.flowId = flowId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collects every target referenced by a node
+ * @param {object} node - Loaded node
+ * @returns {Array<{event: string, to: string}>} - Referenced targets
+ */
+function getReferences(node) {
+  const references = [];
+  for (const [event, candidates] of Object.entries(node.transitions || {})) {
+    for (const candidate of candidates) {
+      references.push({ event, to: candidate.to });
+    }
+  }
+  // Loaded nodes derive these shorthands from transitions; only hand-built nodes need them checked
+  if (!node.transitions) {
+    for (const key of ['next', 'onSuccess', 'onFailure']) {
+      if (node[key]) {
+        references.push({ event: key, to: node[key] });
+      }
+    }
+  }
+  return references;
+}
+
+/**
+ * Finds every node reachable from a set of starting nodes
+ * @param {string[]} startIds - Starting node IDs
+ * @param {function(string): string[]} neighbours - Adjacent node IDs for a node
+ * @returns {Set<string>} - Reachable node IDs (including the starting nodes)
+ */
+function reachableFrom(startIds, neighbours) {
+  const seen = new Set(startIds);
+  const queue = [...startIds];
+  while (queue.length > 0) {
+    for (const nextId of neighbours(queue.shift())) {
+      if (!seen.has(nextId)) {
+        seen.add(nextId);
+        queue.push(nextId);
+      }
+    }
+  }
+  return seen;
+}
+
+/**
+ * Validates a flow's graph
+ * @param {object} flow - Loaded flow (see flowLoader.loadFlow)
+ * @param {object} options - Validation options
+ * @param {object} options.handlers - Object whose methods implement node handlers (e.g. VerificationAgent.prototype)
+ * @param {object} options.handlerEvents - Transition events each handler can emit, keyed by handler name
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}} - Validation result
+ */
+export function validateFlowGraph(flow, options = {}) {
+  const { handlers, handlerEvents = {} } = options;
+  const { nodes, startNode } = flow;
+  const errors = [];
+  const warnings = [];
+
+  const edges = {};
+  for (const [nodeId, node] of Object.entries(nodes)) {
+    const references = getReferences(node);
+    edges[nodeId] = [];
+
+    for (const { event, to } of references) {
+      if (!nodes[to]) {
+        errors.push(`${nodeId}: "${event}" targets unknown node ${to}`);
+      } else {
+        edges[nodeId].push(to);
+      }
+    }
+
+    if (handlers && typeof handlers[node.handler] !== 'function') {
+      errors.push(`${nodeId}: handler "${node.handler}" is not implemented`);
+    }
+
+    const emitted = handlerEvents[node.handler];
+    if (emitted) {
+      for (const event of emitted) {
+        if (!node.transitions?.[event]) {
+          errors.push(`${nodeId}: handler "${node.handler}" emits "${event}" but the node has no "${event}" transition`);
+        }
+      }
+      for (const event of Object.keys(node.transitions || {})) {
+        if (!emitted.includes(event)) {
+          warnings.push(`${nodeId}: "${event}" transition is never emitted by handler "${node.handler}"`);
+        }
+      }
+    }
+
+    if (!node.isTerminal && references.length === 0) {
+      errors.push(`${nodeId}: non-terminal node has no outgoing transitions`);
+    }
+  }
+
+  if (!nodes[startNode]) {
+    errors.push(`start node ${startNode} is not defined`);
+    return { valid: false, errors, warnings };
+  }
+
+  const terminalIds = Object.keys(nodes).filter(nodeId => nodes[nodeId].isTerminal);
+  const reachable = reachableFrom([startNode], nodeId => edges[nodeId] || []);
+
+  if (!terminalIds.some(nodeId => reachable.has(nodeId))) {
+    errors.push(`no terminal node is reachable from ${startNode}`);
+  }
+
+  for (const nodeId of Object.keys(nodes)) {
+    if (!reachable.has(nodeId)) {
+      const message = `${nodeId}: unreachable from ${startNode}`;
+      // An unreachable terminal means an outcome the script can never produce
+      (nodes[nodeId].isTerminal ? errors : warnings).push(message);
+    }
+  }
+
+  // Walk edges backwards from the terminals to find nodes that can never finish
+  const incoming = {};
+  for (const [from, targets] of Object.entries(edges)) {
+    for (const to of targets) {
+      (incoming[to] = incoming[to] || []).push(from);
+    }
+  }
+  const canFinish = reachableFrom(terminalIds, nodeId => incoming[nodeId] || []);
+
+  for (const nodeId of reachable) {
+    if (!nodes[nodeId].isTerminal && !canFinish.has(nodeId) && edges[nodeId].length > 0) {
+      errors.push(`${nodeId}: dead end, no terminal node is reachable from it`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validates a flow's graph and throws if it has errors
+ * @param {object} flow - Loaded flow
+ * @param {object} options - See validateFlowGraph
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}} - Validation result (always valid)
+ * @throws {FlowValidationError} - If the graph has errors
+ */
+export function assertValidFlowGraph(flow, options = {}) {
+  const result = validateFlowGraph(flow, options);
+  if (!result.valid) {
+    throw new FlowValidationError(flow.id, result.errors);
+  }
+  return result;
+}
@@ -0,0 +1,11 @@
+/**
+ * Transition guards referenced by name from flow definitions.
+ * Each guard receives the agent and returns whether the transition may be taken.
+ */
+export const guards = {
+  // Security gate: contact and employment data is only collected from a verified caller
+  identityVerified: (agent) => agent.identityVerified === true,
+  // Identity retry: only the details that have to be given again are asked for
+  identityRetryNeedsDob: (agent) => (agent.conversationState.identityRetry || []).includes('dob'),
+  identityRetryNeedsSsn: (agent) => (agent.conversationState.identityRetry || []).includes('ssn')
+};
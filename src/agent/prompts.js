@@ -0,0 +1,54 @@
+import { formatSpokenDate, formatSpokenAddress, formatSpokenEmail, formatSpokenCurrency } from '../utils/formatters.js';
+
+/**
+ * Renders a prompt template, replacing {{key}} placeholders with context values.
+ * Dotted keys ({{address.city}}) read nested values; missing values render empty.
+ * @param {string} template - Prompt template
+ * @param {object} context - Prompt context
+ * @returns {string} - Rendered prompt
+ */
+export function renderTemplate(template, context = {}) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => current?.[part], context);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Prompt builders for prompts too dynamic for a template.
+ * Flow definitions reference these by name: { "builder": "finalConfirmationSummary" }
+ */
+export const promptBuilders = {
+  /**
+   * Reads back everything collected so the caller can confirm it, or just
+   * what changed after a correction
+   * @param {object} context - Prompt context
+   * @returns {string} - Summary prompt
+   */
+  finalConfirmationSummary: (context) => {
+    // After a correction only the changed details are read back
+    if (context.correctionReadback || context.correctionNotice) {
+      const update = context.correctionReadback ? `Thanks, I've updated that. ${context.correctionReadback}` : '';
+      return [context.correctionNotice, update, 'Is everything correct now?'].filter(Boolean).join(' ');
+    }
+
+    const data = context.collectedData || {};
+    const address = data.address || {};
+    const email = data.email ? formatSpokenEmail(data.email) : 'No email provided';
+
+    // Build comprehensive summary
+    let summary = `Your date of birth is ${formatSpokenDate(data.dob || 'Not provided')}. `;
+    summary += `Your mailing address is ${formatSpokenAddress(address)}. `;
+    summary += `Your email is ${email}. `;
+    summary += `Your monthly income is ${formatSpokenCurrency(data.monthlyIncome || 0)}`;
+
+    // Add tenure information based on employment status
+    if (data.employmentStatus === 'self_employed') {
+      summary += `, and you're self-employed`;
+    } else if (data.jobTenure) {
+      summary += `, and you've been with your current employer for ${data.jobTenure} months`;
+    }
+
+    return `Let me summarize the information we've collected today to make sure everything is accurate. ${summary}. Is all of this information correct?`;
+  }
+};
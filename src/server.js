@@ -0,0 +1,350 @@
+/**
+ * Verification Session API
+ * Exposes VerificationAgent conversations over HTTP so that external channels
+ * (telephony, chat widgets) can drive a verification call turn by turn
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import VerificationAgent from './agent/VerificationAgent.js';
+import { flows } from './agent/conversationFlow.js';
+import { createSessionStore } from './services/sessionStore.js';
+import { getDefaultLockoutRegistry, resolveApplicantId } from './services/lockoutRegistry.js';
+import { getDefaultAuditTrail } from './services/auditTrail.js';
+
+dotenv.config();
+
+// The only config a client may choose per session; identity limits, logging,
+// redaction and storage stay with the server's agentConfig
+const SESSION_CONFIG_KEYS = ['flowId'];
+
+// Session IDs the agent generates ("session_<time>_<random>"); anything else names no session
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Checks a client-supplied session config
+ * @param {any} config - The request body's config
+ * @returns {string|null} - Why the config is rejected, or null if it is acceptable
+ */
+function findSessionConfigError(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'config must be an object';
+  }
+
+  const unsupported = Object.keys(config).filter(key => !SESSION_CONFIG_KEYS.includes(key));
+  if (unsupported.length > 0) {
+    return `Unsupported session config: ${unsupported.join(', ')}`;
+  }
+  if (config.flowId !== undefined && !Object.hasOwn(flows, config.flowId)) {
+    return `Unknown conversation flow: ${config.flowId}`;
+  }
+  return null;
+}
+
+/**
+ * Builds the public view of a session's current turn
+ * @param {string} sessionId - Session ID
+ * @param {VerificationAgent} agent - The agent driving the session
+ * @param {string} prompt - The prompt to send to the caller
+ * @returns {object} - Turn payload
+ */
+function buildTurnResponse(sessionId, agent, prompt) {
+  const currentNodeId = agent.conversationState.currentNodeId;
+  return {
+    sessionId,
+    prompt,
+    currentNodeId,
+    isTerminal: agent.isTerminal(),
+    // Set while the caller is on hold: re-prompt if they say nothing for this long
+    repromptAfterMs: agent.getRepromptDelay()
+  };
+}
+
+/**
+ * Builds the public view of a session's full state
+ * @param {string} sessionId - Session ID
+ * @param {VerificationAgent} agent - The agent driving the session
+ * @returns {object} - Session state payload
+ */
+function buildSessionState(sessionId, agent) {
+  const { currentNodeId, attempts, collectedData } = agent.conversationState;
+  return {
+    sessionId,
+    currentNodeId,
+    isTerminal: agent.isTerminal(),
+    identityVerified: agent.identityVerified,
+    attempts,
+    // Redacted as the logs are, so the caller's answers never leave in plain text
+    collectedData: agent.logger.redactor.redact(collectedData),
+    escalated: Boolean(agent.conversationState.handoff)
+  };
+}
+
+/**
+ * Creates the Express application
+ * @param {object} options - App options
+ * @param {Map} options.sessions - Cache of live agents (defaults to a new in-memory Map)
+ * @param {SessionStore} options.sessionStore - Snapshot store used to resume sessions not in the cache
+ * @param {object} options.agentConfig - Default config passed to every VerificationAgent
+ * @param {LockoutRegistry} options.lockoutRegistry - Identity lockouts shared by every session (defaults to the process-wide registry)
+ * @param {AuditTrail} options.auditTrail - Compliance audit trail shared by every session (defaults to the process-wide trail)
+ * @returns {express.Application} - Configured app
+ */
+export function createApp(options = {}) {
+  const sessions = options.sessions || new Map();
+  const sessionStore = options.sessionStore || createSessionStore();
+  const agentConfig = options.agentConfig || {};
+  const lockoutRegistry = options.lockoutRegistry || agentConfig.lockoutRegistry || getDefaultLockoutRegistry();
+  const auditTrail = options.auditTrail || agentConfig.auditTrail || getDefaultAuditTrail();
+  // Work queued on each session, so two requests never run on one agent at once
+  // (or load it from the store twice)
+  const sessionQueues = new Map();
+  const app = express();
+
+  /**
+   * Runs a request's work on a session once the work already queued on it is done
+   * @param {string} sessionId - Session ID
+   * @param {function(): Promise<any>} work - The request's work
+   * @returns {Promise<any>} - The work's result
+   */
+  function withSession(sessionId, work) {
+    const result = (sessionQueues.get(sessionId) || Promise.resolve()).then(work);
+    const queued = result.catch(() => {});
+    sessionQueues.set(sessionId, queued);
+    queued.then(() => {
+      if (sessionQueues.get(sessionId) === queued) {
+        sessionQueues.delete(sessionId);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Finds the live agent for a session, rehydrating it from the store if this
+   * process has not seen it (e.g. after a restart)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<VerificationAgent|null>} - Agent, or null if the session is unknown
+   */
+  async function getAgent(sessionId) {
+    if (sessions.has(sessionId)) {
+      return sessions.get(sessionId);
+    }
+
+    const snapshot = await sessionStore.get(sessionId);
+    if (!snapshot) {
+      return null;
+    }
+
+    const agent = VerificationAgent.fromSnapshot(snapshot, { ...agentConfig, lockoutRegistry, auditTrail });
+    sessions.set(sessionId, agent);
+    return agent;
+  }
+
+  app.use(express.json());
+
+  // A malformed ID names no session, and never reaches the session store
+  app.param('sessionId', (req, res, next, sessionId) => {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return res.status(404).json({ error: `Session not found: ${sessionId}` });
+    }
+    next();
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', activeSessions: sessions.size });
+  });
+
+  // Create a verification session from applicant data
+  app.post('/sessions', async (req, res, next) => {
+    const { applicantData, config = {} } = req.body || {};
+
+    if (!applicantData || typeof applicantData !== 'object') {
+      return res.status(400).json({ error: 'applicantData is required' });
+    }
+
+    // Identity lockouts are tracked per applicant, so every session needs one to track
+    if (!resolveApplicantId(applicantData)) {
+      return res.status(400).json({
+        error: 'applicantData needs an applicant_id, or a date_of_birth and ssn_last_four to identify the applicant by'
+      });
+    }
+
+    const configError = findSessionConfigError(config);
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    try {
+      // A session's config can't swap out the shared lockout registry or audit trail
+      const agent = new VerificationAgent(applicantData, { ...agentConfig, ...config, lockoutRegistry, auditTrail });
+      const sessionId = agent.logger.sessionId;
+      sessions.set(sessionId, agent);
+      await sessionStore.set(sessionId, agent.toJSON());
+
+      res.status(201).json(buildTurnResponse(sessionId, agent, agent.generatePrompt()));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Post a user utterance and get the next prompt
+  app.post('/sessions/:sessionId/messages', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+      await withSession(sessionId, async () => {
+        const agent = await getAgent(sessionId);
+
+        if (!agent) {
+          return res.status(404).json({ error: `Session not found: ${sessionId}` });
+        }
+
+        const { utterance } = req.body || {};
+        if (typeof utterance !== 'string' || utterance.trim() === '') {
+          return res.status(400).json({ error: 'utterance must be a non-empty string' });
+        }
+
+        if (agent.isTerminal()) {
+          return res.status(409).json({
+            error: 'Conversation has already ended',
+            ...buildTurnResponse(sessionId, agent, agent.generatePrompt())
+          });
+        }
+
+        const prompt = await agent.processUserInput(utterance);
+        await sessionStore.set(sessionId, agent.toJSON());
+        res.json(buildTurnResponse(sessionId, agent, prompt));
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Re-prompt a caller who went quiet while on hold
+  app.post('/sessions/:sessionId/reprompt', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+      await withSession(sessionId, async () => {
+        const agent = await getAgent(sessionId);
+
+        if (!agent) {
+          return res.status(404).json({ error: `Session not found: ${sessionId}` });
+        }
+
+        if (!agent.getRepromptDelay()) {
+          return res.status(409).json({
+            error: 'Caller is not on hold',
+            ...buildTurnResponse(sessionId, agent, agent.generatePrompt())
+          });
+        }
+
+        const prompt = agent.reprompt();
+        await sessionStore.set(sessionId, agent.toJSON());
+        res.json(buildTurnResponse(sessionId, agent, prompt));
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Fetch the context packet for the person taking over an escalated call
+  app.get('/sessions/:sessionId/handoff', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+      await withSession(sessionId, async () => {
+        const agent = await getAgent(sessionId);
+
+        if (!agent) {
+          return res.status(404).json({ error: `Session not found: ${sessionId}` });
+        }
+
+        const { handoff } = agent.conversationState;
+        if (!handoff) {
+          return res.status(404).json({ error: `Session has not been escalated: ${sessionId}` });
+        }
+
+        res.json({ sessionId, handoff });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Fetch a session's current state
+  app.get('/sessions/:sessionId', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+      await withSession(sessionId, async () => {
+        const agent = await getAgent(sessionId);
+
+        if (!agent) {
+          return res.status(404).json({ error: `Session not found: ${sessionId}` });
+        }
+
+        res.json(buildSessionState(sessionId, agent));
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Close a session, logging an early hang-up if the conversation was still in progress
+  app.delete('/sessions/:sessionId', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+      await withSession(sessionId, async () => {
+        const agent = await getAgent(sessionId);
+
+        if (!agent) {
+          return res.status(404).json({ error: `Session not found: ${sessionId}` });
+        }
+
+        if (!agent.isTerminal()) {
+          agent.logger.logCompletion(agent.conversationState, 'closed', agent.conversationState.collectedData);
+        }
+        await agent.logger.flush();
+
+        sessions.delete(sessionId);
+        await sessionStore.delete(sessionId);
+        res.status(204).end();
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.use((error, req, res, next) => {
+    console.error('Error handling request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+/**
+ * Starts the HTTP server
+ * @param {number} port - Port to listen on
+ * @returns {import('http').Server} - Running server
+ */
+export function startServer(port = parseInt(process.env.PORT) || 3000) {
+  const app = createApp();
+  return app.listen(port, () => {
+    console.log(`Verification session API listening on port ${port}`);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer();
+
+  // Exit normally when stopped, so buffered log entries are written first (see logWriter.js)
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+  }
+}
+
+export default createApp;
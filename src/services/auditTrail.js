@@ -0,0 +1,398 @@
+/**
+ * Compliance Audit Trail
+ * An append-only record of security-relevant verification decisions, kept
+ * apart from the conversation logs. Each record carries the hash of the one
+ * before it and an HMAC signature, so an edited, removed or reordered record
+ * breaks the chain and shows up in verify(). A signed head names the last
+ * record, so records removed from the end show up too.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// What the trail records; nothing else is accepted
+export const AUDIT_EVENTS = [
+  'identity_attempt',
+  'identity_verified',
+  'identity_failed',
+  'identity_locked',
+  'data_confirmed',
+  'escalation'
+];
+
+// prevHash of the first record
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Fields of a record covered by its hash, in a fixed order
+ * @param {object} record - Audit record
+ * @returns {string} - Canonical JSON of the hashed fields
+ */
+function canonicalBody(record) {
+  const { seq, at, event, sessionId, applicantId, flowId, details, prevHash } = record;
+  return JSON.stringify({ seq, at, event, sessionId, applicantId, flowId, details, prevHash });
+}
+
+/**
+ * Signs the sequence number and hash of the last record
+ * @param {{seq: number, hash: string}} head - Last record's seq and hash
+ * @param {string} key - Signing key
+ * @returns {string} - HMAC signature
+ */
+function signHead({ seq, hash }, key) {
+  return crypto.createHmac('sha256', key).update(`head:${seq}:${hash}`).digest('hex');
+}
+
+/**
+ * Audit trail. Chaining, signing and verification live here; implementations
+ * only load and append records and load and save the signed head.
+ */
+export class AuditTrail {
+  /**
+   * @param {object} options - Audit options
+   * @param {string} options.key - HMAC signing key (default: AUDIT_HMAC_KEY, or the implementation's own key)
+   * @param {function(): Date} options.now - Clock, injectable for tests
+   */
+  constructor(options = {}) {
+    this.key = options.key || process.env.AUDIT_HMAC_KEY || null;
+    this.now = options.now || (() => new Date());
+    this.head = null;
+    // Appends run one at a time so every record chains to the one before it
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Loads every record, oldest first
+   * @returns {Promise<object[]>} - Records; a line that can't be parsed is returned as { unreadable: line }
+   */
+  async loadRecords() {
+    throw new Error(`${this.constructor.name} must implement loadRecords()`);
+  }
+
+  /**
+   * Appends a record
+   * @param {object} record - Signed record
+   * @returns {Promise<void>}
+   */
+  async appendRecord(record) {
+    throw new Error(`${this.constructor.name} must implement appendRecord()`);
+  }
+
+  /**
+   * Loads the signed head
+   * @returns {Promise<{seq: number, hash: string, signature: string}|null>} - Head, or null if none was saved
+   */
+  async loadHead() {
+    throw new Error(`${this.constructor.name} must implement loadHead()`);
+  }
+
+  /**
+   * Saves the signed head, replacing the previous one
+   * @param {{seq: number, hash: string, signature: string}} head - Signed head
+   * @returns {Promise<void>}
+   */
+  async saveHead(head) {
+    throw new Error(`${this.constructor.name} must implement saveHead()`);
+  }
+
+  /**
+   * Provides the signing key when none was passed in or set in AUDIT_HMAC_KEY
+   * @returns {Promise<string>} - Signing key
+   */
+  async loadKey() {
+    throw new Error('No audit trail signing key is configured (set AUDIT_HMAC_KEY or AUDIT_KEY_FILE)');
+  }
+
+  /**
+   * Gets the signing key, loading it on first use
+   * @returns {Promise<string>} - Signing key
+   */
+  async getKey() {
+    if (!this.key) {
+      this.key = await this.loadKey();
+    }
+    return this.key;
+  }
+
+  /**
+   * Records an event
+   * @param {string} event - One of AUDIT_EVENTS
+   * @param {object} entry - sessionId, applicantId, flowId and event details (no raw PII)
+   * @returns {Promise<object>} - The signed record
+   */
+  async record(event, { sessionId = null, applicantId = null, flowId = null, details = {} } = {}) {
+    if (!AUDIT_EVENTS.includes(event)) {
+      throw new Error(`Unknown audit event: ${event}`);
+    }
+
+    const next = this.queue.catch(() => {}).then(async () => {
+      const key = await this.getKey();
+      if (!this.head) {
+        // A line cut short by a crash is skipped; verify() still reports it
+        const last = (await this.loadRecords()).filter(record => record.unreadable === undefined).pop();
+        this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+      }
+
+      const record = {
+        seq: this.head.seq + 1,
+        at: this.now().toISOString(),
+        event,
+        sessionId,
+        applicantId,
+        flowId,
+        details,
+        prevHash: this.head.hash
+      };
+      record.hash = crypto.createHash('sha256').update(canonicalBody(record)).digest('hex');
+      record.signature = crypto.createHmac('sha256', key).update(record.hash).digest('hex');
+
+      await this.appendRecord(record);
+      this.head = { seq: record.seq, hash: record.hash };
+      await this.saveHead({ ...this.head, signature: signHead(this.head, key) });
+      return record;
+    });
+
+    this.queue = next;
+    return next;
+  }
+
+  /**
+   * Checks every record's sequence, link to the previous record, hash and
+   * signature, and that the trail ends at the signed head
+   * @returns {Promise<{valid: boolean, records: number, errors: Array<{seq: number, reason: string}>}>} - Result;
+   *   seq is the position in the trail when a record is unreadable
+   */
+  async verify() {
+    await this.queue.catch(() => {});
+    const key = await this.getKey();
+    const records = await this.loadRecords();
+    const head = await this.loadHead();
+    const errors = [];
+    let previous = { seq: 0, hash: GENESIS_HASH };
+
+    records.forEach((record, index) => {
+      const position = index + 1;
+      if (record.unreadable !== undefined) {
+        errors.push({ seq: position, reason: 'record is not valid JSON' });
+        return;
+      }
+
+      const expectedHash = crypto.createHash('sha256').update(canonicalBody(record)).digest('hex');
+      const expectedSignature = crypto.createHmac('sha256', key).update(record.hash || '').digest('hex');
+
+      if (record.seq !== previous.seq + 1) {
+        errors.push({ seq: record.seq, reason: `expected sequence ${previous.seq + 1}` });
+      }
+      if (record.prevHash !== previous.hash) {
+        errors.push({ seq: record.seq, reason: 'does not link to the previous record' });
+      }
+      if (record.hash !== expectedHash) {
+        errors.push({ seq: record.seq, reason: 'contents do not match the hash' });
+      }
+      if (record.signature !== expectedSignature) {
+        errors.push({ seq: record.seq, reason: 'signature does not match' });
+      }
+
+      previous = { seq: record.seq, hash: record.hash };
+    });
+
+    if (!head) {
+      if (previous.seq > 0) {
+        errors.push({ seq: previous.seq, reason: 'signed head is missing' });
+      }
+    } else if (head.signature !== signHead(head, key)) {
+      errors.push({ seq: head.seq, reason: 'head signature does not match' });
+    } else if (head.seq > previous.seq) {
+      errors.push({ seq: head.seq, reason: `records after ${previous.seq} are missing` });
+    } else if (head.seq !== previous.seq || head.hash !== previous.hash) {
+      // Also left by a crash between appending a record and saving the head; the next record fixes it
+      errors.push({ seq: previous.seq, reason: `trail does not end at the signed head (record ${head.seq})` });
+    }
+
+    return { valid: errors.length === 0, records: records.length, errors };
+  }
+
+  /**
+   * Lists records for a session and/or date range, oldest first
+   * @param {object} filter - Export filter
+   * @param {string} filter.sessionId - Only this session's records
+   * @param {string|Date} filter.from - Only records at or after this time
+   * @param {string|Date} filter.to - Only records at or before this time
+   * @returns {Promise<object[]>} - Matching records, signatures included
+   */
+  async export({ sessionId, from, to } = {}) {
+    await this.queue.catch(() => {});
+    const fromMs = from ? new Date(from).getTime() : -Infinity;
+    const toMs = to ? new Date(to).getTime() : Infinity;
+
+    return (await this.loadRecords()).filter(record => {
+      if (record.unreadable !== undefined) return false;
+      const at = Date.parse(record.at);
+      return (!sessionId || record.sessionId === sessionId) && at >= fromMs && at <= toMs;
+    });
+  }
+}
+
+/**
+ * Keeps records in process memory; the trail is lost on restart
+ */
+export class InMemoryAuditTrail extends AuditTrail {
+  constructor(options = {}) {
+    super(options);
+    this.lines = [];
+    this.headLine = null;
+  }
+
+  async loadKey() {
+    // The trail only lasts as long as the process, so a key of its own is enough
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  async loadHead() {
+    return this.headLine ? JSON.parse(this.headLine) : null;
+  }
+
+  async saveHead(head) {
+    this.headLine = JSON.stringify(head);
+  }
+
+  async loadRecords() {
+    return this.lines.map(line => JSON.parse(line));
+  }
+
+  async appendRecord(record) {
+    this.lines.push(JSON.stringify(record));
+  }
+}
+
+/**
+ * Appends one JSON line per record to a file and fsyncs it, with the signed
+ * head in a file beside it. The signing key must be configured and is read
+ * when the trail is created, so a missing key stops the process at startup
+ * rather than losing records later. A key file may not sit in the trail's
+ * directory: whoever can rewrite the trail must not be able to re-sign it.
+ * One process writes a given trail.
+ */
+export class FileAuditTrail extends AuditTrail {
+  /**
+   * @param {object} options - Audit options (see AuditTrail) and storage options
+   * @param {string} options.dir - Directory holding the trail (default: AUDIT_TRAIL_DIR or audit)
+   * @param {string} options.keyFile - Signing key file, when no key is given (default: AUDIT_KEY_FILE)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dir = options.dir || process.env.AUDIT_TRAIL_DIR || 'audit';
+    this.filePath = path.join(this.dir, 'audit_trail.jsonl');
+    this.headPath = path.join(this.dir, 'audit_trail.head.json');
+    this.keyFile = options.keyFile || process.env.AUDIT_KEY_FILE || null;
+
+    if (!this.key && !this.keyFile) {
+      throw new Error('The file audit trail needs a signing key (set AUDIT_HMAC_KEY or AUDIT_KEY_FILE)');
+    }
+    if (!this.key) {
+      this.key = this.readKeyFile();
+    }
+  }
+
+  /**
+   * Reads the signing key from the key file
+   * @returns {string} - Signing key
+   */
+  readKeyFile() {
+    if (!path.relative(path.resolve(this.dir), path.resolve(this.keyFile)).startsWith('..')) {
+      throw new Error(`The audit signing key file must be outside the trail directory: ${this.keyFile}`);
+    }
+
+    let key;
+    try {
+      key = fs.readFileSync(this.keyFile, 'utf8').trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`Audit signing key file not found: ${this.keyFile} (run setup.sh to create one)`);
+    }
+    if (!key) {
+      throw new Error(`Audit signing key file is empty: ${this.keyFile}`);
+    }
+    return key;
+  }
+
+  async loadHead() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.headPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async saveHead(head) {
+    const tempPath = `${this.headPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(head));
+    await fs.promises.rename(tempPath, this.headPath);
+  }
+
+  async loadRecords() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n').filter(line => line.trim()).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { unreadable: line };
+      }
+    });
+  }
+
+  async appendRecord(record) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const handle = await fs.promises.open(this.filePath, 'a');
+    try {
+      await handle.appendFile(`${JSON.stringify(record)}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Creates the audit trail selected by configuration
+ * @param {object} options - Audit and storage options
+ * @param {string} options.type - 'file' or 'memory' (defaults to AUDIT_TRAIL or 'file')
+ * @returns {AuditTrail} - Audit trail
+ */
+export function createAuditTrail(options = {}) {
+  const type = options.type || process.env.AUDIT_TRAIL || 'file';
+
+  switch (type) {
+    case 'memory':
+      return new InMemoryAuditTrail(options);
+    case 'file':
+      return new FileAuditTrail(options);
+    default:
+      throw new Error(`Unknown audit trail type: ${type}`);
+  }
+}
+
+let defaultTrail = null;
+
+/**
+ * Gets the trail shared by every agent in the process, created on first use
+ * @returns {AuditTrail} - Default audit trail
+ */
+export function getDefaultAuditTrail() {
+  if (!defaultTrail) {
+    defaultTrail = createAuditTrail();
+  }
+  return defaultTrail;
+}
+
+export default createAuditTrail;
@@ -0,0 +1,121 @@
+/**
+ * Intent Classifier
+ * Offline, rule-based classification of what a caller means by a short reply
+ * ("yes", "that's not right", "hold on a second"), shared by every handler
+ * that asks a yes/no question. The LLM backend lives in LLMService#classifyIntent.
+ */
+
+// affirm/deny answer the question; the rest ask for something else
+export const INTENTS = ['affirm', 'deny', 'unsure', 'correction', 'repeat', 'hold', 'escalate'];
+
+// Checked in order: a request to escalate, hold or repeat outranks any yes/no
+// in the same reply, and "not sure" must not be read as a denial
+const INTENT_PATTERNS = [
+  ['escalate', [
+    /\b(?:speak|talk)\s+(?:to|with)\s+(?:a|an|the|your|some)?\s*(?:real\s+)?(?:person|human|agent|representative|rep|manager|supervisor|someone)\b/,
+    /\b(?:real|live)\s+(?:person|human|agent)\b/,
+    // "I'm a store manager" is an answer, so the role alone only counts as a request
+    /\b(?:get|want|need|give)\s+(?:me\s+)?(?:a|an|the|your)?\s*(?:operator|supervisor|manager|representative|human|person)\b/,
+    /\b(?:transfer|connect|put)\s+me\s+(?:to|with|through)\b/,
+    /^(?:operator|representative|agent|human)[.!]?$/
+  ]],
+  ['hold', [
+    /\b(?:hold|hang)\s+on\b/,
+    /\b(?:one|1|a|just\s+a)\s+(?:sec|second|moment|minute)\b/,
+    /\bgive\s+me\s+a\s+(?:sec|second|moment|minute)\b/,
+    /\bwait\s+a\s+(?:sec|second|moment|minute)\b/,
+    /\blet\s+me\s+(?:check|find|look|grab|get)\b/
+  ]],
+  ['repeat', [
+    /\b(?:repeat|say\s+(?:that|it)\s+again|come\s+again|pardon)\b/,
+    /\bwhat\s+(?:was\s+that|did\s+you\s+say)\b/,
+    /\b(?:didn't|did\s+not|couldn't|could\s+not)\s+(?:hear|catch|get)\s+(?:that|you|it)\b/,
+    /^(?:what|sorry|huh)\s*\??$/
+  ]],
+  ['unsure', [
+    /\b(?:not|un)\s*sure\b/,
+    /\bi\s+(?:don't|do\s+not)\s+(?:know|remember|recall)\b/,
+    /\b(?:no\s+idea|can't\s+remember|maybe|possibly|i\s+guess|not\s+certain)\b/
+  ]]
+];
+
+const DENY_PATTERNS = [
+  /\b(?:no|nope|nah|negative|incorrect|wrong)\b/,
+  /\b(?:not|isn't|wasn't|aren't)\s+(?:right|correct|true|accurate|me|it|quite)\b/,
+  /\b(?:that's|that\s+is|it's|it\s+is)\s+not\b/,
+  /\bdon't\s+think\s+so\b/,
+  // Negated forms of the short answers below ("I am not", "there isn't", "I'm afraid not")
+  /\b(?:am|is|was|are|were|do|does|did)\s+not\b/,
+  /\b(?:is|was|are|were|do|does|did)n't\b/,
+  /\b(?:i'm|he's|she's|there's)\s+not\b/,
+  /\bafraid\s+not\b/,
+  // A "not" or "never" after a yes word outranks it ("absolutely not", "certainly never")
+  /\b(?:yes|yeah|sure|absolutely|definitely|certainly|surely|of\s+course)\W*\s*(?:not|never)\b/,
+  /^(?:not|never)\b/
+];
+
+const AFFIRM_PATTERNS = [
+  /\b(?:yes|yeah|yep|yup|ya|yea|correct|right|exactly|sure|affirmative|absolutely|definitely|certainly)\b/,
+  /\b(?:ok|okay|alright|all\s+right)\b/,
+  /\b(?:sounds|looks|that's|all)\s+good\b/,
+  /\b(?:that's|this\s+is|it's)\s+(?:me|him|her|he|she|it)\b/,
+  /^(?:speaking|i\s+am|it\s+is|that\s+is|i\s+do|there\s+is|uh\s+huh|mm\s+hmm)\b/
+];
+
+// A yes or no that goes on to change a value ("no, the zip is 78702", "yes, but it's apartment 4")
+const CORRECTION_PATTERNS = [
+  /\b(?:actually|should\s+be|supposed\s+to\s+be|instead|except|change|update|fix)\b/,
+  /\bbut\s+(?:the|my|it's|it\s+is|that|i)\b/,
+  /\b(?:no|nope|not|wrong|incorrect)\b.*\b(?:it's|it\s+is|is|my)\b.*\d/
+];
+
+/**
+ * Whether any pattern matches
+ * @param {RegExp[]} patterns - Patterns to try
+ * @param {string} text - Lowercased reply
+ * @returns {boolean} - Whether one matched
+ */
+function matchesAny(patterns, text) {
+  return patterns.some(pattern => pattern.test(text));
+}
+
+/**
+ * Classifies a reply with keyword rules
+ * @param {string} text - User's response
+ * @returns {{intent: string, confidence: number, source: string}} - One of INTENTS with a
+ *   confidence between 0 and 1; a reply with no recognisable cue is 'unsure' with confidence 0
+ */
+export function classifyIntentWithRules(text) {
+  const value = String(text || '').toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, ' ').trim();
+  const result = (intent, confidence) => ({ intent, confidence, source: 'rules' });
+
+  if (!value) {
+    return result('unsure', 0);
+  }
+
+  for (const [intent, patterns] of INTENT_PATTERNS) {
+    if (matchesAny(patterns, value)) {
+      return result(intent, 0.9);
+    }
+  }
+
+  const denies = matchesAny(DENY_PATTERNS, value);
+  const affirms = !denies && matchesAny(AFFIRM_PATTERNS, value);
+
+  if ((denies || affirms) && matchesAny(CORRECTION_PATTERNS, value)) {
+    return result('correction', 0.8);
+  }
+
+  // Short, plain answers are the least ambiguous
+  const confidence = value.split(' ').length <= 4 ? 0.95 : 0.8;
+  if (denies) {
+    return result('deny', confidence);
+  }
+  if (affirms) {
+    return result('affirm', confidence);
+  }
+
+  return result('unsure', 0);
+}
+
+export default classifyIntentWithRules;
@@ -0,0 +1,179 @@
+/**
+ * LLM Providers
+ * Interchangeable backends for structured (function-calling) LLM requests, so
+ * the agent can run against OpenAI, any OpenAI-compatible endpoint such as a
+ * local stand-in server, or a scripted fake in tests
+ */
+
+import { ChatOpenAI } from "@langchain/openai";
+import { JsonOutputFunctionsParser } from "langchain/output_parsers";
+import { HumanMessage } from "@langchain/core/messages";
+
+/**
+ * LLM provider interface. Implementations run one function-calling request and
+ * return the parsed function arguments.
+ */
+export class LLMProvider {
+  /**
+   * Asks the model to call a function and returns its arguments
+   * @param {object} request - Request
+   * @param {string} request.prompt - User message
+   * @param {object} request.functionSchema - Function definition ({ name, description, parameters })
+   * @param {string} request.model - Model name
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.timeout - Request timeout in milliseconds
+   * @returns {Promise<object>} - Parsed function arguments
+   */
+  async callFunction(request) {
+    throw new Error(`${this.constructor.name} must implement callFunction()`);
+  }
+}
+
+/**
+ * OpenAI through LangChain. Models are created on first use so modules that
+ * only need the agent's structure load without an API key.
+ */
+export class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - OpenAI API key (defaults to OPENAI_API_KEY)
+   */
+  constructor(options = {}) {
+    super();
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.models = new Map();
+  }
+
+  /**
+   * Gets a chat model for a set of call settings
+   * @param {object} settings - { model, temperature, timeout }
+   * @returns {ChatOpenAI} - Chat model
+   */
+  getModel({ model, temperature, timeout }) {
+    const key = `${model}:${temperature}:${timeout}`;
+    if (!this.models.has(key)) {
+      this.models.set(key, new ChatOpenAI({
+        modelName: model,
+        temperature,
+        timeout,
+        openAIApiKey: this.apiKey
+      }));
+    }
+    return this.models.get(key);
+  }
+
+  async callFunction({ prompt, functionSchema, ...settings }) {
+    const runnable = this.getModel(settings).bind({
+      functions: [functionSchema],
+      function_call: { name: functionSchema.name },
+    }).pipe(new JsonOutputFunctionsParser());
+
+    return runnable.invoke([new HumanMessage(prompt)]);
+  }
+}
+
+/**
+ * Any endpoint that speaks the OpenAI chat completions API (a local stand-in
+ * server, a proxy, a self-hosted model)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.baseUrl - API base URL, e.g. http://localhost:8080/v1 (defaults to LLM_BASE_URL)
+   * @param {string} options.apiKey - Bearer token, if the endpoint needs one (defaults to LLM_API_KEY)
+   */
+  constructor(options = {}) {
+    super();
+    const baseUrl = options.baseUrl || process.env.LLM_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('OpenAICompatibleProvider requires a baseUrl (or LLM_BASE_URL)');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+  }
+
+  async callFunction({ prompt, functionSchema, model, temperature, timeout }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+        tools: [{ type: 'function', function: functionSchema }],
+        tool_choice: { type: 'function', function: { name: functionSchema.name } }
+      }),
+      signal: timeout ? AbortSignal.timeout(timeout) : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM request to ${this.baseUrl} failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const message = body.choices?.[0]?.message;
+    // Older servers answer with the legacy function_call field
+    const call = message?.tool_calls?.[0]?.function || message?.function_call;
+    if (!call?.arguments) {
+      throw new Error(`LLM response from ${this.baseUrl} has no function call`);
+    }
+
+    return JSON.parse(call.arguments);
+  }
+}
+
+/**
+ * Replays scripted responses in order, for tests. A response may be an object
+ * (returned as the function arguments), an Error (thrown), or a function of the
+ * request returning either.
+ */
+export class ScriptedProvider extends LLMProvider {
+  /**
+   * @param {Array} responses - Scripted responses, consumed one per call
+   */
+  constructor(responses = []) {
+    super();
+    this.responses = [...responses];
+    this.calls = [];
+  }
+
+  async callFunction(request) {
+    this.calls.push(request);
+    if (this.responses.length === 0) {
+      throw new Error(`ScriptedProvider has no response left for "${request.functionSchema.name}"`);
+    }
+
+    const next = this.responses.shift();
+    const response = typeof next === 'function' ? next(request) : next;
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  }
+}
+
+/**
+ * Creates the LLM provider selected by configuration
+ * @param {object} options - Provider options
+ * @param {string} options.type - 'openai' or 'openai-compatible' (defaults to LLM_PROVIDER or 'openai')
+ * @returns {LLMProvider} - LLM provider
+ */
+export function createLLMProvider(options = {}) {
+  const type = options.type || process.env.LLM_PROVIDER || 'openai';
+
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+}
+
+export default createLLMProvider;
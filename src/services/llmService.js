@@ -1,29 +1,138 @@
-import { ChatOpenAI } from "@langchain/openai";
-import { JsonOutputFunctionsParser } from "langchain/output_parsers";
-import { HumanMessage } from "@langchain/core/messages";
 import dotenv from 'dotenv';
+import { extractEntitiesWithRules } from './ruleExtractor.js';
+import { classifyIntentWithRules, INTENTS } from './intentClassifier.js';
+import { createLLMProvider } from './llmProviders.js';
+import { scrubText } from '../utils/redactor.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize OpenAI model
-const model = new ChatOpenAI({ 
-  temperature: 0,
-  modelName: "gpt-3.5-turbo",
-  openAIApiKey: process.env.OPENAI_API_KEY
-});
+// How entities are extracted: the LLM only, the offline rules only, or the LLM
+// with the rules taking over when the LLM call fails
+export const EXTRACTION_STRATEGIES = ['llm', 'rules', 'llm-with-rules-fallback'];
+
+const CALL_SETTINGS = ['model', 'temperature', 'timeout'];
 
 /**
- * Extracts structured entities from user input using OpenAI
- * @param {string} text - User's natural language input
- * @param {object} schema - Schema defining what entities to extract
- * @returns {Promise<object>} - Extracted entities
+ * Reports a failed LLM request without printing what the caller said
+ * @param {string} functionName - Function the request was for
+ * @param {Error} error - Provider or parsing error, whose message can repeat the prompt or payload
+ * @param {ConversationLogger} logger - Logger to record the error through, redacted (optional)
+ */
+function reportFailure(functionName, error, logger) {
+  if (logger) {
+    logger.logError(error.message, { function: functionName }, 'medium');
+  } else {
+    console.error(`Error in ${functionName}:`, scrubText(error.message));
+  }
+}
+
+/**
+ * LLM Service
+ * Structured LLM requests (entity extraction, confirmations, generation) on top
+ * of a pluggable provider, with model, temperature and timeout settable per call
  */
-export async function extractEntities(text, schema) {
-  try {
-    console.log(`[LLM] Extracting entities from: "${text}"`);
-    console.log(`[LLM] Schema:`, schema);
-    
+export class LLMService {
+  /**
+   * @param {object} options - Service options
+   * @param {LLMProvider} options.provider - Provider to call (default: createLLMProvider(), created on first use)
+   * @param {string} options.model - Default model (default: LLM_MODEL or gpt-3.5-turbo)
+   * @param {number} options.temperature - Default temperature (default: 0)
+   * @param {number} options.timeout - Default timeout in milliseconds (default: LLM_TIMEOUT_MS or 30000)
+   * @param {ConversationLogger} options.logger - Records every call (see ConversationLogger#logLLMCall); a call's own logger takes precedence
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.logger = options.logger || null;
+    this.defaults = {
+      model: options.model || process.env.LLM_MODEL || 'gpt-3.5-turbo',
+      temperature: options.temperature ?? 0,
+      timeout: options.timeout || parseInt(process.env.LLM_TIMEOUT_MS) || 30000
+    };
+  }
+
+  /**
+   * Gets the provider, creating the configured one on first use
+   * @returns {LLMProvider} - LLM provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createLLMProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Runs a function-calling request, recording its latency and outcome
+   * @param {string} prompt - User message
+   * @param {object} functionSchema - Function definition ({ name, description, parameters })
+   * @param {object} options - Per-call overrides of model, temperature and timeout
+   * @param {ConversationLogger} options.logger - Logger for this call (default: the service's logger)
+   * @returns {Promise<object>} - Parsed function arguments
+   */
+  async callFunction(prompt, functionSchema, options = {}) {
+    const settings = { ...this.defaults };
+    for (const key of CALL_SETTINGS) {
+      if (options[key] !== undefined) {
+        settings[key] = options[key];
+      }
+    }
+
+    const logger = options.logger || this.logger;
+    const input = { prompt, model: settings.model };
+    const startedAt = Date.now();
+    try {
+      const result = await this.getProvider().callFunction({ prompt, functionSchema, ...settings });
+      logger?.logLLMCall(functionSchema.name, input, result, Date.now() - startedAt, true);
+      return result;
+    } catch (error) {
+      logger?.logLLMCall(functionSchema.name, input, { error: error.message }, Date.now() - startedAt, false);
+      throw error;
+    }
+  }
+
+  /**
+   * Extracts structured entities from user input
+   * @param {string} text - User's natural language input
+   * @param {object} schema - Schema defining what entities to extract
+   * @param {object} options - Extraction options, plus per-call model, temperature, timeout and logger
+   * @param {string} options.strategy - One of EXTRACTION_STRATEGIES (default: EXTRACTION_STRATEGY or llm-with-rules-fallback)
+   * @param {object} options.types - Slot type for each entity, used by the rule extractor
+   * @returns {Promise<object>} - Extracted entities
+   * @throws {Error} - If the strategy is unknown, or the LLM fails under the llm strategy
+   */
+  async extractEntities(text, schema, options = {}) {
+    const strategy = options.strategy || process.env.EXTRACTION_STRATEGY || 'llm-with-rules-fallback';
+    if (!EXTRACTION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown extraction strategy: ${strategy}`);
+    }
+
+    if (strategy === 'rules') {
+      return extractEntitiesWithRules(text, schema, options.types);
+    }
+
+    try {
+      return await this.extractEntitiesWithLlm(text, schema, options);
+    } catch (error) {
+      const logger = options.logger || this.logger;
+      reportFailure('extractEntities', error, logger);
+      if (strategy === 'llm-with-rules-fallback') {
+        logger?.logStep('rules_fallback', { function: 'entity_extractor', error: error.message }, 'warning');
+        // Only ever fall back to what the user actually said
+        return extractEntitiesWithRules(text, schema, options.types);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extracts structured entities from user input using the LLM
+   * @param {string} text - User's natural language input
+   * @param {object} schema - Schema defining what entities to extract
+   * @param {object} options - Per-call model, temperature and timeout
+   * @returns {Promise<object>} - Extracted entities
+   */
+  async extractEntitiesWithLlm(text, schema, options = {}) {
     // Create function schema for structured output
     const functionSchema = {
       name: "entity_extractor",
@@ -42,120 +151,172 @@ export async function extractEntities(text, schema) {
         description: schema[key],
       };
     }
-    
-    // Create the function call chain
-    const runnable = model.bind({
-      functions: [functionSchema],
-      function_call: { name: "entity_extractor" },
-    }).pipe(new JsonOutputFunctionsParser());
-
-    // Process the user input
-    const result = await runnable.invoke([
-      new HumanMessage(`Extract the required entities from the following text: "${text}"`)
-    ]);
-    
-    console.log(`[LLM] Extracted:`, result);
+
+    const result = await this.callFunction(
+      `Extract the required entities from the following text: "${text}"`,
+      functionSchema,
+      options
+    );
+
     return result;
-    
-  } catch (error) {
-    console.error('Error in extractEntities:', error);
-    // Fallback to mock responses for development
-    return getMockResponse(schema);
   }
-}
 
-/**
- * Gets confirmation from user input using OpenAI
- * @param {string} text - User's response
- * @returns {Promise<boolean>} - Whether user confirmed (true/false)
- */
-export async function getConfirmation(text) {
-  try {
-    console.log(`[LLM] Getting confirmation from: "${text}"`);
-    
+  /**
+   * Classifies what the user means by a reply (see intentClassifier.INTENTS)
+   * @param {string} text - User's response
+   * @param {object} options - Classification options, plus per-call model, temperature, timeout and logger
+   * @param {string} options.strategy - One of EXTRACTION_STRATEGIES (default: EXTRACTION_STRATEGY or llm-with-rules-fallback)
+   * @param {string} options.question - The question the user is answering, for context
+   * @returns {Promise<{intent: string, confidence: number, source: string}>} - Intent and confidence (0-1)
+   * @throws {Error} - If the strategy is unknown, or the LLM fails under the llm strategy
+   */
+  async classifyIntent(text, options = {}) {
+    const strategy = options.strategy || process.env.EXTRACTION_STRATEGY || 'llm-with-rules-fallback';
+    if (!EXTRACTION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown extraction strategy: ${strategy}`);
+    }
+
+    if (strategy === 'rules') {
+      return classifyIntentWithRules(text);
+    }
+
+    try {
+      return await this.classifyIntentWithLlm(text, options);
+    } catch (error) {
+      const logger = options.logger || this.logger;
+      reportFailure('classifyIntent', error, logger);
+      if (strategy === 'llm-with-rules-fallback') {
+        logger?.logStep('rules_fallback', { function: 'intent_classifier', error: error.message }, 'warning');
+        return classifyIntentWithRules(text);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Classifies the intent of a reply using the LLM
+   * @param {string} text - User's response
+   * @param {object} options - The question being answered, plus per-call model, temperature and timeout
+   * @returns {Promise<{intent: string, confidence: number, source: string}>} - Intent and confidence (0-1)
+   * @throws {Error} - If the model answers with an intent outside INTENTS
+   */
+  async classifyIntentWithLlm(text, options = {}) {
     const functionSchema = {
-      name: "confirmation_extractor",
-      description: "Determines if user confirmed or denied something",
+      name: "intent_classifier",
+      description: "Classifies what a caller means by their reply in a verification call",
       parameters: {
         type: "object",
         properties: {
-          confirmed: {
-            type: "boolean",
-            description: "Whether the user confirmed (true) or denied (false)"
+          intent: {
+            type: "string",
+            enum: INTENTS,
+            description: "affirm (yes/that's right), deny (no/that's wrong), unsure (doesn't know), " +
+              "correction (a yes or no that changes a value), repeat (asks to hear the question again), " +
+              "hold (needs a moment), escalate (wants a human)"
+          },
+          confidence: {
+            type: "number",
+            description: "Confidence in the intent, from 0 to 1"
           }
         },
-        required: ["confirmed"]
+        required: ["intent", "confidence"]
       }
     };
-    
-    const runnable = model.bind({
-      functions: [functionSchema],
-      function_call: { name: "confirmation_extractor" },
-    }).pipe(new JsonOutputFunctionsParser());
-
-    const result = await runnable.invoke([
-      new HumanMessage(`Determine if the user confirmed or denied something in this response: "${text}". Return true for confirmation, false for denial.`)
-    ]);
-    
-    console.log(`[LLM] Confirmation result:`, result.confirmed);
-    return result.confirmed;
-    
-  } catch (error) {
-    console.error('Error in getConfirmation:', error);
-    // Fallback to simple keyword matching
-    return getSimpleConfirmation(text);
+
+    const question = options.question ? `The caller was asked: "${options.question}". ` : '';
+    const result = await this.callFunction(
+      `${question}Classify the intent of the caller's reply: "${text}"`,
+      functionSchema,
+      options
+    );
+
+    if (!INTENTS.includes(result?.intent)) {
+      throw new Error(`LLM returned an unknown intent: ${result?.intent}`);
+    }
+
+    const confidence = Math.min(Math.max(Number(result.confidence) || 0, 0), 1);
+    return { intent: result.intent, confidence, source: 'llm' };
+  }
+
+  /**
+   * Gets confirmation from user input
+   * @param {string} text - User's response
+   * @param {object} options - Per-call model, temperature and timeout
+   * @returns {Promise<boolean>} - Whether user confirmed (true/false)
+   */
+  async getConfirmation(text, options = {}) {
+    try {
+      const functionSchema = {
+        name: "confirmation_extractor",
+        description: "Determines if user confirmed or denied something",
+        parameters: {
+          type: "object",
+          properties: {
+            confirmed: {
+              type: "boolean",
+              description: "Whether the user confirmed (true) or denied (false)"
+            }
+          },
+          required: ["confirmed"]
+        }
+      };
+
+      const result = await this.callFunction(
+        `Determine if the user confirmed or denied something in this response: "${text}". Return true for confirmation, false for denial.`,
+        functionSchema,
+        options
+      );
+
+      return result.confirmed;
+
+    } catch (error) {
+      reportFailure('getConfirmation', error, options.logger || this.logger);
+      // Fall back to the offline intent rules
+      return classifyIntentWithRules(text).intent === 'affirm';
+    }
   }
 }
 
+// Shared service for callers that don't inject their own
+const defaultService = new LLMService();
+
 /**
- * Fallback mock responses for development
- * @param {object} schema - Schema defining entities
- * @returns {object} - Mock response
+ * Gets the shared LLM service
+ * @returns {LLMService} - Default LLM service
  */
-function getMockResponse(schema) {
-  const mockResponses = {
-    date: '1985-03-15',
-    ssn: '7234',
-    email: 'test@example.com',
-    income: '6500',
-    tenure: '24',
-    street: '123 Main St',
-    city: 'Denver',
-    state: 'Colorado',
-    zip_code: '80202'
-  };
-  
-  const result = {};
-  for (const key in schema) {
-    result[key] = mockResponses[key] || 'mock_value';
-  }
-  
-  return result;
+export function getDefaultLLMService() {
+  return defaultService;
 }
 
 /**
- * Simple keyword-based confirmation fallback
+ * Extracts structured entities with the shared service (see LLMService#extractEntities)
+ * @param {string} text - User's natural language input
+ * @param {object} schema - Schema defining what entities to extract
+ * @param {object} options - Extraction options
+ * @returns {Promise<object>} - Extracted entities
+ */
+export async function extractEntities(text, schema, options = {}) {
+  return defaultService.extractEntities(text, schema, options);
+}
+
+/**
+ * Gets confirmation with the shared service (see LLMService#getConfirmation)
  * @param {string} text - User's response
- * @returns {boolean} - Confirmation result
+ * @param {object} options - Per-call model, temperature and timeout
+ * @returns {Promise<boolean>} - Whether user confirmed (true/false)
  */
-function getSimpleConfirmation(text) {
-  const positiveWords = ['yes', 'yeah', 'correct', 'right', 'true', 'yep', 'sure'];
-  const negativeWords = ['no', 'nope', 'wrong', 'incorrect', 'false', 'nah'];
-  
-  const lowerText = text.toLowerCase();
-  
-  for (const word of positiveWords) {
-    if (lowerText.includes(word)) {
-      return true;
-    }
-  }
-  
-  for (const word of negativeWords) {
-    if (lowerText.includes(word)) {
-      return false;
-    }
-  }
-  
-  // Default to false if unclear
-  return false;
-}
\ No newline at end of file
+export async function getConfirmation(text, options = {}) {
+  return defaultService.getConfirmation(text, options);
+}
+
+/**
+ * Classifies a reply with the shared service (see LLMService#classifyIntent)
+ * @param {string} text - User's response
+ * @param {object} options - Classification options
+ * @returns {Promise<{intent: string, confidence: number, source: string}>} - Intent and confidence (0-1)
+ */
+export async function classifyIntent(text, options = {}) {
+  return defaultService.classifyIntent(text, options);
+}
+
+export default LLMService;
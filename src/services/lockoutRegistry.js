@@ -0,0 +1,310 @@
+/**
+ * Identity Lockout Registry
+ * Counts failed identity checks per applicant across sessions, so a caller who
+ * fails can't hang up and call back for more guesses at the DOB and SSN.
+ * Every lockout, refusal and reset is kept in the applicant's audit trail.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * ID an applicant's lockouts are tracked under: the application's
+ * applicant_id (or id), or else one derived from the identity details on
+ * file, so every call about the same applicant shares one lockout
+ * @param {object} applicantData - Applicant data
+ * @returns {string|null} - Applicant ID, or null if there is nothing to identify the applicant by
+ */
+export function resolveApplicantId(applicantData = {}) {
+  const id = applicantData.applicant_id ?? applicantData.id;
+  if (id !== undefined && id !== null && id !== '') return String(id);
+
+  const { name, date_of_birth: dob, ssn_last_four: ssnLast4 } = applicantData;
+  if (!dob || !ssnLast4) return null;
+
+  // Hashed, so the derived ID carries none of the details into lockout and audit records
+  const identity = [name, dob, ssnLast4].map(value => String(value ?? '').trim().toLowerCase()).join('|');
+  return `derived_${crypto.createHash('sha256').update(identity).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Lockout registry. The lockout policy lives here; implementations only load
+ * and save one record per applicant ({ failures, lockedUntil, audit }).
+ */
+export class LockoutRegistry {
+  /**
+   * @param {object} options - Lockout policy
+   * @param {number} options.maxFailures - Failed checks within the window that lock the applicant
+   * @param {number} options.failureWindowMinutes - How long a failed check counts towards a lockout
+   * @param {number} options.lockoutMinutes - How long a lockout lasts
+   * @param {function(): Date} options.now - Clock, injectable for tests
+   */
+  constructor(options = {}) {
+    this.maxFailures = options.maxFailures || parseInt(process.env.IDENTITY_LOCKOUT_MAX_FAILURES) || 4;
+    this.failureWindowMs = (options.failureWindowMinutes || parseInt(process.env.IDENTITY_LOCKOUT_WINDOW_MINUTES) || 1440) * MINUTE_MS;
+    this.lockoutMs = (options.lockoutMinutes || parseInt(process.env.IDENTITY_LOCKOUT_DURATION_MINUTES) || 1440) * MINUTE_MS;
+    this.now = options.now || (() => new Date());
+    // Updates to one applicant run one at a time so concurrent sessions don't lose a failure
+    this.pending = new Map();
+  }
+
+  /**
+   * Loads an applicant's record
+   * @param {string} applicantId - Applicant ID
+   * @returns {Promise<object|null>} - Record, or null if the applicant has none
+   */
+  async loadRecord(applicantId) {
+    throw new Error(`${this.constructor.name} must implement loadRecord()`);
+  }
+
+  /**
+   * Saves an applicant's record, replacing any previous one
+   * @param {string} applicantId - Applicant ID
+   * @param {object} record - Record to save
+   * @returns {Promise<void>}
+   */
+  async saveRecord(applicantId, record) {
+    throw new Error(`${this.constructor.name} must implement saveRecord()`);
+  }
+
+  /**
+   * Reports whether an applicant is locked out
+   * @param {string} applicantId - Applicant ID
+   * @returns {Promise<{locked: boolean, lockedUntil: string|null, failures: number}>} - Lockout status
+   */
+  async getStatus(applicantId) {
+    return this.describe(this.prune(await this.loadRecord(applicantId)));
+  }
+
+  /**
+   * Records a failed identity check, locking the applicant once the limit is reached
+   * @param {string} applicantId - Applicant ID
+   * @param {object} details - Audit details (sessionId, flowId)
+   * @returns {Promise<{locked: boolean, lockedUntil: string|null, failures: number}>} - Status after the failure
+   */
+  async recordFailure(applicantId, details = {}) {
+    return this.update(applicantId, (record, at) => {
+      record.failures.push({ at, sessionId: details.sessionId || null });
+
+      if (!this.isLocked(record) && record.failures.length >= this.maxFailures) {
+        record.lockedUntil = new Date(Date.parse(at) + this.lockoutMs).toISOString();
+        record.audit.push({
+          event: 'locked',
+          at,
+          lockedUntil: record.lockedUntil,
+          failures: record.failures.length,
+          ...details
+        });
+      }
+    });
+  }
+
+  /**
+   * Records a verification refused because the applicant is locked out
+   * @param {string} applicantId - Applicant ID
+   * @param {object} details - Audit details (sessionId, flowId)
+   * @returns {Promise<{locked: boolean, lockedUntil: string|null, failures: number}>} - Current status
+   */
+  async recordRefusal(applicantId, details = {}) {
+    return this.update(applicantId, (record, at) => {
+      record.audit.push({ event: 'refused', at, lockedUntil: record.lockedUntil, ...details });
+    });
+  }
+
+  /**
+   * Clears an applicant's failed checks after a successful one
+   * @param {string} applicantId - Applicant ID
+   * @param {object} details - Audit details (sessionId, flowId)
+   * @returns {Promise<{locked: boolean, lockedUntil: string|null, failures: number}>} - Status after the reset
+   */
+  async recordSuccess(applicantId, details = {}) {
+    return this.update(applicantId, (record, at) => {
+      if (record.failures.length > 0) {
+        record.audit.push({ event: 'reset', at, failures: record.failures.length, ...details });
+      }
+      record.failures = [];
+    });
+  }
+
+  /**
+   * Lists an applicant's lockout events, oldest first
+   * @param {string} applicantId - Applicant ID
+   * @returns {Promise<object[]>} - Audit entries ({ event, at, ... })
+   */
+  async getAuditTrail(applicantId) {
+    const record = await this.loadRecord(applicantId);
+    return record?.audit || [];
+  }
+
+  /**
+   * Applies a change to an applicant's record and saves it
+   * @param {string} applicantId - Applicant ID
+   * @param {function(object, string): void} change - Mutates the record; receives the current time
+   * @returns {Promise<{locked: boolean, lockedUntil: string|null, failures: number}>} - Status after the change
+   */
+  async update(applicantId, change) {
+    const previous = this.pending.get(applicantId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const record = this.prune(await this.loadRecord(applicantId));
+      change(record, this.now().toISOString());
+      await this.saveRecord(applicantId, record);
+      return this.describe(record);
+    });
+
+    this.pending.set(applicantId, next);
+    try {
+      return await next;
+    } finally {
+      if (this.pending.get(applicantId) === next) {
+        this.pending.delete(applicantId);
+      }
+    }
+  }
+
+  /**
+   * Drops failures that have aged out of the window and lockouts that have expired
+   * @param {object|null} record - Stored record
+   * @returns {object} - Record with only the failures and lockout still in force
+   */
+  prune(record) {
+    const now = this.now().getTime();
+    const current = {
+      failures: [],
+      lockedUntil: null,
+      audit: [],
+      ...(record || {})
+    };
+
+    current.failures = current.failures.filter(failure => now - Date.parse(failure.at) < this.failureWindowMs);
+    if (current.lockedUntil && Date.parse(current.lockedUntil) <= now) {
+      current.lockedUntil = null;
+      current.failures = [];
+    }
+
+    return current;
+  }
+
+  /**
+   * Whether a record's lockout is still in force
+   * @param {object} record - Pruned record
+   * @returns {boolean} - Whether the applicant is locked out
+   */
+  isLocked(record) {
+    return Boolean(record.lockedUntil) && Date.parse(record.lockedUntil) > this.now().getTime();
+  }
+
+  /**
+   * Summarizes a record
+   * @param {object} record - Pruned record
+   * @returns {{locked: boolean, lockedUntil: string|null, failures: number}} - Lockout status
+   */
+  describe(record) {
+    const locked = this.isLocked(record);
+    return {
+      locked,
+      lockedUntil: locked ? record.lockedUntil : null,
+      failures: record.failures.length
+    };
+  }
+}
+
+/**
+ * Keeps records in process memory; lockouts are lost on restart
+ */
+export class InMemoryLockoutRegistry extends LockoutRegistry {
+  constructor(options = {}) {
+    super(options);
+    this.records = new Map();
+  }
+
+  async loadRecord(applicantId) {
+    const serialized = this.records.get(applicantId);
+    return serialized ? JSON.parse(serialized) : null;
+  }
+
+  async saveRecord(applicantId, record) {
+    this.records.set(applicantId, JSON.stringify(record));
+  }
+}
+
+/**
+ * Writes one JSON file per applicant, so lockouts survive a restart. Writes go
+ * to a temporary file first and are renamed into place. Files are named by a
+ * hash of the applicant ID, so any ID is safe to use and none appears on disk.
+ */
+export class FileLockoutRegistry extends LockoutRegistry {
+  /**
+   * @param {object} options - Lockout policy (see LockoutRegistry) and storage options
+   * @param {string} options.dir - Directory holding lockout files (default: LOCKOUT_STORE_DIR or lockouts)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dir = options.dir || process.env.LOCKOUT_STORE_DIR || 'lockouts';
+  }
+
+  /**
+   * Resolves the record file for an applicant
+   * @param {string} applicantId - Applicant ID
+   * @returns {string} - File path
+   */
+  getFilePath(applicantId) {
+    const hash = crypto.createHash('sha256').update(String(applicantId)).digest('hex');
+    return path.join(this.dir, `lockout_${hash}.json`);
+  }
+
+  async loadRecord(applicantId) {
+    try {
+      const content = await fs.promises.readFile(this.getFilePath(applicantId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async saveRecord(applicantId, record) {
+    const filePath = this.getFilePath(applicantId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+}
+
+/**
+ * Creates the lockout registry selected by configuration
+ * @param {object} options - Lockout policy and storage options
+ * @param {string} options.type - 'file' or 'memory' (defaults to LOCKOUT_STORE or 'file')
+ * @returns {LockoutRegistry} - Lockout registry
+ */
+export function createLockoutRegistry(options = {}) {
+  const type = options.type || process.env.LOCKOUT_STORE || 'file';
+
+  switch (type) {
+    case 'memory':
+      return new InMemoryLockoutRegistry(options);
+    case 'file':
+      return new FileLockoutRegistry(options);
+    default:
+      throw new Error(`Unknown lockout store type: ${type}`);
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Gets the registry shared by every agent in the process, created on first use
+ * @returns {LockoutRegistry} - Default lockout registry
+ */
+export function getDefaultLockoutRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createLockoutRegistry();
+  }
+  return defaultRegistry;
+}
+
+export default createLockoutRegistry;
@@ -0,0 +1,202 @@
+import { parseAddress, extractUnit } from '../utils/addressMatcher.js';
+import { parseIncome, describeIncome } from '../utils/incomeParser.js';
+import { parseDuration } from '../utils/durationParser.js';
+
+/**
+ * Rule-Based Entity Extractor
+ * Deterministic, offline extraction of the entities the verification script
+ * collects. Unlike a canned fallback it only ever returns what the user said,
+ * and returns null for anything it cannot find.
+ */
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9,
+  september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+// Slot types for the keys used by the shipped flows, for callers that don't pass types
+const KEY_TYPES = {
+  date: 'date',
+  ssn: 'digits',
+  email: 'email',
+  income: 'money',
+  tenure: 'duration'
+};
+
+const ADDRESS_KEYS = ['street', 'city', 'state', 'zip_code'];
+
+/**
+ * Builds an ISO date if the parts form a real calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} - YYYY-MM-DD, or null if the date does not exist
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Expands a two-digit year to the most recent past century
+ * @param {string} year - Two- or four-digit year
+ * @returns {number} - Four-digit year
+ */
+function expandYear(year) {
+  if (year.length === 4) return parseInt(year);
+  const currentTwoDigits = new Date().getFullYear() % 100;
+  const value = parseInt(year);
+  return value > currentTwoDigits ? 1900 + value : 2000 + value;
+}
+
+/**
+ * Extracts a date ("March 15th, 1985", "03/15/1985", "03 15 1985", "15 March 1985", "1985-03-15")
+ * @param {string} text - User's response
+ * @returns {string|null} - Date in YYYY-MM-DD format
+ */
+export function extractDate(text) {
+  const value = text.toLowerCase();
+
+  const iso = value.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) {
+    return toIsoDate(parseInt(iso[1]), parseInt(iso[2]), parseInt(iso[3]));
+  }
+
+  const numeric = value.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/) ||
+    // Normalized transcripts read dates as "03 15 1985"
+    value.match(/\b(\d{1,2})\s+(\d{1,2})\s+(\d{4})\b/);
+  if (numeric) {
+    return toIsoDate(expandYear(numeric[3]), parseInt(numeric[1]), parseInt(numeric[2]));
+  }
+
+  const monthFirst = value.match(new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(?:of\\s+)?(\\d{4})\\b`));
+  if (monthFirst) {
+    return toIsoDate(parseInt(monthFirst[3]), MONTHS[monthFirst[1]], parseInt(monthFirst[2]));
+  }
+
+  const dayFirst = value.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_NAMES})\\.?,?\\s+(\\d{4})\\b`));
+  if (dayFirst) {
+    return toIsoDate(parseInt(dayFirst[3]), MONTHS[dayFirst[2]], parseInt(dayFirst[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Extracts spoken or typed digits ("7 2 3 4", "seven two three four")
+ * @param {string} text - User's response
+ * @returns {string|null} - Digits in the order given
+ */
+export function extractDigits(text) {
+  const value = text.toLowerCase()
+    // "the last four are..." names the count, it isn't one of the digits
+    .replace(/\blast\s+(?:four|4)(?:\s+digits)?\b/g, ' ')
+    .replace(/\b(zero|oh|o|one|two|three|four|five|six|seven|eight|nine)\b/g, (word) => DIGIT_WORDS[word]);
+
+  const digits = value.replace(/\D/g, '');
+  return digits || null;
+}
+
+/**
+ * Extracts an email address, including spoken forms ("john dot doe at gmail dot com")
+ * @param {string} text - User's response
+ * @returns {string|null} - Email address
+ */
+export function extractEmail(text) {
+  const emailPattern = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/;
+  const value = text.toLowerCase();
+
+  const written = value.match(emailPattern);
+  if (written) {
+    return written[0].replace(/\.$/, '');
+  }
+
+  const spoken = value
+    .replace(/^.*?\b(?:email(?:\s+address)?\s+is|it's|it\s+is)\s+/, '')
+    .replace(/\s+at\s+/g, '@')
+    .replace(/\s*\b(?:dot|period)\b\s*/g, '.')
+    .replace(/\s*\bunderscore\b\s*/g, '_')
+    .replace(/\s*\b(?:dash|hyphen)\b\s*/g, '-')
+    .replace(/\s+/g, '')
+    .replace(/\.$/, '');
+
+  const match = spoken.match(emailPattern);
+  return match ? match[0] : null;
+}
+
+/**
+ * Extracts a yes/no answer
+ * @param {string} text - User's response
+ * @returns {string|null} - "true", "false", or null if unclear
+ */
+export function extractBoolean(text) {
+  const value = text.toLowerCase();
+  if (/\b(no|nope|nah|not|incorrect|wrong)\b/.test(value)) return 'false';
+  if (/\b(yes|yeah|yep|correct|right|sure)\b/.test(value)) return 'true';
+  return null;
+}
+
+/**
+ * Extracts a single entity by type
+ * @param {string} text - User's response
+ * @param {string} key - Entity name
+ * @param {string} type - Slot type (see flowLoader.SLOT_TYPES)
+ * @param {function(): object} address - Lazily parsed address, shared between address keys
+ * @returns {string|null} - Extracted value
+ */
+function extractByType(text, key, type, address) {
+  switch (type) {
+    case 'date':
+      return extractDate(text);
+    case 'digits':
+      return extractDigits(text);
+    case 'email':
+      return extractEmail(text);
+    case 'money': {
+      const income = parseIncome(text);
+      if (!income) return null;
+      return income.periodInferred ? String(income.amount) : describeIncome(income);
+    }
+    case 'duration': {
+      const duration = parseDuration(text);
+      return duration ? String(duration.months) : null;
+    }
+    case 'boolean':
+      return extractBoolean(text);
+    default:
+      if (ADDRESS_KEYS.includes(key)) return address()[key];
+      if (key === 'unit') return extractUnit(text, { allowBare: true });
+      return null;
+  }
+}
+
+/**
+ * Extracts structured entities from user input without a network call
+ * @param {string} text - User's natural language input
+ * @param {object} schema - Entities to extract, keyed by name (values are descriptions)
+ * @param {object} types - Slot type for each entity; known keys default by name
+ * @returns {object} - Extracted entities, null where nothing was found
+ */
+export function extractEntitiesWithRules(text, schema, types = {}) {
+  const value = String(text || '');
+  let parsedAddress = null;
+  const address = () => (parsedAddress = parsedAddress || parseAddress(value));
+
+  const result = {};
+  for (const key of Object.keys(schema)) {
+    const type = types[key] || KEY_TYPES[key] || 'string';
+    result[key] = extractByType(value, key, type, address);
+  }
+
+  return result;
+}
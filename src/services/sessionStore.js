@@ -0,0 +1,172 @@
+/**
+ * Session Store
+ * Persists VerificationAgent snapshots so a conversation can survive a dropped
+ * call or a process restart and be resumed at the node where it stopped
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDefaultEncryptor } from '../utils/encryption.js';
+
+/**
+ * Session store interface. Implementations persist agent snapshots
+ * (see VerificationAgent#toJSON) keyed by session ID.
+ */
+export class SessionStore {
+  /**
+   * Loads a snapshot
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<object|null>} - Snapshot, or null if not found
+   */
+  async get(sessionId) {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  /**
+   * Saves a snapshot, replacing any previous one for the session
+   * @param {string} sessionId - Session ID
+   * @param {object} snapshot - Agent snapshot
+   * @returns {Promise<void>}
+   */
+  async set(sessionId, snapshot) {
+    throw new Error(`${this.constructor.name} must implement set()`);
+  }
+
+  /**
+   * Removes a snapshot
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - Whether a snapshot was removed
+   */
+  async delete(sessionId) {
+    throw new Error(`${this.constructor.name} must implement delete()`);
+  }
+
+  /**
+   * Lists stored session IDs
+   * @returns {Promise<string[]>} - Session IDs
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+}
+
+/**
+ * Keeps snapshots in process memory. Snapshots are stored serialized so callers
+ * can never mutate a stored snapshot through a shared reference.
+ */
+export class InMemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.snapshots = new Map();
+  }
+
+  async get(sessionId) {
+    const serialized = this.snapshots.get(sessionId);
+    return serialized ? JSON.parse(serialized) : null;
+  }
+
+  async set(sessionId, snapshot) {
+    this.snapshots.set(sessionId, JSON.stringify(snapshot));
+  }
+
+  async delete(sessionId) {
+    return this.snapshots.delete(sessionId);
+  }
+
+  async list() {
+    return Array.from(this.snapshots.keys());
+  }
+}
+
+/**
+ * Writes one JSON file per session. Writes go to a temporary file first and are
+ * renamed into place so a crash mid-write never leaves a truncated snapshot.
+ * Snapshots are encrypted when a key is configured; plain-text ones still load.
+ */
+export class FileSessionStore extends SessionStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.dir - Directory holding snapshot files
+   * @param {Encryptor} options.encryptor - Encrypts snapshots (default: the ENCRYPTION_KEYS / ENCRYPTION_KEY_FILE encryptor)
+   */
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir || process.env.SESSION_STORE_DIR || 'sessions';
+    this.encryptor = options.encryptor || getDefaultEncryptor();
+  }
+
+  /**
+   * Resolves the snapshot file for a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} - File path
+   */
+  getFilePath(sessionId) {
+    if (!/^[\w-]+$/.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(this.dir, `snapshot_${sessionId}.json`);
+  }
+
+  async get(sessionId) {
+    try {
+      const content = await fs.promises.readFile(this.getFilePath(sessionId), 'utf8');
+      return JSON.parse(this.encryptor.decryptDocument(content));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(sessionId, snapshot) {
+    const filePath = this.getFilePath(sessionId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tempPath, this.encryptor.encryptDocument(JSON.stringify(snapshot, null, 2)));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async delete(sessionId) {
+    try {
+      await fs.promises.unlink(this.getFilePath(sessionId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    try {
+      const files = await fs.promises.readdir(this.dir);
+      return files
+        .filter(file => file.startsWith('snapshot_') && file.endsWith('.json'))
+        .map(file => file.replace(/^snapshot_/, '').replace(/\.json$/, ''));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+/**
+ * Creates the session store selected by configuration
+ * @param {object} options - Store options
+ * @param {string} options.type - 'memory' or 'file' (defaults to SESSION_STORE or 'memory')
+ * @param {string} options.dir - Directory for the file store
+ * @returns {SessionStore} - Session store
+ */
+export function createSessionStore(options = {}) {
+  const type = options.type || process.env.SESSION_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new InMemorySessionStore();
+    case 'file':
+      return new FileSessionStore(options);
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+export default createSessionStore;
@@ -115,14 +115,12 @@ async function runSimulationWithGeneratedData() {
       while (agentPrompt) {
         console.log(`\nAgent: ${agentPrompt}`);
         
-        if (agent.conversationState.currentNodeId === 'COMPLETION' || 
-            agent.conversationState.currentNodeId === 'IDENTITY_FAILURE_TERMINATION') {
+        if (agent.isTerminal()) {
           break;
         }
         
         const userResponse = await askQuestion('You: ');
-        await agent.processUserInput(userResponse);
-        agentPrompt = agent.generatePrompt();
+        agentPrompt = await agent.processUserInput(userResponse);
       }
       
       console.log("\n=== Simulation Ended ===");
@@ -146,14 +144,12 @@ async function runSimulationWithGeneratedData() {
     while (agentPrompt) {
       console.log(`\nAgent: ${agentPrompt}`);
       
-      if (agent.conversationState.currentNodeId === 'COMPLETION' || 
-          agent.conversationState.currentNodeId === 'IDENTITY_FAILURE_TERMINATION') {
+      if (agent.isTerminal()) {
         break;
       }
       
       const userResponse = await askQuestion('You: ');
-      await agent.processUserInput(userResponse);
-      agentPrompt = agent.generatePrompt();
+      agentPrompt = await agent.processUserInput(userResponse);
     }
     
     console.log("\n=== Simulation Ended ===");
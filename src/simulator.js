@@ -29,15 +29,12 @@ async function runSimulation() {
   while (agentPrompt) {
     console.log(`\nAgent: ${agentPrompt}`);
     
-    const currentNode = agent.conversationState.currentNodeId;
-    if (agent.conversationState.currentNodeId === 'COMPLETION' || 
-        agent.conversationState.currentNodeId === 'IDENTITY_FAILURE_TERMINATION') {
+    if (agent.isTerminal()) {
       break;
     }
     
     const userResponse = await askQuestion('You: ');
-    await agent.processUserInput(userResponse);
-    agentPrompt = agent.generatePrompt();
+    agentPrompt = await agent.processUserInput(userResponse);
   }
   
   console.log("\n=== Simulation Ended ===");
@@ -0,0 +1,65 @@
+import { compareAddresses, extractUnit, normalizeStreet, normalizeUnit, normalizeState, parseAddressPart, splitUnitFromStreet } from '../utils/addressMatcher.js';
+
+describe('Address Matcher', () => {
+  const onFile = { street: '1247 North Oak Street', unit: 'Apt 3B', city: 'Austin', state: 'TX', zip_code: '78701' };
+
+  test('should normalize common street, unit and state variants', () => {
+    expect(normalizeStreet('1247 N. Oak St.')).toBe(normalizeStreet('1247 North Oak Street'));
+    expect(normalizeUnit('apartment 3b')).toBe('3B');
+    expect(normalizeUnit('#3B')).toBe('3B');
+    expect(normalizeState('texas')).toBe('TX');
+    expect(splitUnitFromStreet('1247 Oak St, Apt 3B')).toEqual({ street: '1247 Oak St', unit: '3B' });
+  });
+
+  test('should extract a unit number from a spoken answer', () => {
+    expect(extractUnit('Yes, apartment number 3b')).toBe('Apt 3B');
+    expect(extractUnit('suite 200')).toBe('Suite 200');
+    expect(extractUnit('Yes, apartment 3 B')).toBe('Apt 3B');
+    expect(extractUnit('yes, #12')).toBe('Unit 12');
+    expect(extractUnit('3B')).toBeNull();
+    expect(extractUnit('3B', { allowBare: true })).toBe('Unit 3B');
+    expect(extractUnit('Yes, it\'s 4B.', { allowBare: true })).toBe('Unit 4B');
+    expect(extractUnit('Yes, it\'s 4B.')).toBeNull();
+    expect(extractUnit('none', { allowBare: true })).toBeNull();
+  });
+
+  test('should read an address part given on its own', () => {
+    expect(parseAddressPart('80203', 'zip_code')).toBe('80203');
+    expect(parseAddressPart('It\'s 80203-1234.', 'zip_code')).toBe('80203-1234');
+    expect(parseAddressPart('it\'s Colorado', 'state')).toBe('Colorado');
+    expect(parseAddressPart('CO', 'state')).toBe('CO');
+    expect(parseAddressPart('4B', 'unit')).toBe('Unit 4B');
+    expect(parseAddressPart('I\'m not sure', 'zip_code')).toBeNull();
+  });
+
+  test('should match the same address said differently', () => {
+    const result = compareAddresses(
+      { street: '1247 N Oak St #3B', city: 'austin', state: 'Texas', zip_code: '78701-4455' },
+      onFile
+    );
+
+    expect(result.result).toBe('match');
+    expect(result.diffs).toEqual({});
+    expect(result.matchedFields).toContain('unit');
+  });
+
+  test('should report a partial match when only the ZIP differs', () => {
+    const result = compareAddresses(
+      { street: '1247 North Oak Street', city: 'Austin', state: 'TX', zip_code: '78702' },
+      onFile
+    );
+
+    expect(result.result).toBe('partial');
+    expect(result.diffs).toEqual({ zip_code: { stated: '78702', onFile: '78701' } });
+  });
+
+  test('should report a mismatch for a different street', () => {
+    const result = compareAddresses(
+      { street: '88 Pine Avenue', city: 'Austin', state: 'TX', zip_code: '78701' },
+      onFile
+    );
+
+    expect(result.result).toBe('mismatch');
+    expect(Object.keys(result.diffs)).toEqual(['street']);
+  });
+});
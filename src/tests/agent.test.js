@@ -1,4 +1,12 @@
+import { jest } from '@jest/globals';
 import VerificationAgent from '../agent/VerificationAgent.js';
+import { InMemoryLockoutRegistry, resolveApplicantId } from '../services/lockoutRegistry.js';
+import { InMemoryAuditTrail } from '../services/auditTrail.js';
+import LLMService from '../services/llmService.js';
+import { ScriptedProvider } from '../services/llmProviders.js';
+
+// Extract with the offline rules so no test depends on the network
+process.env.EXTRACTION_STRATEGY = 'rules';
 
 describe('VerificationAgent Integration Tests', () => {
   let agent;
@@ -8,9 +16,16 @@ describe('VerificationAgent Integration Tests', () => {
     ssn_last_four: '1234',
     application_job_tenure: 24
   };
+  // Every agent keeps its lockouts and audit trail in memory and writes no log files
+  const testConfig = (config = {}) => ({
+    enableLogging: false,
+    lockoutRegistry: new InMemoryLockoutRegistry(),
+    auditTrail: new InMemoryAuditTrail(),
+    ...config
+  });
 
   beforeEach(() => {
-    agent = new VerificationAgent(testApplicant);
+    agent = new VerificationAgent(testApplicant, testConfig());
   });
 
   describe('Agent Initialization', () => {
@@ -43,6 +58,85 @@ describe('VerificationAgent Integration Tests', () => {
     });
   });
 
+  describe('Greeting Outcomes', () => {
+    const completionOutcome = (spy) => spy.mock.calls[spy.mock.calls.length - 1][1];
+
+    test('should end politely without disclosing details to a wrong person', async () => {
+      const spy = jest.spyOn(agent.logger, 'logCompletion');
+      const prompt = await agent.processUserInput('No, you have the wrong person.');
+
+      expect(agent.conversationState.currentNodeId).toBe('INCORRECT_PERSON_TERMINATION');
+      expect(prompt).not.toMatch(/application|financing|John/i);
+      expect(completionOutcome(spy)).toBe('wrong_person');
+    });
+
+    test('should not move on to the DOB when the caller says they are not the applicant', async () => {
+      const spy = jest.spyOn(agent.logger, 'logCompletion');
+      await agent.processUserInput('I am not.');
+
+      expect(agent.conversationState.currentNodeId).toBe('INCORRECT_PERSON_TERMINATION');
+      expect(completionOutcome(spy)).toBe('wrong_person');
+    });
+
+    test('should read "absolutely not" as a denial', async () => {
+      const spy = jest.spyOn(agent.logger, 'logCompletion');
+      await agent.processUserInput('Absolutely not');
+
+      expect(agent.conversationState.currentNodeId).toBe('INCORRECT_PERSON_TERMINATION');
+      expect(completionOutcome(spy)).toBe('wrong_person');
+    });
+
+    test('should offer a callback when the applicant is unavailable', async () => {
+      await agent.processUserInput('He\'s not available right now.');
+      expect(agent.conversationState.currentNodeId).toBe('CALLBACK_SCHEDULING');
+
+      const spy = jest.spyOn(agent.logger, 'logCompletion');
+      const prompt = await agent.processUserInput('Tomorrow after 5pm');
+
+      expect(agent.conversationState.currentNodeId).toBe('CALLBACK_SCHEDULED_TERMINATION');
+      expect(agent.conversationState.collectedData.callback.requestedTime).toBe('Tomorrow after 5pm');
+      expect(prompt).toContain('call back then');
+      expect(completionOutcome(spy)).toBe('callback_scheduled');
+    });
+
+    test('should close without a time when the caller does not know one', async () => {
+      await agent.processUserInput('She\'s at work.');
+      const prompt = await agent.processUserInput('I don\'t know');
+
+      expect(agent.conversationState.collectedData.callback.requestedTime).toBeNull();
+      expect(prompt).toContain('try again another time');
+    });
+
+    test('should refuse to continue with a third party even if they say yes', async () => {
+      const spy = jest.spyOn(agent.logger, 'logCompletion');
+      const prompt = await agent.processUserInput('Yes, I\'m his wife, I can answer for him.');
+
+      expect(agent.conversationState.currentNodeId).toBe('THIRD_PARTY_TERMINATION');
+      expect(prompt).toContain('privacy');
+      expect(completionOutcome(spy)).toBe('third_party_refused');
+    });
+  });
+
+  describe('Conversation Flows', () => {
+    test('should run a shipped flow selected by ID', () => {
+      const refinanceAgent = new VerificationAgent(testApplicant, testConfig({ flowId: 'refinance_verification' }));
+
+      expect(refinanceAgent.conversationState.currentNodeId).toBe('START');
+      expect(refinanceAgent.generatePrompt()).toContain('refinance');
+      expect(refinanceAgent.nodes.EMPLOYMENT_INCOME.next).toBe('FINAL_CONFIRMATION');
+    });
+
+    test('should not follow a guarded transition when the guard fails', () => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+
+      expect(agent.transitionOn('success')).toBeNull();
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_CONFIRM');
+
+      agent.identityVerified = true;
+      expect(agent.transitionOn('success')).toBe('CONTACT_INFO_ADDRESS');
+    });
+  });
+
   describe('Identity Verification', () => {
     test('should verify correct identity', () => {
       const result = agent.validateIdentity('1985-03-15', '1234');
@@ -60,9 +154,534 @@ describe('VerificationAgent Integration Tests', () => {
     });
   });
 
+  describe('Identity Retry', () => {
+    const failCheck = async (caller, dob, ssnLast4) => {
+      caller.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      Object.assign(caller.conversationState.collectedData, { dob, ssnLast4 });
+      return caller.processUserInput('Yes');
+    };
+
+    test('should check each identity detail separately', () => {
+      expect(agent.checkIdentityFactors('1985-03-15', '5678')).toEqual({ dob: true, ssn: false });
+      expect(agent.checkIdentityFactors('1985-03-16', '1234')).toEqual({ dob: false, ssn: true });
+    });
+
+    test('should re-collect both details without saying which was wrong by default', async () => {
+      const logStep = jest.spyOn(agent.logger, 'logStep');
+      const prompt = await failCheck(agent, '1985-03-15', '5678');
+
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_RETRY');
+      expect(prompt).toContain('unable to verify this information');
+      expect(prompt).not.toMatch(/social security/i);
+      expect(agent.conversationState.collectedData).toMatchObject({ dob: null, ssnLast4: null });
+      expect(logStep).toHaveBeenCalledWith('identity_factor_mismatch', {
+        attempt: 1,
+        dobMatches: true,
+        ssnMatches: false
+      }, 'warning');
+
+      expect(await agent.processUserInput('March 15th, 1985')).toContain('last four digits');
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_RETRY_SSN');
+      await agent.processUserInput('1 2 3 4');
+      await agent.processUserInput('Yes');
+      expect(agent.identityVerified).toBe(true);
+    });
+
+    test('should re-collect only the wrong detail under the specific policy', async () => {
+      const specific = new VerificationAgent({ ...testApplicant }, testConfig({ identityDisclosure: 'specific' }));
+      const prompt = await failCheck(specific, '1985-03-15', '5678');
+
+      expect(specific.conversationState.currentNodeId).toBe('IDENTITY_RETRY_SSN');
+      expect(prompt).toContain('couldn\'t match the last four digits of your Social Security Number');
+      expect(specific.conversationState.collectedData.dob).toBe('1985-03-15');
+
+      expect(await specific.processUserInput('1234')).toContain('Let me confirm');
+      await specific.processUserInput('Yes');
+      expect(specific.identityVerified).toBe(true);
+    });
+
+    test('should name the date of birth and skip the SSN when only the date was wrong', async () => {
+      const specific = new VerificationAgent({ ...testApplicant }, testConfig({ identityDisclosure: 'specific' }));
+      const prompt = await failCheck(specific, '1985-03-16', '1234');
+
+      expect(prompt).toContain('couldn\'t match the date of birth');
+      await specific.processUserInput('March 15th, 1985');
+      expect(specific.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_CONFIRM');
+    });
+
+    test('should reject an unknown disclosure policy', () => {
+      expect(() => new VerificationAgent({ ...testApplicant }, testConfig({ identityDisclosure: 'verbose' })))
+        .toThrow('Unknown identity disclosure policy');
+    });
+  });
+
+  describe('Identity Lockout', () => {
+    let lockoutRegistry;
+    const applicant = { ...testApplicant, applicant_id: 'app_1001' };
+    const newCall = () => new VerificationAgent({ ...applicant }, testConfig({ lockoutRegistry }));
+    const confirmIdentity = async (caller, dob) => {
+      caller.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      Object.assign(caller.conversationState.collectedData, { dob, ssnLast4: '1234' });
+      return caller.processUserInput('Yes');
+    };
+
+    beforeEach(() => {
+      lockoutRegistry = new InMemoryLockoutRegistry({ maxFailures: 3 });
+    });
+
+    test('should count failed checks across calls and lock the applicant out', async () => {
+      const first = newCall();
+      await confirmIdentity(first, '1985-03-16');
+      await confirmIdentity(first, '1985-03-17');
+      expect(first.conversationState.currentNodeId).toBe('IDENTITY_FAILURE_TERMINATION');
+
+      const second = newCall();
+      const prompt = await confirmIdentity(second, '1985-03-18');
+      expect(second.conversationState.currentNodeId).toBe('IDENTITY_LOCKED_TERMINATION');
+      expect(prompt).toContain('too many unsuccessful attempts');
+      expect(prompt).toMatch(/try again on or after \w+ \d+\w\w, \d{4}/);
+    });
+
+    test('should refuse verification while locked and record the refusal', async () => {
+      for (let i = 0; i < 3; i++) {
+        await lockoutRegistry.recordFailure('app_1001');
+      }
+
+      const caller = newCall();
+      await caller.processUserInput('Yes, that\'s me.');
+      expect(caller.conversationState.currentNodeId).toBe('IDENTITY_LOCKED_TERMINATION');
+      expect(caller.isTerminal()).toBe(true);
+
+      // The right answers don't get through a lockout either
+      const resumed = newCall();
+      await confirmIdentity(resumed, '1985-03-15');
+      expect(resumed.identityVerified).toBe(false);
+
+      const trail = await lockoutRegistry.getAuditTrail('app_1001');
+      expect(trail.map(entry => entry.event)).toEqual(['locked', 'refused', 'refused']);
+      expect(trail[1].sessionId).toBe(caller.logger.sessionId);
+    });
+
+    test('should clear earlier failures once identity is verified', async () => {
+      const caller = newCall();
+      await confirmIdentity(caller, '1985-03-16');
+      await confirmIdentity(caller, '1985-03-15');
+      expect(caller.identityVerified).toBe(true);
+      expect((await lockoutRegistry.getStatus('app_1001')).failures).toBe(0);
+    });
+
+    test('should hand the call to a person when the registry fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const broken = newCall();
+      jest.spyOn(lockoutRegistry, 'getStatus').mockRejectedValue(new Error('disk full'));
+
+      await broken.processUserInput('Yes, that\'s me.');
+      expect(broken.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(broken.conversationState.handoff.reason).toBe('lockout_unavailable');
+
+      // A failed check that can't be counted doesn't get another try either
+      lockoutRegistry.getStatus.mockRestore();
+      jest.spyOn(lockoutRegistry, 'recordFailure').mockRejectedValue(new Error('disk full'));
+      const uncounted = newCall();
+      await confirmIdentity(uncounted, '1985-03-16');
+      expect(uncounted.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(uncounted.identityVerified).toBe(false);
+      console.error.mockRestore();
+    });
+
+    test('should track applicants without an ID under one derived from their identity details', async () => {
+      await confirmIdentity(new VerificationAgent({ ...testApplicant }, testConfig({ lockoutRegistry })), '1985-03-16');
+      await confirmIdentity(new VerificationAgent({ ...testApplicant }, testConfig({ lockoutRegistry })), '1985-03-16');
+
+      expect(lockoutRegistry.records.size).toBe(1);
+      expect((await lockoutRegistry.getStatus(resolveApplicantId(testApplicant))).failures).toBe(2);
+    });
+
+    test('should hand the call to a person when nothing identifies the applicant', async () => {
+      const unidentified = new VerificationAgent({ name: 'John Doe' }, testConfig({ lockoutRegistry }));
+      await unidentified.processUserInput('Yes, that\'s me.');
+
+      expect(unidentified.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(unidentified.conversationState.handoff.reason).toBe('lockout_unavailable');
+    });
+  });
+
+  describe('Compliance Audit Trail', () => {
+    let auditTrail;
+    const newCall = () => new VerificationAgent({ ...testApplicant, applicant_id: 'app_2002' }, testConfig({ auditTrail }));
+    const events = async () => (await auditTrail.export()).map(record => record.event);
+
+    beforeEach(() => {
+      auditTrail = new InMemoryAuditTrail();
+    });
+
+    test('should record identity attempts and their outcomes without the answers', async () => {
+      const caller = newCall();
+      caller.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      Object.assign(caller.conversationState.collectedData, { dob: '1985-03-16', ssnLast4: '1234' });
+      await caller.processUserInput('Yes');
+
+      caller.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      Object.assign(caller.conversationState.collectedData, { dob: '1985-03-15', ssnLast4: '1234' });
+      await caller.processUserInput('Yes');
+
+      expect(await events()).toEqual(['identity_attempt', 'identity_failed', 'identity_attempt', 'identity_verified']);
+      const [, failed] = await auditTrail.export();
+      expect(failed).toMatchObject({
+        sessionId: caller.logger.sessionId,
+        applicantId: 'app_2002',
+        details: { attempt: 1, dobMatches: false, ssnMatches: true }
+      });
+      expect(JSON.stringify(auditTrail.lines)).not.toContain('1985');
+      expect((await auditTrail.verify()).valid).toBe(true);
+    });
+
+    test('should record confirmed data and escalations', async () => {
+      const caller = newCall();
+      caller.identityVerified = true;
+      caller.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+      Object.assign(caller.conversationState.collectedData, { email: 'john@example.com', monthlyIncome: 5000 });
+      await caller.processUserInput('Yes, that\'s all correct');
+
+      const escalated = newCall();
+      await escalated.processUserInput('Someone stole my identity');
+
+      const [confirmed, escalation] = await auditTrail.export();
+      expect(confirmed).toMatchObject({ event: 'data_confirmed', details: { fields: ['email', 'monthlyIncome'] } });
+      expect(escalation).toMatchObject({ event: 'escalation', sessionId: escalated.logger.sessionId, details: { reason: 'fraud' } });
+    });
+
+    test('should hand the call to a person when a decision cannot be recorded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(auditTrail, 'record').mockRejectedValue(new Error('disk full'));
+
+      const confirming = newCall();
+      confirming.identityVerified = true;
+      confirming.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+      await confirming.processUserInput('Yes, that\'s all correct');
+      expect(confirming.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(confirming.conversationState.handoff.reason).toBe('audit_unavailable');
+
+      const verifying = newCall();
+      verifying.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      Object.assign(verifying.conversationState.collectedData, { dob: '1985-03-15', ssnLast4: '1234' });
+      await verifying.processUserInput('Yes');
+      expect(verifying.identityVerified).toBe(false);
+      expect(verifying.conversationState.handoff.reason).toBe('audit_unavailable');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Intent Classification', () => {
+    beforeEach(() => {
+      agent.conversationState.collectedData.dob = '1985-03-15';
+      agent.conversationState.collectedData.ssnLast4 = '1234';
+    });
+
+    test('should not treat "not correct" as a confirmation', async () => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      await agent.processUserInput('Not correct');
+
+      expect(agent.identityVerified).toBe(false);
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_DOB');
+    });
+
+    test('should ask again when the reply is unclear', async () => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      await agent.processUserInput('Hmm, I\'m not sure');
+
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_CONFIRM');
+      expect(agent.conversationState.attempts.identity).toBe(0);
+    });
+
+    test('should send a rejected summary back for correction', async () => {
+      agent.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+      await agent.processUserInput('No, that\'s not right');
+
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CORRECTION');
+    });
+
+    test('should not confirm the summary on "definitely not"', async () => {
+      agent.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+      await agent.processUserInput('Definitely not');
+
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CORRECTION');
+      expect((await agent.auditTrail.export()).map(record => record.event)).not.toContain('data_confirmed');
+    });
+
+    test('should treat low-confidence classifications as unsure', async () => {
+      const lowConfidence = new VerificationAgent(testApplicant, testConfig({
+        llmService: { classifyIntent: jest.fn().mockResolvedValue({ intent: 'affirm', confidence: 0.3, source: 'llm' }) },
+        enableConsoleLogging: false
+      }));
+      lowConfidence.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+      await lowConfidence.processUserInput('I suppose');
+
+      expect(lowConfidence.llm.classifyIntent).toHaveBeenCalledWith('I suppose', expect.objectContaining({ strategy: 'rules' }));
+      expect(lowConfidence.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+    });
+  });
+
+  describe('Conversational Commands', () => {
+    test('should repeat the question without treating it as an answer', async () => {
+      const greeting = agent.generatePrompt();
+      const prompt = await agent.processUserInput('Sorry, can you repeat that?');
+
+      expect(prompt).toBe(greeting);
+      expect(agent.conversationState.currentNodeId).toBe('START');
+    });
+
+    test('should not count commands against the identity attempts', async () => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
+      agent.conversationState.collectedData.dob = '1985-03-16';
+      agent.conversationState.collectedData.ssnLast4 = '1234';
+
+      await agent.processUserInput('What was the question?');
+      await agent.processUserInput('Hold on');
+      await agent.processUserInput('OK, yes');
+
+      expect(agent.conversationState.attempts.identity).toBe(1);
+    });
+
+    test('should slow down every following prompt', async () => {
+      const prompt = await agent.processUserInput('Slow down please');
+
+      expect(agent.conversationState.delivery).toBe('slow');
+      expect(prompt).toContain(' ... ');
+    });
+
+    test('should go back to the previous data-collection question', async () => {
+      await agent.processUserInput('Yes, that\'s me.');
+      await agent.processUserInput('March 15th, 1985');
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_SSN');
+
+      await agent.processUserInput('Wait, can we go back?');
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_DOB');
+    });
+
+    test('should not go back past the identity check', async () => {
+      await agent.processUserInput('Yes, that\'s me.');
+      await agent.processUserInput('March 15th, 1985');
+      await agent.processUserInput('1 2 3 4');
+      await agent.processUserInput('Yes');
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_ADDRESS');
+
+      await agent.processUserInput('Go back');
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_ADDRESS');
+    });
+
+    test('should hold until the caller speaks or is re-prompted', async () => {
+      expect(await agent.processUserInput('Hang on, let me grab my card')).toContain('take your time');
+      expect(agent.getRepromptDelay()).toBe(agent.config.holdRepromptMs);
+
+      expect(agent.reprompt()).toContain('Are you still there? Hello');
+      expect(agent.getRepromptDelay()).toBeNull();
+    });
+  });
+
+  describe('Reprompt Budgets', () => {
+    beforeEach(() => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_DOB';
+    });
+
+    test('should escalate the reprompt with each answer that makes no progress', async () => {
+      const { reprompts } = agent.nodes.IDENTITY_VERIFICATION_DOB;
+
+      expect(await agent.processUserInput('Purple')).toBe(reprompts[0]({}));
+      expect(await agent.processUserInput('I forget')).toContain('For example, March 15th, 1985');
+      expect(await agent.processUserInput('Why do you need that?')).toBe(reprompts[2]({}));
+    });
+
+    test('should hand the call to a person once the budget is spent', async () => {
+      for (const answer of ['Purple', 'Purple', 'Purple', 'Purple']) {
+        await agent.processUserInput(answer);
+      }
+
+      expect(agent.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(agent.isTerminal()).toBe(true);
+      expect(agent.conversationState.handoff).toMatchObject({
+        reason: 'no_progress',
+        failedStep: { nodeId: 'IDENTITY_VERIFICATION_DOB', noProgressTurns: 4 }
+      });
+    });
+
+    test('should not spend the budget on commands or carry it to the next node', async () => {
+      await agent.processUserInput('Purple');
+      await agent.processUserInput('Can you repeat that?');
+      expect(agent.conversationState.noProgressTurns).toBe(1);
+
+      await agent.processUserInput('March 15th, 1985');
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_SSN');
+      expect(agent.conversationState.noProgressTurns).toBe(0);
+      expect(agent.generatePrompt()).toBe(agent.nodes.IDENTITY_VERIFICATION_SSN.prompt({}));
+    });
+
+    test('should not read a spoken "one" as an answer', async () => {
+      const prompt = await agent.processUserInput('Could you repeat that one more time?');
+
+      expect(prompt).toBe(agent.nodes.IDENTITY_VERIFICATION_DOB.prompt({}));
+      expect(agent.conversationState.noProgressTurns).toBe(0);
+    });
+
+    test('should honour the configured budget', async () => {
+      const strict = new VerificationAgent(testApplicant, testConfig({ maxNoProgressTurns: 1 }));
+      strict.conversationState.currentNodeId = 'CONTACT_INFO_EMAIL';
+      strict.conversationState.collectedData.address = { street: '123 Main St' };
+
+      await strict.processUserInput('Purple');
+      expect(strict.conversationState.currentNodeId).toBe('CONTACT_INFO_EMAIL');
+      await strict.processUserInput('Purple');
+      expect(strict.conversationState.currentNodeId).toBe('ESCALATION');
+    });
+  });
+
+  describe('Escalation Handoff', () => {
+    test('should hand off when the caller asks for a person', async () => {
+      await agent.processUserInput('Yes, that\'s me.');
+      const prompt = await agent.processUserInput('Can I just talk to a real person?');
+
+      expect(agent.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(agent.isTerminal()).toBe(true);
+      expect(prompt).toContain('connect you with a member of our team');
+      expect(agent.conversationState.handoff).toMatchObject({
+        reason: 'caller_request',
+        flowId: agent.flow.id,
+        applicantName: 'John Doe',
+        identityVerified: false,
+        failedStep: { nodeId: 'IDENTITY_VERIFICATION_DOB' }
+      });
+    });
+
+    test('should hand off on signs of fraud or distress', async () => {
+      await agent.processUserInput('I never applied for this loan');
+      expect(agent.conversationState.handoff.reason).toBe('fraud');
+
+      const distressed = new VerificationAgent({ ...testApplicant }, testConfig());
+      await distressed.processUserInput('I\'m so overwhelmed, I can\'t do this');
+      expect(distressed.conversationState.currentNodeId).toBe('ESCALATION');
+      expect(distressed.conversationState.handoff.reason).toBe('distress');
+    });
+
+    test('should pass along what has been collected and said', async () => {
+      await agent.processUserInput('Yes, that\'s me.');
+      await agent.processUserInput('March 15th, 1985');
+      await agent.processUserInput('Transfer me to someone please');
+
+      const { collectedData, transcriptSummary } = agent.conversationState.handoff;
+      expect(collectedData.dob).toBe('1985-03-15');
+      expect(transcriptSummary.turns).toBe(3);
+      expect(transcriptSummary.nodesVisited).toEqual(['START', 'IDENTITY_VERIFICATION_DOB', 'IDENTITY_VERIFICATION_SSN']);
+      expect(transcriptSummary.recentExchanges[2]).toEqual({
+        nodeId: 'IDENTITY_VERIFICATION_SSN',
+        userResponse: 'Transfer me to someone please'
+      });
+    });
+
+    test('should keep only the last few replies, without their digits', async () => {
+      await agent.processUserInput('Yes, that\'s me.');
+      await agent.processUserInput('March 15th, 1985');
+      await agent.processUserInput('1 2 3 4');
+      for (const answer of ['Purple', 'Purple', 'Purple']) {
+        await agent.processUserInput(answer);
+      }
+      await agent.processUserInput('Transfer me to someone please');
+
+      const { transcript } = agent.conversationState;
+      const { transcriptSummary } = agent.conversationState.handoff;
+      expect(transcript).toHaveLength(5);
+      expect(transcript[0]).toEqual({ nodeId: 'IDENTITY_VERIFICATION_SSN', userResponse: '[DIGITS]' });
+      expect(JSON.stringify(agent.toJSON().conversationState.transcript)).not.toMatch(/1985|1 2 3 4/);
+      expect(transcriptSummary.turns).toBe(7);
+      expect(transcriptSummary.recentExchanges).toEqual(transcript);
+    });
+
+    test('should not mistake an answer that mentions a role for a request', async () => {
+      agent.identityVerified = true;
+      agent.conversationState.currentNodeId = 'EMPLOYMENT_TENURE';
+
+      await agent.processUserInput('I\'ve been the store manager for about 3 years');
+      expect(agent.conversationState.currentNodeId).not.toBe('ESCALATION');
+      expect(agent.conversationState.handoff).toBeNull();
+    });
+  });
+
+  describe('Final Confirmation Corrections', () => {
+    beforeEach(() => {
+      agent.identityVerified = true;
+      Object.assign(agent.conversationState.collectedData, {
+        dob: '1985-03-15',
+        ssnLast4: '1234',
+        address: { street: '123 Main St', city: 'Austin', state: 'TX', zip_code: '78701' },
+        email: 'john@example.com',
+        monthlyIncome: 5000,
+        jobTenure: 24
+      });
+      agent.conversationState.currentNodeId = 'FINAL_CONFIRMATION';
+    });
+
+    test('should read back the collected data', () => {
+      const prompt = agent.generatePrompt();
+      expect(prompt).toContain('March 15th, 1985');
+      expect(prompt).toContain('123 Main St, Austin, TX, 78701');
+      expect(prompt).toContain('$5,000');
+    });
+
+    test('should update a detail given in the same answer and read back only that', async () => {
+      const prompt = await agent.processUserInput('My income should be 7,000 a month');
+
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+      expect(agent.conversationState.collectedData.monthlyIncome).toBe(7000);
+      expect(agent.conversationState.collectedData.address.street).toBe('123 Main St');
+      expect(prompt).toContain('$7,000');
+      expect(prompt).not.toContain('123 Main St');
+    });
+
+    test('should ask for the new value when only the detail is named', async () => {
+      let prompt = await agent.processUserInput('My email is wrong');
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CORRECTION');
+      expect(prompt).toBe('What should your email address be?');
+
+      prompt = await agent.processUserInput('It\'s jane at example dot com');
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+      expect(agent.conversationState.collectedData.email).toBe('jane@example.com');
+      expect(prompt).toContain('Your email is now');
+    });
+
+    test('should only change the parts of the address that were named', async () => {
+      await agent.processUserInput('The zip code should be 78702');
+
+      expect(agent.conversationState.collectedData.address).toEqual({
+        street: '123 Main St', city: 'Austin', state: 'TX', zip_code: '78702'
+      });
+    });
+
+    test('should take a bare value for the part of the address named the turn before', async () => {
+      let prompt = await agent.processUserInput('The zip code is wrong');
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CORRECTION');
+      expect(prompt).toBe('What should your ZIP code be?');
+
+      prompt = await agent.processUserInput('80203');
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+      expect(agent.conversationState.collectedData.address).toEqual({
+        street: '123 Main St', city: 'Austin', state: 'TX', zip_code: '80203'
+      });
+      expect(agent.conversationState.noProgressTurns).toBe(0);
+      expect(prompt).toContain('Your mailing address is now');
+    });
+
+    test('should keep verified identity details locked', async () => {
+      const prompt = await agent.processUserInput('My date of birth is wrong, it\'s March 16th, 1985');
+
+      expect(agent.conversationState.collectedData.dob).toBe('1985-03-15');
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+      expect(prompt).toContain('already verified');
+    });
+  });
+
   describe('Data Collection', () => {
     test('should collect and store user data', async () => {
-      // Simulate DOB collection
+      // The DOB is asked for once the greeting is confirmed
+      await agent.processUserInput('Yes, that\'s me.');
       await agent.processUserInput('March 15th, 1985');
       expect(agent.conversationState.collectedData.dob).toBe('1985-03-15');
     });
@@ -78,6 +697,247 @@ describe('VerificationAgent Integration Tests', () => {
     });
   });
 
+  describe('Address Verification', () => {
+    const onFile = { street: '1247 Oak Street', city: 'Austin', state: 'TX', zip_code: '78701' };
+
+    beforeEach(() => {
+      agent = new VerificationAgent({ ...testApplicant, mailing_address: onFile }, testConfig());
+      agent.identityVerified = true;
+      agent.conversationState.currentNodeId = 'CONTACT_INFO_ADDRESS';
+    });
+
+    test('should accept an address that matches the one on file', async () => {
+      jest.spyOn(agent, 'extractSlots').mockResolvedValue({
+        street: '1247 Oak St', city: 'Austin', state: 'Texas', zip_code: '78701-1234'
+      });
+
+      await agent.processUserInput('1247 Oak St, Austin, Texas 78701-1234');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_UNIT');
+      expect(agent.conversationState.collectedData.addressVerification.result).toBe('match');
+      expect(agent.conversationState.collectedData.addressChanged).toBe(false);
+    });
+
+    test('should ask about a move when the street differs', async () => {
+      jest.spyOn(agent, 'extractSlots').mockResolvedValue({
+        street: '88 Pine Avenue', city: 'Austin', state: 'TX', zip_code: '78702'
+      });
+
+      await agent.processUserInput('88 Pine Avenue, Austin, TX 78702');
+
+      expect(agent.conversationState.currentNodeId).toBe('ADDRESS_CHANGE_CONFIRMATION');
+      expect(agent.generatePrompt()).toContain('1247 Oak Street, Austin, TX, 78701');
+
+      await agent.processUserInput('Yes, I moved last month.');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_UNIT');
+      expect(agent.conversationState.collectedData.addressChanged).toBe(true);
+      expect(agent.conversationState.collectedData.addressVerification.diffs.street).toEqual({
+        stated: '88 Pine Avenue', onFile: '1247 Oak Street'
+      });
+    });
+
+    test('should collect the address again when the user has not moved', async () => {
+      agent.conversationState.currentNodeId = 'ADDRESS_CHANGE_CONFIRMATION';
+      agent.conversationState.collectedData.address = { street: '88 Pine Avenue' };
+
+      await agent.processUserInput('No, it hasn\'t changed.');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_ADDRESS');
+      expect(agent.conversationState.collectedData.address).toBeNull();
+    });
+  });
+
+  describe('Unit Number Collection', () => {
+    beforeEach(() => {
+      agent = new VerificationAgent({
+        ...testApplicant,
+        mailing_address: { street: '1247 Oak Street', unit: 'Apt 3B', city: 'Austin', state: 'TX', zip_code: '78701' }
+      }, testConfig());
+      agent.conversationState.currentNodeId = 'CONTACT_INFO_UNIT';
+      agent.conversationState.collectedData.address = {
+        street: '1247 Oak Street', city: 'Austin', state: 'TX', zip_code: '78701'
+      };
+    });
+
+    test('should take the unit from the same answer', async () => {
+      const prompt = await agent.processUserInput('Yes, apartment 3B.');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_EMAIL');
+      expect(agent.conversationState.collectedData.address.unit).toBe('Apt 3B');
+      expect(agent.conversationState.collectedData.unitVerification.result).toBe('match');
+      expect(prompt).toContain('1247 Oak Street, Apt 3B, Austin, TX, 78701');
+    });
+
+    test('should take a bare unit number after a yes', async () => {
+      await agent.processUserInput('Yes, it\'s 4B.');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_EMAIL');
+      expect(agent.conversationState.collectedData.address.unit).toBe('Unit 4B');
+    });
+
+    test('should ask for the unit number when the user only says yes', async () => {
+      await agent.processUserInput('Yes.');
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_UNIT_NUMBER');
+
+      await agent.processUserInput('4C');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_EMAIL');
+      expect(agent.conversationState.collectedData.address.unit).toBe('Unit 4C');
+      expect(agent.conversationState.collectedData.unitVerification).toEqual({
+        result: 'mismatch', stated: 'Unit 4C', onFile: 'Apt 3B'
+      });
+    });
+
+    test('should move on when there is no unit', async () => {
+      await agent.processUserInput('No, it\'s a house.');
+
+      expect(agent.conversationState.currentNodeId).toBe('CONTACT_INFO_EMAIL');
+      expect(agent.conversationState.collectedData.address.unit).toBeUndefined();
+      expect(agent.conversationState.collectedData.unitVerification.result).toBe('mismatch');
+    });
+
+    test('should fall back to extraction for unit numbers the rules miss', async () => {
+      const spy = jest.spyOn(agent, 'extractSlots').mockResolvedValue({ unit: '12' });
+
+      await agent.processUserInput('Yeah, it\'s number twelve');
+
+      // Extraction sees the normalized transcript
+      expect(spy).toHaveBeenCalledWith('Yeah, it\'s number 12', ['unit']);
+      expect(agent.conversationState.collectedData.address.unit).toBe('Unit 12');
+    });
+  });
+
+  describe('Income Discrepancy Detection', () => {
+    beforeEach(() => {
+      agent = new VerificationAgent({ ...testApplicant, monthly_income: 6000 }, testConfig());
+      agent.conversationState.currentNodeId = 'EMPLOYMENT_INCOME';
+    });
+
+    test('should accept income within tolerance', async () => {
+      jest.spyOn(agent, 'extractSlots').mockResolvedValue({ income: '6500' });
+
+      await agent.processUserInput('About sixty-five hundred a month');
+
+      expect(agent.conversationState.currentNodeId).toBe('EMPLOYMENT_TENURE');
+      expect(agent.conversationState.collectedData.incomeVerification.hasDiscrepancy).toBe(false);
+    });
+
+    test('should ask for an explanation and record it when income differs', async () => {
+      jest.spyOn(agent, 'extractSlots').mockResolvedValue({ income: '4000' });
+
+      const prompt = await agent.processUserInput('Four thousand a month');
+
+      expect(agent.conversationState.currentNodeId).toBe('INCOME_DISCREPANCY_CHECK');
+      expect(prompt).toContain('$6,000');
+
+      await agent.processUserInput('I went part time in the spring.');
+
+      expect(agent.conversationState.currentNodeId).toBe('EMPLOYMENT_TENURE');
+      expect(agent.conversationState.collectedData.incomeVerification).toEqual({
+        statedIncome: 4000,
+        applicationIncome: 6000,
+        difference: -2000,
+        percentDifference: 33.3,
+        hasDiscrepancy: true,
+        explanation: 'I went part time in the spring.'
+      });
+    });
+
+    test('should confirm income given in another period before using it', async () => {
+      const prompt = await agent.processUserInput('About 80k a year');
+
+      expect(agent.conversationState.currentNodeId).toBe('INCOME_CONVERSION_CONFIRMATION');
+      expect(prompt).toContain('$80,000 a year');
+      expect(prompt).toContain('$6,667 a month');
+
+      await agent.processUserInput('Yes, that\'s right.');
+
+      expect(agent.conversationState.currentNodeId).toBe('EMPLOYMENT_TENURE');
+      expect(agent.conversationState.collectedData.monthlyIncome).toBe(6667);
+      expect(agent.conversationState.collectedData.incomeDetails.period).toBe('annual');
+    });
+
+    test('should read a spoken "eighty k a year" as an annual amount', async () => {
+      const prompt = await agent.processUserInput('about eighty k a year');
+
+      expect(agent.conversationState.currentNodeId).toBe('INCOME_CONVERSION_CONFIRMATION');
+      expect(prompt).toContain('$80,000 a year');
+    });
+
+    test('should ask for income again when the conversion is rejected', async () => {
+      await agent.processUserInput('$95,000');
+      await agent.processUserInput('No, that\'s wrong.');
+
+      expect(agent.conversationState.currentNodeId).toBe('EMPLOYMENT_INCOME');
+      expect(agent.conversationState.collectedData.monthlyIncome).toBeUndefined();
+    });
+
+    test('should require both thresholds to be exceeded', () => {
+      const lowIncomeAgent = new VerificationAgent({ ...testApplicant, monthly_income: 2000 }, testConfig());
+
+      // 40% off, but only $800
+      expect(lowIncomeAgent.verifyIncome(1200).hasDiscrepancy).toBe(false);
+      expect(lowIncomeAgent.verifyIncome(3500).hasDiscrepancy).toBe(true);
+    });
+  });
+
+  describe('Transcript Normalization', () => {
+    test('should normalize spoken digits and dates before extraction', async () => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_DOB';
+      await agent.processUserInput('oh three fifteen nineteen eighty five');
+      expect(agent.conversationState.collectedData.dob).toBe('1985-03-15');
+
+      await agent.processUserInput('one two three four');
+      expect(agent.conversationState.collectedData.ssnLast4).toBe('1234');
+    });
+
+    test('should pass the raw transcript through when disabled', async () => {
+      agent = new VerificationAgent(testApplicant, testConfig({ normalizeTranscripts: false }));
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_SSN';
+      const spy = jest.spyOn(agent, 'handleSsnCollection');
+
+      await agent.processUserInput('one two three four');
+
+      expect(spy).toHaveBeenCalledWith('one two three four');
+    });
+  });
+
+  describe('Offline Extraction', () => {
+    test('should complete a verification with rule-based extraction', async () => {
+      agent = new VerificationAgent({
+        ...testApplicant,
+        monthly_income: 6500,
+        mailing_address: { street: '1247 Oak Street', city: 'Austin', state: 'TX', zip_code: '78701' }
+      }, testConfig({ extractionStrategy: 'rules' }));
+
+      const answers = [
+        'Yes, that\'s me.',
+        'March 15th, 1985',
+        'one two three four',
+        'Yes, that\'s correct.',
+        '1247 Oak Street, Austin, Texas 78701',
+        'No, it\'s a house.',
+        'john dot doe at example dot com',
+        '$6,500 a month',
+        'About two years',
+        'Yes, that\'s all correct.'
+      ];
+      for (const answer of answers) {
+        await agent.processUserInput(answer);
+      }
+
+      expect(agent.conversationState.currentNodeId).toBe('COMPLETION');
+      expect(agent.conversationState.collectedData).toMatchObject({
+        dob: '1985-03-15',
+        ssnLast4: '1234',
+        email: 'john.doe@example.com',
+        monthlyIncome: 6500,
+        jobTenure: 24
+      });
+    });
+  });
+
   describe('Tenure Discrepancy Detection', () => {
     test('should detect tenure discrepancy', () => {
       agent.conversationState.collectedData.jobTenure = 8;
@@ -87,6 +947,34 @@ describe('VerificationAgent Integration Tests', () => {
       expect(hasDiscrepancy).toBe(true);
     });
 
+    test('should parse tenure without the LLM and ask about the discrepancy', async () => {
+      agent = new VerificationAgent({ ...testApplicant, application_job_tenure: 72 }, testConfig());
+      agent.conversationState.currentNodeId = 'EMPLOYMENT_TENURE';
+      const spy = jest.spyOn(agent, 'extractSlots');
+
+      const prompt = await agent.processUserInput('About two and a half years');
+
+      expect(spy).not.toHaveBeenCalled();
+      expect(agent.conversationState.collectedData.jobTenure).toBe(30);
+      expect(agent.conversationState.currentNodeId).toBe('TENURE_DISCREPANCY_CHECK');
+      expect(prompt).toContain('72 months');
+
+      await agent.processUserInput('I got a promotion and switched to a different role.');
+
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+      expect(agent.conversationState.collectedData.tenureVerification.explanation).toContain('promotion');
+    });
+
+    test('should measure "since" tenure from the call date', async () => {
+      agent = new VerificationAgent({ ...testApplicant, application_job_tenure: 24 }, testConfig({ callDate: '2025-06-15T12:00:00Z' }));
+      agent.conversationState.currentNodeId = 'EMPLOYMENT_TENURE';
+
+      await agent.processUserInput('Since March 2023');
+
+      expect(agent.conversationState.collectedData.jobTenure).toBe(27);
+      expect(agent.conversationState.currentNodeId).toBe('FINAL_CONFIRMATION');
+    });
+
     test('should not flag minor tenure differences', () => {
       agent.conversationState.collectedData.jobTenure = 22;
       agent.applicantData.application_job_tenure = 24;
@@ -108,7 +996,7 @@ describe('VerificationAgent Integration Tests', () => {
     });
 
     test('should handle missing applicant data', () => {
-      const agentWithMissingData = new VerificationAgent({});
+      const agentWithMissingData = new VerificationAgent({}, testConfig());
       
       expect(agentWithMissingData.applicantData).toEqual({});
       expect(agentWithMissingData.conversationState.context.applicantName).toBeUndefined();
@@ -125,6 +1013,7 @@ describe('VerificationAgent Integration Tests', () => {
     test('should update context for dynamic prompts', () => {
       agent.conversationState.collectedData.dob = '1985-03-15';
       agent.conversationState.collectedData.ssnLast4 = '1234';
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_CONFIRM';
       
       agent.updateContextForPrompt();
       
@@ -173,4 +1062,80 @@ describe('VerificationAgent Integration Tests', () => {
       expect(summary).toContain('24 months');
     });
   });
+
+  describe('Structured Logging', () => {
+    test('should record transitions, validations and prompts', async () => {
+      const { metrics } = agent.logger;
+      agent.generatePrompt();
+      await agent.processUserInput('Yes, that\'s me.');
+      await agent.processUserInput('March 15th, 1985');
+
+      expect(metrics.nodeTransitions.START[0]).toMatchObject({
+        to: 'IDENTITY_VERIFICATION_DOB',
+        context: { event: 'next' }
+      });
+      expect(metrics.validationResults.dob[0]).toMatchObject({ value: expect.stringMatching(/^sha256:/), isValid: true });
+      expect(metrics.agentPrompts.map(prompt => prompt.nodeId))
+        .toEqual(['START', 'IDENTITY_VERIFICATION_DOB', 'IDENTITY_VERIFICATION_SSN']);
+    });
+
+    test('should record the identity check and extraction calls', async () => {
+      const provider = new ScriptedProvider([{ ssn: '5678' }]);
+      const llmAgent = new VerificationAgent({ ...testApplicant }, testConfig({
+        llmService: new LLMService({ provider }),
+        extractionStrategy: 'llm',
+        enableConsoleLogging: false
+      }));
+      llmAgent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_SSN';
+      llmAgent.conversationState.collectedData.dob = '1985-03-15';
+
+      await llmAgent.processUserInput('five six seven eight');
+      expect(llmAgent.logger.metrics.llmCalls[0]).toMatchObject({ function: 'entity_extractor', success: true });
+
+      llmAgent.config.extractionStrategy = 'rules';
+      await llmAgent.processUserInput('Yes');
+      expect(llmAgent.logger.metrics.validationResults.identity[0]).toMatchObject({
+        value: { dobMatches: true, ssnMatches: false },
+        isValid: false
+      });
+    });
+  });
+
+  describe('Session Snapshots', () => {
+    test('should round-trip conversation state through toJSON/fromSnapshot', () => {
+      agent.conversationState.currentNodeId = 'EMPLOYMENT_INCOME';
+      agent.conversationState.collectedData = { dob: '1985-03-15', ssnLast4: '1234', email: 'john@example.com' };
+      agent.identityVerified = true;
+
+      const snapshot = JSON.parse(JSON.stringify(agent.toJSON()));
+      const resumed = VerificationAgent.fromSnapshot(snapshot, testConfig({ enableConsoleLogging: false }));
+
+      expect(resumed.logger.sessionId).toBe(agent.logger.sessionId);
+      expect(resumed.conversationState).toEqual(agent.conversationState);
+      expect(resumed.identityVerified).toBe(true);
+      expect(resumed.applicantData).toEqual(testApplicant);
+      expect(resumed.generatePrompt()).toContain('monthly income');
+    });
+
+    test('should resume after a failed identity attempt', () => {
+      agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_RETRY';
+      agent.conversationState.attempts.identity = 1;
+
+      const resumed = VerificationAgent.fromSnapshot(agent.toJSON(), testConfig());
+
+      expect(resumed.conversationState.attempts.identity).toBe(1);
+      expect(resumed.identityVerified).toBe(false);
+      expect(resumed.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_RETRY');
+    });
+
+    test('should reject snapshots with unknown versions or nodes', () => {
+      const snapshot = agent.toJSON();
+
+      expect(() => VerificationAgent.fromSnapshot({ ...snapshot, version: 99 })).toThrow('Unsupported snapshot version');
+      expect(() => VerificationAgent.fromSnapshot({
+        ...snapshot,
+        conversationState: { ...snapshot.conversationState, currentNodeId: 'MISSING_NODE' }
+      })).toThrow('unknown conversation node');
+    });
+  });
 });
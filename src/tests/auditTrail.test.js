@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { InMemoryAuditTrail, FileAuditTrail, createAuditTrail, GENESIS_HASH } from '../services/auditTrail.js';
+
+describe('Compliance Audit Trail', () => {
+  let now;
+  const options = () => ({ key: 'test-key', now: () => now });
+  const recordSession = async (trail, sessionId) => {
+    await trail.record('identity_attempt', { sessionId, applicantId: 'app_1', details: { attempt: 1 } });
+    await trail.record('identity_verified', { sessionId, applicantId: 'app_1', details: { attempt: 1 } });
+  };
+
+  beforeEach(() => {
+    now = new Date('2024-06-01T12:00:00.000Z');
+  });
+
+  test('should chain and sign every record', async () => {
+    const trail = new InMemoryAuditTrail(options());
+    await recordSession(trail, 'session_1');
+
+    const [first, second] = await trail.export();
+    expect(first).toMatchObject({ seq: 1, event: 'identity_attempt', prevHash: GENESIS_HASH });
+    expect(second).toMatchObject({ seq: 2, prevHash: first.hash });
+    expect(second.signature).toMatch(/^[0-9a-f]{64}$/);
+    expect(await trail.verify()).toEqual({ valid: true, records: 2, errors: [] });
+    await expect(trail.record('conversation_start')).rejects.toThrow('Unknown audit event');
+  });
+
+  test('should detect edited, removed and re-signed records', async () => {
+    const trail = new InMemoryAuditTrail(options());
+    await recordSession(trail, 'session_1');
+    await trail.record('data_confirmed', { sessionId: 'session_1', details: { fields: ['email'] } });
+    const original = [...trail.lines];
+
+    const edited = JSON.parse(original[1]);
+    edited.event = 'identity_failed';
+    trail.lines[1] = JSON.stringify(edited);
+    expect((await trail.verify()).errors).toEqual([{ seq: 2, reason: 'contents do not match the hash' }]);
+
+    trail.lines = [original[0], original[2]];
+    expect((await trail.verify()).errors.map(error => error.reason)).toEqual([
+      'expected sequence 2',
+      'does not link to the previous record'
+    ]);
+
+    // Records re-hashed and signed without the key don't verify
+    const other = new InMemoryAuditTrail({ ...options(), key: 'other-key' });
+    other.lines = original;
+    other.headLine = trail.headLine;
+    expect((await other.verify()).errors.map(error => error.reason)).toEqual([
+      ...new Array(3).fill('signature does not match'),
+      'head signature does not match'
+    ]);
+  });
+
+  test('should detect records removed from the end', async () => {
+    const trail = new InMemoryAuditTrail(options());
+    await recordSession(trail, 'session_1');
+    await recordSession(trail, 'session_2');
+
+    trail.lines = trail.lines.slice(0, 2);
+    expect((await trail.verify()).errors).toEqual([{ seq: 4, reason: 'records after 2 are missing' }]);
+
+    trail.lines = [];
+    expect((await trail.verify()).errors).toEqual([{ seq: 4, reason: 'records after 0 are missing' }]);
+
+    // Without the key, the head can't be moved back to match
+    trail.headLine = JSON.stringify({ ...JSON.parse(trail.headLine), seq: 0 });
+    expect((await trail.verify()).errors).toEqual([{ seq: 0, reason: 'head signature does not match' }]);
+  });
+
+  test('should export records for a session or date range', async () => {
+    const trail = new InMemoryAuditTrail(options());
+    await recordSession(trail, 'session_1');
+    now = new Date('2024-06-02T12:00:00.000Z');
+    await recordSession(trail, 'session_2');
+
+    expect((await trail.export({ sessionId: 'session_2' })).map(record => record.seq)).toEqual([3, 4]);
+    expect(await trail.export({ from: '2024-06-02' })).toHaveLength(2);
+    expect(await trail.export({ to: '2024-06-01T23:59:59Z' })).toHaveLength(2);
+    expect(await trail.export({ sessionId: 'session_1', from: '2024-06-02' })).toEqual([]);
+  });
+
+  describe('File trail', () => {
+    let root;
+    let dir;
+    let keyFile;
+    const fileOptions = () => ({ dir, keyFile, now: () => now });
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+      dir = path.join(root, 'trail');
+      keyFile = path.join(root, 'audit.key');
+      fs.writeFileSync(keyFile, 'file-key\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should continue the chain across restarts', async () => {
+      await recordSession(new FileAuditTrail(fileOptions()), 'session_1');
+      const restarted = new FileAuditTrail(fileOptions());
+      await recordSession(restarted, 'session_2');
+
+      expect(await restarted.verify()).toEqual({ valid: true, records: 4, errors: [] });
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'audit_trail.head.json'), 'utf8'))).toMatchObject({ seq: 4 });
+
+      // A line cut short by a crash is reported, and later records still chain to the last whole one
+      fs.appendFileSync(path.join(dir, 'audit_trail.jsonl'), '{"seq":5,"at":\n');
+      const recovered = new FileAuditTrail(fileOptions());
+      const record = await recovered.record('escalation', { sessionId: 'session_3', details: { reason: 'fraud' } });
+      expect(record.seq).toBe(5);
+      expect((await recovered.verify()).errors).toEqual([{ seq: 5, reason: 'record is not valid JSON' }]);
+    });
+
+    test('should detect records removed from the end of the file', async () => {
+      await recordSession(new FileAuditTrail(fileOptions()), 'session_1');
+      const filePath = path.join(dir, 'audit_trail.jsonl');
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').split('\n')[0] + '\n');
+
+      expect((await new FileAuditTrail(fileOptions()).verify()).errors).toEqual([
+        { seq: 2, reason: 'records after 1 are missing' }
+      ]);
+
+      fs.rmSync(path.join(dir, 'audit_trail.head.json'));
+      expect((await new FileAuditTrail(fileOptions()).verify()).errors).toEqual([
+        { seq: 1, reason: 'signed head is missing' }
+      ]);
+    });
+
+    test('should need a signing key kept outside the trail directory', () => {
+      const { AUDIT_HMAC_KEY, AUDIT_KEY_FILE } = process.env;
+      delete process.env.AUDIT_HMAC_KEY;
+      delete process.env.AUDIT_KEY_FILE;
+      try {
+        expect(() => new FileAuditTrail({ dir })).toThrow('needs a signing key');
+        expect(() => new FileAuditTrail({ dir, keyFile: path.join(dir, 'audit.key') })).toThrow('outside the trail directory');
+
+        // A missing or empty key stops the trail from being created, and is never generated
+        const missing = path.join(root, 'missing.key');
+        expect(() => new FileAuditTrail({ dir, keyFile: missing })).toThrow('key file not found');
+        expect(fs.existsSync(missing)).toBe(false);
+        fs.writeFileSync(keyFile, '\n');
+        expect(() => new FileAuditTrail({ dir, keyFile })).toThrow('key file is empty');
+      } finally {
+        if (AUDIT_HMAC_KEY !== undefined) process.env.AUDIT_HMAC_KEY = AUDIT_HMAC_KEY;
+        if (AUDIT_KEY_FILE !== undefined) process.env.AUDIT_KEY_FILE = AUDIT_KEY_FILE;
+      }
+    });
+  });
+
+  test('should create the configured trail', () => {
+    expect(createAuditTrail({ type: 'memory' })).toBeInstanceOf(InMemoryAuditTrail);
+    expect(createAuditTrail({ type: 'file', dir: 'unused', key: 'test-key' })).toBeInstanceOf(FileAuditTrail);
+    expect(createAuditTrail({ dir: 'unused', key: 'test-key' })).toBeInstanceOf(FileAuditTrail);
+    expect(() => createAuditTrail({ type: 'ledger' })).toThrow('Unknown audit trail type');
+  });
+});
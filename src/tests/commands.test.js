@@ -0,0 +1,29 @@
+import { detectCommand } from '../agent/commands.js';
+
+describe('Conversational Commands', () => {
+  test('should recognize each command', () => {
+    expect(detectCommand('Can you repeat that?')).toBe('repeat');
+    expect(detectCommand('Sorry, what was the question?')).toBe('repeat');
+    expect(detectCommand('Whoa, slow down please')).toBe('slowDown');
+    expect(detectCommand('You\'re going too fast')).toBe('slowDown');
+    expect(detectCommand('Can we go back?')).toBe('goBack');
+    expect(detectCommand('Wait, hold on')).toBe('hold');
+    expect(detectCommand('Yes, 1 second')).toBe('hold');
+    // Normalization has already turned the spoken "one" into a digit
+    expect(detectCommand('Could you repeat that 1 more time?', 'Could you repeat that one more time?')).toBe('repeat');
+  });
+
+  test('should leave answers that contain a command phrase to the handler', () => {
+    expect(detectCommand('Hold on, it\'s 1234')).toBeNull();
+    expect(detectCommand('Wait, my email is jane@example.com')).toBeNull();
+    expect(detectCommand('Hold on, 1234', 'Hold on, one two three four')).toBeNull();
+    expect(detectCommand('Hold on, it\'s 5', 'Hold on, it\'s 5')).toBeNull();
+    expect(detectCommand('Hold on a second, I have to find my pay stub because I changed jobs recently')).toBeNull();
+  });
+
+  test('should not treat plain answers as commands', () => {
+    expect(detectCommand('Yes')).toBeNull();
+    expect(detectCommand('No, that\'s wrong')).toBeNull();
+    expect(detectCommand('')).toBeNull();
+  });
+});
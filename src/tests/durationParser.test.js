@@ -0,0 +1,39 @@
+import { parseDuration } from '../utils/durationParser.js';
+
+describe('Duration Parser', () => {
+  const now = new Date(2025, 5, 15); // June 15th, 2025
+
+  test('should parse years and months in words or digits', () => {
+    expect(parseDuration('Two and a half years').months).toBe(30);
+    expect(parseDuration('about 3 years').months).toBe(36);
+    expect(parseDuration('a year and a half').months).toBe(18);
+    expect(parseDuration('2 years and 3 months').months).toBe(27);
+    expect(parseDuration('twenty-four months').months).toBe(24);
+    expect(parseDuration('half a year').months).toBe(6);
+  });
+
+  test('should measure "since" dates from the call date', () => {
+    expect(parseDuration('Since March 2021', { now })).toEqual({ months: 51, kind: 'since', since: '2021-03' });
+    expect(parseDuration('I started in June of 2019', { now }).months).toBe(72);
+    expect(parseDuration('since 2024', { now }).months).toBe(17);
+  });
+
+  test('should take a month without a year as the latest one before the call date', () => {
+    expect(parseDuration('since January', { now })).toEqual({ months: 5, kind: 'since', since: '2025-01' });
+    expect(parseDuration('I started last March', { now })).toEqual({ months: 3, kind: 'since', since: '2025-03' });
+    expect(parseDuration('since last March', { now })).toEqual({ months: 3, kind: 'since', since: '2025-03' });
+    expect(parseDuration('since June', { now })).toEqual({ months: 12, kind: 'since', since: '2024-06' });
+    expect(parseDuration('since last September', { now })).toEqual({ months: 9, kind: 'since', since: '2024-09' });
+  });
+
+  test('should take the midpoint of a range', () => {
+    expect(parseDuration('two or three years')).toEqual({ months: 30, kind: 'range', low: 24, high: 36 });
+    expect(parseDuration('between 18 and 24 months')).toMatchObject({ months: 21, low: 18, high: 24 });
+  });
+
+  test('should only accept bare numbers with a default unit', () => {
+    expect(parseDuration('18')).toBeNull();
+    expect(parseDuration('18', { defaultUnit: 'months' }).months).toBe(18);
+    expect(parseDuration('I\'m not sure')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import Encryptor, { isEncrypted, parseEncryptionKeys } from '../utils/encryption.js';
+import ConversationLogger from '../utils/conversationLogger.js';
+import { listConversationLogs, loadConversationLog } from '../utils/logReader.js';
+import { FileSessionStore } from '../services/sessionStore.js';
+import ConversationVisualizer from '../utils/conversationVisualizer.js';
+
+describe('Encryption at Rest', () => {
+  const oldKey = crypto.randomBytes(32).toString('base64');
+  const newKey = crypto.randomBytes(32).toString('hex');
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypted-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should encrypt documents under a header naming the key', () => {
+    const encryptor = new Encryptor({ keys: { k1: oldKey } });
+    const encrypted = encryptor.encryptDocument('{"ssnLast4":"7234"}');
+
+    expect(encrypted.split('\n')[0]).toBe('{"encryption":"aes-256-gcm","keyId":"k1"}');
+    expect(encrypted).not.toContain('7234');
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(encryptor.decryptDocument(encrypted)).toBe('{"ssnLast4":"7234"}');
+
+    // Plain text passes through, and nothing is encrypted without a key
+    expect(encryptor.decryptDocument('{"plain":true}')).toBe('{"plain":true}');
+    expect(new Encryptor({ keys: {} }).encryptDocument('{"plain":true}')).toBe('{"plain":true}');
+  });
+
+  test('should reject tampered records, unknown keys and malformed keys', () => {
+    const encryptor = new Encryptor({ keys: { k1: oldKey } });
+    const [header, record] = encryptor.encryptDocument('secret').split('\n');
+    const [iv, tag, ciphertext] = record.split('.');
+    const flipped = Buffer.from(ciphertext, 'base64').map(byte => byte ^ 1).toString('base64');
+
+    expect(() => encryptor.decryptDocument(`${header}\n${iv}.${tag}.${flipped}`)).toThrow();
+    expect(() => new Encryptor({ keys: { k2: newKey } }).decryptDocument(`${header}\n${record}`))
+      .toThrow('Encrypted with key "k1", which is not configured');
+    expect(() => new Encryptor({ keys: { short: 'abc' } })).toThrow('must be 32 bytes');
+    expect(() => new Encryptor({ keys: { k1: oldKey }, activeKeyId: 'k9' })).toThrow('not among the configured keys');
+    expect(parseEncryptionKeys(`k2:${newKey},k1:${oldKey}`)).toEqual({ k2: newKey, k1: oldKey });
+  });
+
+  test('should read logs written before and after a key rotation', async () => {
+    const keyFile = path.join(dir, 'keys.json');
+    fs.writeFileSync(keyFile, JSON.stringify({ activeKeyId: 'k1', keys: { k1: oldKey } }));
+    const before = new ConversationLogger({
+      logDir: dir,
+      sessionId: 'session_rotated',
+      enableConsoleLogging: false,
+      encryptor: new Encryptor({ keyFile })
+    });
+    before.logStep('conversation_start', { flowId: 'vehicle_verification' });
+    before.logUserResponse('My email is jd@example.com', 'EMAIL_COLLECTION');
+    await before.flush();
+
+    // The resumed session appends under the new key, keeping the old one to read what came before
+    fs.writeFileSync(keyFile, JSON.stringify({ activeKeyId: 'k2', keys: { k1: oldKey, k2: newKey } }));
+    const rotated = new Encryptor({ keyFile });
+    const after = new ConversationLogger({ logDir: dir, sessionId: 'session_rotated', enableConsoleLogging: false, encryptor: rotated });
+    after.logCompletion({}, 'completed');
+    await after.flush();
+
+    const written = fs.readFileSync(path.join(dir, 'conversation_session_rotated.jsonl'), 'utf8');
+    expect(written).not.toContain('example.com');
+    expect(written.match(/"keyId":"k\d"/g)).toEqual(['"keyId":"k1"', '"keyId":"k2"']);
+    expect(isEncrypted(fs.readFileSync(path.join(dir, 'report_session_rotated.json'), 'utf8'))).toBe(true);
+
+    const [logInfo] = listConversationLogs(dir);
+    const conversation = loadConversationLog(logInfo, rotated);
+    expect(conversation.logs.map(entry => entry.step)).toEqual(['conversation_start', 'user_response', 'completion']);
+    expect(conversation.metrics.userResponses).toHaveLength(1);
+    expect(() => loadConversationLog(logInfo, new Encryptor({ keys: { k2: newKey } }))).toThrow('"k1"');
+  });
+
+  test('should encrypt the analysis reports made from decrypted logs', async () => {
+    const encryptor = new Encryptor({ keys: { k1: oldKey } });
+    const logger = new ConversationLogger({ logDir: dir, sessionId: 'session_analyzed', enableConsoleLogging: false, encryptor });
+    logger.logUserResponse('My email is jd@example.com', 'EMAIL_COLLECTION');
+    logger.logCompletion({}, 'completed');
+    await logger.flush();
+
+    const outputDir = path.join(dir, 'analysis');
+    const visualizer = new ConversationVisualizer({ outputDir, encryptor });
+    await visualizer.saveAnalysisReport(loadConversationLog(listConversationLogs(dir)[0], encryptor), 'session_analyzed');
+
+    const reports = fs.readdirSync(outputDir);
+    expect(reports.map(file => path.extname(file)).sort()).toEqual(['.csv', '.html', '.json']);
+    for (const file of reports) {
+      const content = fs.readFileSync(path.join(outputDir, file), 'utf8');
+      expect(isEncrypted(content)).toBe(true);
+      expect(encryptor.decryptDocument(content)).toContain('EMAIL_COLLECTION');
+    }
+  });
+
+  test('should encrypt session snapshots and still load plain-text ones', async () => {
+    const store = new FileSessionStore({ dir, encryptor: new Encryptor({ keys: { k1: oldKey } }) });
+    await store.set('session_1', { collectedData: { email: 'jd@example.com' } });
+
+    expect(fs.readFileSync(path.join(dir, 'snapshot_session_1.json'), 'utf8')).not.toContain('example.com');
+    expect(await store.get('session_1')).toEqual({ collectedData: { email: 'jd@example.com' } });
+
+    fs.writeFileSync(path.join(dir, 'snapshot_session_2.json'), JSON.stringify({ version: 1 }));
+    expect(await store.get('session_2')).toEqual({ version: 1 });
+  });
+});
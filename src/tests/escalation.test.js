@@ -0,0 +1,27 @@
+import { detectEscalation } from '../agent/escalation.js';
+
+describe('Escalation Triggers', () => {
+  test('should recognize a request for a person', () => {
+    expect(detectEscalation('Can I talk to a real person?')).toBe('caller_request');
+    expect(detectEscalation('Transfer me to a supervisor')).toBe('caller_request');
+    expect(detectEscalation('Representative')).toBe('caller_request');
+  });
+
+  test('should recognize signs of fraud', () => {
+    expect(detectEscalation('I never applied for this')).toBe('fraud');
+    expect(detectEscalation('This is not my application')).toBe('fraud');
+    expect(detectEscalation('Someone stole my identity, I want a person')).toBe('fraud');
+  });
+
+  test('should recognize signs of distress', () => {
+    expect(detectEscalation('I\'m really scared right now')).toBe('distress');
+    expect(detectEscalation('I can\'t take this anymore')).toBe('distress');
+  });
+
+  test('should leave ordinary answers alone', () => {
+    expect(detectEscalation('Yes, that\'s me')).toBeNull();
+    expect(detectEscalation('I\'m a store manager')).toBeNull();
+    expect(detectEscalation('Hold on a second')).toBeNull();
+    expect(detectEscalation('')).toBeNull();
+  });
+});
@@ -75,8 +75,7 @@ class AgentEvaluator {
       await agent.processUserInput(userResponse);
       
       // Check if we've reached a terminal state
-      if (agent.conversationState.currentNodeId === 'COMPLETION' || 
-          agent.conversationState.currentNodeId === 'IDENTITY_FAILURE_TERMINATION') {
+      if (agent.isTerminal()) {
         result.actual_outcome = agent.conversationState.currentNodeId === 'COMPLETION' ? 'success' : 'failure';
         break;
       }
@@ -133,6 +132,9 @@ class AgentEvaluator {
       case 'EMPLOYMENT_INCOME':
         return `$${data.monthly_income || 5000} per month`;
       
+      case 'INCOME_DISCREPANCY_CHECK':
+        return 'I recently changed jobs, so my income is different now.';
+      
       case 'EMPLOYMENT_TENURE':
         return `About ${data.job_tenure_months || 24} months`;
       
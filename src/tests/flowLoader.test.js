@@ -0,0 +1,100 @@
+import { loadFlow, checkFlowDefinition, FlowDefinitionError } from '../agent/flowLoader.js';
+import { flows, defaultFlow } from '../agent/conversationFlow.js';
+
+const minimalDefinition = () => ({
+  id: 'test_flow',
+  version: '1.0.0',
+  startNode: 'START',
+  nodes: {
+    START: {
+      prompt: 'Am I speaking with {{applicantName}}?',
+      handler: 'handleGreetingConfirmation',
+      transitions: {
+        next: 'DONE',
+        failure: [{ to: 'VERIFIED_ONLY', guard: 'identityVerified' }, 'DONE']
+      }
+    },
+    VERIFIED_ONLY: {
+      prompt: { when: 'hasDiscrepancy', then: 'Discrepancy of {{months}} months.', else: 'No discrepancy.' },
+      handler: 'complete',
+      isTerminal: true
+    },
+    DONE: {
+      prompt: 'Goodbye.',
+      handler: 'complete',
+      isTerminal: true
+    }
+  }
+});
+
+describe('Flow Loader', () => {
+  test('should load the shipped flows', () => {
+    expect(defaultFlow.id).toBe('vehicle_verification');
+    expect(flows.refinance_verification.startNode).toBe('START');
+    expect(defaultFlow.nodes.IDENTITY_VERIFICATION_CONFIRM.onSuccess).toBe('CONTACT_INFO_ADDRESS');
+    expect(defaultFlow.nodes.IDENTITY_VERIFICATION_DOB.slots.date.type).toBe('date');
+  });
+
+  test('should render templated and conditional prompts', () => {
+    const flow = loadFlow(minimalDefinition());
+
+    expect(flow.nodes.START.prompt({ applicantName: 'John Doe' })).toBe('Am I speaking with John Doe?');
+    expect(flow.nodes.VERIFIED_ONLY.prompt({ hasDiscrepancy: true, months: 12 })).toBe('Discrepancy of 12 months.');
+    expect(flow.nodes.VERIFIED_ONLY.prompt({})).toBe('No discrepancy.');
+  });
+
+  test('should normalize transitions into guarded candidates', () => {
+    const flow = loadFlow(minimalDefinition());
+
+    expect(flow.nodes.START.next).toBe('DONE');
+    expect(flow.nodes.START.transitions.failure).toEqual([
+      { to: 'VERIFIED_ONLY', guard: 'identityVerified' },
+      { to: 'DONE' }
+    ]);
+  });
+
+  test('should report every malformed part of a definition', () => {
+    const definition = minimalDefinition();
+    definition.startNode = 'MISSING';
+    definition.nodes.START.handler = '';
+    definition.nodes.START.transitions.failure = { to: 'DONE', guard: 'unknownGuard' };
+    definition.nodes.START.slots = { ssn: { type: 'number' } };
+    definition.nodes.DONE.prompt = { builder: 'noSuchBuilder' };
+
+    const errors = checkFlowDefinition(definition);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'startNode "MISSING" is not defined in nodes',
+      'nodes.START: handler is required',
+      'nodes.START.transitions.failure: unknown guard "unknownGuard"',
+      expect.stringContaining('nodes.START.slots.ssn: type must be one of'),
+      'nodes.START.slots.ssn: description is required',
+      'nodes.DONE.prompt: unknown prompt builder "noSuchBuilder"'
+    ]));
+    expect(() => loadFlow(definition)).toThrow(FlowDefinitionError);
+  });
+
+  test('should compile reprompt variants and check the no-progress budget', () => {
+    const definition = minimalDefinition();
+    definition.nodes.START.reprompts = ['Is this {{applicantName}}?', { when: 'callbackTime', then: 'Later?', else: 'Now?' }];
+    definition.nodes.START.maxNoProgressTurns = 2;
+
+    const start = loadFlow(definition).nodes.START;
+    expect(start.reprompts.map(reprompt => reprompt({ applicantName: 'John Doe' }))).toEqual(['Is this John Doe?', 'Now?']);
+    expect(start.maxNoProgressTurns).toBe(2);
+
+    definition.nodes.START.reprompts = [];
+    definition.nodes.START.maxNoProgressTurns = 0;
+    expect(checkFlowDefinition(definition)).toEqual(expect.arrayContaining([
+      'nodes.START.reprompts: must be a non-empty array of prompts',
+      'nodes.START: maxNoProgressTurns must be a positive integer'
+    ]));
+  });
+
+  test('should reject transitions on terminal nodes', () => {
+    const definition = minimalDefinition();
+    definition.nodes.DONE.transitions = { next: 'START' };
+
+    expect(checkFlowDefinition(definition)).toContain('nodes.DONE: terminal nodes cannot have transitions');
+  });
+});
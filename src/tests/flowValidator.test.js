@@ -0,0 +1,76 @@
+import VerificationAgent from '../agent/VerificationAgent.js';
+import { loadFlow } from '../agent/flowLoader.js';
+import { flows } from '../agent/conversationFlow.js';
+import { validateFlowGraph, FlowValidationError } from '../agent/flowValidator.js';
+
+const validate = (flow) => validateFlowGraph(flow, {
+  handlers: VerificationAgent.prototype,
+  handlerEvents: VerificationAgent.handlerEvents
+});
+
+const definitionWith = (nodes) => ({ id: 'test_flow', startNode: 'START', nodes });
+
+describe('Flow Graph Validator', () => {
+  test('should accept every shipped flow', () => {
+    for (const flow of Object.values(flows)) {
+      expect(validate(flow)).toEqual({ valid: true, errors: [], warnings: [] });
+    }
+  });
+
+  test('should report dangling transition targets', () => {
+    const flow = loadFlow(definitionWith({
+      START: {
+        prompt: 'Hello?',
+        handler: 'handleGreetingConfirmation',
+        transitions: { next: 'DONE', failure: 'INCORRECT_PERSON_TERMINATION' }
+      },
+      DONE: { prompt: 'Bye.', handler: 'complete', isTerminal: true }
+    }));
+
+    expect(validate(flow).errors).toContain('START: "failure" targets unknown node INCORRECT_PERSON_TERMINATION');
+  });
+
+  test('should report unknown handlers and unhandled handler events', () => {
+    const flow = loadFlow(definitionWith({
+      START: { prompt: 'Hello?', handler: 'handleGreetingConfirmation', transitions: { next: 'ASK' } },
+      ASK: { prompt: 'Question?', handler: 'handleMissing', transitions: { next: 'DONE' } },
+      DONE: { prompt: 'Bye.', handler: 'complete', isTerminal: true }
+    }));
+
+    const { errors } = validate(flow);
+    expect(errors).toContain('ASK: handler "handleMissing" is not implemented');
+    expect(errors).toContain('START: handler "handleGreetingConfirmation" emits "failure" but the node has no "failure" transition');
+  });
+
+  test('should report dead ends and unreachable terminals', () => {
+    const flow = loadFlow(definitionWith({
+      START: {
+        prompt: 'Hello?',
+        handler: 'handleGreetingConfirmation',
+        transitions: { next: 'LOOP_A', failure: 'LOOP_A' }
+      },
+      LOOP_A: { prompt: 'A?', handler: 'handleDobCollection', transitions: { next: 'LOOP_B' } },
+      LOOP_B: { prompt: 'B?', handler: 'handleSsnCollection', transitions: { next: 'LOOP_A' } },
+      STUCK: { prompt: 'Stuck?', handler: 'handleEmailCollection' },
+      DONE: { prompt: 'Bye.', handler: 'complete', isTerminal: true }
+    }));
+
+    const { valid, errors, warnings } = validate(flow);
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'no terminal node is reachable from START',
+      'DONE: unreachable from START',
+      'LOOP_A: dead end, no terminal node is reachable from it',
+      'STUCK: non-terminal node has no outgoing transitions'
+    ]));
+    expect(warnings).toContain('STUCK: unreachable from START');
+  });
+
+  test('should refuse to construct an agent on an invalid flow', () => {
+    const flow = loadFlow(definitionWith({
+      START: { prompt: 'Hello?', handler: 'handleGreetingConfirmation', transitions: { next: 'MISSING', failure: 'MISSING' } }
+    }));
+
+    expect(() => new VerificationAgent({ name: 'John Doe' }, { flow, enableLogging: false })).toThrow(FlowValidationError);
+  });
+});
@@ -0,0 +1,37 @@
+import { parseIncome, toMonthly, describeIncome } from '../utils/incomeParser.js';
+
+describe('Income Parser', () => {
+  test('should normalize annual income to monthly', () => {
+    expect(parseIncome('About 80k a year')).toMatchObject({ amount: 80000, period: 'annual', monthly: 6667 });
+    expect(parseIncome('85 thousand per year').monthly).toBe(7083);
+  });
+
+  test('should use stated hours for hourly pay', () => {
+    expect(parseIncome('$25 an hour, 40 hours a week')).toMatchObject({
+      amount: 25, period: 'hourly', hoursPerWeek: 40, monthly: 4333
+    });
+    expect(parseIncome('30 hours a week at $20 an hour')).toMatchObject({ amount: 20, hoursPerWeek: 30, monthly: 2600 });
+  });
+
+  test('should understand pay period frequencies', () => {
+    expect(parseIncome('$1,200 a week').monthly).toBe(5200);
+    expect(parseIncome('2,400 every two weeks')).toMatchObject({ period: 'biweekly', monthly: 5200 });
+    expect(parseIncome('3000 twice a month')).toMatchObject({ period: 'semimonthly', monthly: 6000 });
+    expect(parseIncome('$5,000 a month')).toMatchObject({ period: 'monthly', monthly: 5000, periodInferred: false });
+  });
+
+  test('should infer the period when none is given', () => {
+    expect(parseIncome('6500')).toMatchObject({ period: 'monthly', periodInferred: true });
+    expect(parseIncome('$95,000')).toMatchObject({ period: 'annual', periodInferred: true, monthly: 7917 });
+  });
+
+  test('should return null without an amount', () => {
+    expect(parseIncome('I would rather not say')).toBeNull();
+    expect(parseIncome(null)).toBeNull();
+  });
+
+  test('should describe income for read-back', () => {
+    expect(describeIncome(parseIncome('$25 an hour'))).toBe('$25 an hour at 40 hours a week');
+    expect(toMonthly(52000, 'annual')).toBe(4333);
+  });
+});
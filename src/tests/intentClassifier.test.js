@@ -0,0 +1,68 @@
+import { classifyIntentWithRules } from '../services/intentClassifier.js';
+
+describe('Intent Classifier', () => {
+  const intentOf = (text) => classifyIntentWithRules(text).intent;
+
+  test('should read plain yes and no answers', () => {
+    expect(intentOf('Yes')).toBe('affirm');
+    expect(intentOf('Yeah, that\'s me.')).toBe('affirm');
+    expect(intentOf('Speaking.')).toBe('affirm');
+    expect(intentOf('Sounds good')).toBe('affirm');
+    expect(intentOf('No')).toBe('deny');
+    expect(intentOf('Nope, that\'s wrong')).toBe('deny');
+  });
+
+  test('should not read negated confirmations as yes', () => {
+    expect(intentOf('Not correct')).toBe('deny');
+    expect(intentOf('That\'s not right')).toBe('deny');
+    expect(intentOf('It isn\'t correct')).toBe('deny');
+    expect(intentOf('I don\'t think so')).toBe('deny');
+  });
+
+  test('should not read negated short answers as yes', () => {
+    expect(intentOf('I am not.')).toBe('deny');
+    expect(intentOf('I am not him')).toBe('deny');
+    expect(intentOf('I do not')).toBe('deny');
+    expect(intentOf('There is not')).toBe('deny');
+    expect(intentOf('There isn\'t')).toBe('deny');
+    expect(intentOf('I am afraid not')).toBe('deny');
+    expect(intentOf('Absolutely not')).toBe('deny');
+    expect(intentOf('Definitely not.')).toBe('deny');
+    expect(intentOf('Certainly not!')).toBe('deny');
+    expect(intentOf('Absolutely, never')).toBe('deny');
+    expect(intentOf('Not at all')).toBe('deny');
+    expect(intentOf('Never')).toBe('deny');
+    expect(intentOf('Absolutely')).toBe('affirm');
+    expect(intentOf('I am')).toBe('affirm');
+    expect(intentOf('I do')).toBe('affirm');
+  });
+
+  test('should tell uncertainty apart from a denial', () => {
+    expect(intentOf('I\'m not sure')).toBe('unsure');
+    expect(intentOf('I don\'t remember')).toBe('unsure');
+    expect(intentOf('Maybe?')).toBe('unsure');
+  });
+
+  test('should recognize a yes or no that changes a value', () => {
+    expect(intentOf('No, my zip is 78702')).toBe('correction');
+    expect(intentOf('Yes, but the street is Oak Avenue')).toBe('correction');
+    expect(intentOf('Mostly right, actually the income should be higher')).toBe('correction');
+  });
+
+  test('should recognize requests to repeat, hold or escalate', () => {
+    expect(intentOf('Can you repeat that?')).toBe('repeat');
+    expect(intentOf('Sorry, I didn\'t catch that')).toBe('repeat');
+    expect(intentOf('What?')).toBe('repeat');
+    expect(intentOf('Hold on, let me grab my card')).toBe('hold');
+    expect(intentOf('Yes, one second')).toBe('hold');
+    expect(intentOf('I want to talk to a real person')).toBe('escalate');
+    expect(intentOf('No, get me a supervisor')).toBe('escalate');
+  });
+
+  test('should report confidence and no intent for unrecognized replies', () => {
+    expect(classifyIntentWithRules('Yes')).toEqual({ intent: 'affirm', confidence: 0.95, source: 'rules' });
+    expect(classifyIntentWithRules('Yes, I believe that is all accurate as far as I know').confidence).toBeLessThan(0.95);
+    expect(classifyIntentWithRules('Purple')).toEqual({ intent: 'unsure', confidence: 0, source: 'rules' });
+    expect(classifyIntentWithRules('')).toMatchObject({ intent: 'unsure', confidence: 0 });
+  });
+});
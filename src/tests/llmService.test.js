@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import LLMService from '../services/llmService.js';
+import { ScriptedProvider, OpenAICompatibleProvider, createLLMProvider } from '../services/llmProviders.js';
+import VerificationAgent from '../agent/VerificationAgent.js';
+import { InMemoryLockoutRegistry } from '../services/lockoutRegistry.js';
+import { InMemoryAuditTrail } from '../services/auditTrail.js';
+import MockDataGenerator from '../utils/mockDataGenerator.js';
+import ConversationLogger from '../utils/conversationLogger.js';
+
+describe('LLM Service', () => {
+  test('should pass per-call settings over the service defaults', async () => {
+    const provider = new ScriptedProvider([{ ssn: '1234' }]);
+    const service = new LLMService({ provider, model: 'base-model', timeout: 5000 });
+
+    const result = await service.extractEntities('one two three four', { ssn: 'SSN' }, { strategy: 'llm', model: 'fast-model' });
+
+    expect(result).toEqual({ ssn: '1234' });
+    expect(provider.calls[0]).toMatchObject({ model: 'fast-model', temperature: 0, timeout: 5000 });
+    expect(provider.calls[0].functionSchema.parameters.required).toEqual(['ssn']);
+  });
+
+  test('should fall back to the rules only when the strategy allows it', async () => {
+    const service = new LLMService({ provider: new ScriptedProvider([new Error('timeout'), new Error('timeout')]) });
+
+    await expect(service.extractEntities('7 2 3 4', { ssn: 'SSN' }, { strategy: 'llm-with-rules-fallback' }))
+      .resolves.toEqual({ ssn: '7234' });
+    await expect(service.extractEntities('7 2 3 4', { ssn: 'SSN' }, { strategy: 'llm' }))
+      .rejects.toThrow('timeout');
+  });
+
+  test('should classify intents with the LLM and fall back to the rules', async () => {
+    const provider = new ScriptedProvider([
+      { intent: 'correction', confidence: 0.9 },
+      { intent: 'maybe-ish', confidence: 1 }
+    ]);
+    const service = new LLMService({ provider });
+
+    await expect(service.classifyIntent('Close, but the zip changed', { strategy: 'llm', question: 'Is that right?' }))
+      .resolves.toEqual({ intent: 'correction', confidence: 0.9, source: 'llm' });
+    expect(provider.calls[0].prompt).toContain('Is that right?');
+
+    // An intent outside the list counts as a failed call
+    await expect(service.classifyIntent('Not correct', { strategy: 'llm-with-rules-fallback' }))
+      .resolves.toMatchObject({ intent: 'deny', source: 'rules' });
+  });
+
+  test('should record each call with its latency and outcome through the logger', async () => {
+    const logger = new ConversationLogger({ enableFileLogging: false, enableConsoleLogging: false });
+    const service = new LLMService({
+      provider: new ScriptedProvider([{ ssn: '1234' }, new Error('timeout')]),
+      logger,
+      model: 'base-model'
+    });
+
+    await service.extractEntities('one two three four', { ssn: 'SSN' }, { strategy: 'llm' });
+    await service.extractEntities('7 2 3 4', { ssn: 'SSN' }, { strategy: 'llm-with-rules-fallback' });
+
+    const [succeeded, failed] = logger.metrics.llmCalls;
+    expect(succeeded).toMatchObject({ function: 'entity_extractor', success: true });
+    // Entries are redacted before they are kept
+    expect(succeeded.output).toEqual({});
+    expect(succeeded.input.model).toBe('base-model');
+    expect(succeeded.duration).toBeGreaterThanOrEqual(0);
+    expect(failed).toMatchObject({ function: 'entity_extractor', output: { error: 'timeout' }, success: false });
+    expect(logger.logs.some(entry => entry.step === 'rules_fallback')).toBe(true);
+  });
+
+  test('should report failed calls through the redacting logger, never the raw payload', async () => {
+    const payloadError = () => new Error('400 Bad Request: {"content":"my ssn is 7 2 3 4, email john@example.com"}');
+    const logger = new ConversationLogger({ enableFileLogging: false, enableConsoleLogging: false });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const service = new LLMService({ provider: new ScriptedProvider([payloadError(), payloadError(), payloadError()]), logger });
+      await service.extractEntities('my ssn is 7 2 3 4', { ssn: 'SSN' });
+      await service.classifyIntent('yes');
+
+      expect(consoleError).not.toHaveBeenCalled();
+      expect(logger.metrics.errors.map(entry => entry.context.function)).toEqual(['extractEntities', 'classifyIntent']);
+      const logged = JSON.stringify(logger.logs);
+      expect(logged).not.toContain('7 2 3 4');
+      expect(logged).not.toContain('john@example.com');
+
+      // Without a logger, only the scrubbed message reaches the console
+      await new LLMService({ provider: new ScriptedProvider([payloadError()]) }).getConfirmation('yes');
+      const printed = consoleError.mock.calls.flat().join(' ');
+      expect(printed).toContain('[DIGITS]');
+      expect(printed).not.toContain('john@example.com');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createLLMProvider({ type: 'carrier-pigeon' })).toThrow('Unknown LLM provider');
+  });
+
+  test('should be injected into the agent and the mock data generator', async () => {
+    const provider = new ScriptedProvider([{ date: '1985-03-15' }, { scenarios: [{ scenario_name: 'scripted' }] }]);
+    const llmService = new LLMService({ provider });
+
+    const agent = new VerificationAgent({ name: 'John Doe' }, {
+      llmService,
+      extractionStrategy: 'llm',
+      llm: { model: 'extraction-model' },
+      lockoutRegistry: new InMemoryLockoutRegistry(),
+      auditTrail: new InMemoryAuditTrail(),
+      enableLogging: false,
+      enableConsoleLogging: false
+    });
+    agent.conversationState.currentNodeId = 'IDENTITY_VERIFICATION_DOB';
+    await agent.processUserInput('March fifteenth, nineteen eighty-five');
+
+    expect(agent.conversationState.collectedData.dob).toBe('1985-03-15');
+    expect(provider.calls[0].model).toBe('extraction-model');
+
+    const generator = new MockDataGenerator({ llmService });
+    await expect(generator.generateWithLLM(1)).resolves.toEqual([{ scenario_name: 'scripted' }]);
+    expect(provider.calls[1].temperature).toBe(0.7);
+  });
+});
+
+describe('OpenAI-Compatible Provider', () => {
+  let server;
+  let baseUrl;
+  let lastRequest;
+
+  beforeAll(async () => {
+    // Local stand-in for an OpenAI-compatible endpoint
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          choices: [{
+            message: {
+              tool_calls: [{ type: 'function', function: { name: 'entity_extractor', arguments: '{"email":"john@example.com"}' } }]
+            }
+          }]
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should call a chat completions endpoint and parse the tool call', async () => {
+    const service = new LLMService({ provider: new OpenAICompatibleProvider({ baseUrl, apiKey: 'local-key' }), model: 'local-model' });
+
+    const result = await service.extractEntities('john at example dot com', { email: 'Email' }, { strategy: 'llm' });
+
+    expect(result).toEqual({ email: 'john@example.com' });
+    expect(lastRequest.url).toBe('/v1/chat/completions');
+    expect(lastRequest.headers.authorization).toBe('Bearer local-key');
+    expect(lastRequest.body).toMatchObject({ model: 'local-model', temperature: 0 });
+    expect(lastRequest.body.tool_choice.function.name).toBe('entity_extractor');
+  });
+});
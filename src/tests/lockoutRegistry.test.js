@@ -0,0 +1,151 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { InMemoryLockoutRegistry, FileLockoutRegistry, createLockoutRegistry, resolveApplicantId } from '../services/lockoutRegistry.js';
+
+describe('Identity Lockout Registry', () => {
+  let now;
+  const policy = () => ({
+    maxFailures: 3,
+    failureWindowMinutes: 60,
+    lockoutMinutes: 30,
+    now: () => now
+  });
+  const advance = (minutes) => {
+    now = new Date(now.getTime() + minutes * 60 * 1000);
+  };
+
+  beforeEach(() => {
+    now = new Date('2024-06-01T12:00:00.000Z');
+  });
+
+  test('should lock an applicant once failures across sessions reach the limit', async () => {
+    const registry = new InMemoryLockoutRegistry(policy());
+
+    await registry.recordFailure('app_1', { sessionId: 'session_1' });
+    await registry.recordFailure('app_1', { sessionId: 'session_1' });
+    expect(await registry.getStatus('app_1')).toEqual({ locked: false, lockedUntil: null, failures: 2 });
+
+    const status = await registry.recordFailure('app_1', { sessionId: 'session_2' });
+    expect(status).toEqual({ locked: true, lockedUntil: '2024-06-01T12:30:00.000Z', failures: 3 });
+    expect((await registry.getStatus('app_2')).locked).toBe(false);
+  });
+
+  test('should forget failures outside the window and expired lockouts', async () => {
+    const registry = new InMemoryLockoutRegistry(policy());
+
+    await registry.recordFailure('app_1');
+    await registry.recordFailure('app_1');
+    advance(61);
+    expect((await registry.recordFailure('app_1')).failures).toBe(1);
+
+    await registry.recordFailure('app_1');
+    await registry.recordFailure('app_1');
+    expect((await registry.getStatus('app_1')).locked).toBe(true);
+
+    advance(30);
+    expect(await registry.getStatus('app_1')).toEqual({ locked: false, lockedUntil: null, failures: 0 });
+  });
+
+  test('should clear failures after a successful check', async () => {
+    const registry = new InMemoryLockoutRegistry(policy());
+
+    await registry.recordFailure('app_1');
+    await registry.recordFailure('app_1');
+    await registry.recordSuccess('app_1');
+
+    expect((await registry.recordFailure('app_1')).locked).toBe(false);
+  });
+
+  test('should keep an audit trail of lockouts, refusals and resets', async () => {
+    const registry = new InMemoryLockoutRegistry(policy());
+    const details = { sessionId: 'session_1', flowId: 'vehicle_verification' };
+
+    await registry.recordFailure('app_1', details);
+    await registry.recordSuccess('app_1', details);
+    for (let i = 0; i < 3; i++) {
+      await registry.recordFailure('app_1', details);
+    }
+    await registry.recordRefusal('app_1', { sessionId: 'session_2' });
+
+    const trail = await registry.getAuditTrail('app_1');
+    expect(trail.map(entry => entry.event)).toEqual(['reset', 'locked', 'refused']);
+    expect(trail[1]).toMatchObject({ failures: 3, lockedUntil: '2024-06-01T12:30:00.000Z', sessionId: 'session_1' });
+    expect(trail[2]).toMatchObject({ sessionId: 'session_2', lockedUntil: '2024-06-01T12:30:00.000Z' });
+  });
+
+  test('should not lose failures recorded at the same time', async () => {
+    const registry = new InMemoryLockoutRegistry(policy());
+
+    await Promise.all([
+      registry.recordFailure('app_1'),
+      registry.recordFailure('app_1'),
+      registry.recordFailure('app_1')
+    ]);
+
+    expect((await registry.getStatus('app_1')).locked).toBe(true);
+  });
+
+  describe('FileLockoutRegistry', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lockout-registry-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should keep lockouts across registry instances', async () => {
+      const registry = new FileLockoutRegistry({ ...policy(), dir });
+      for (let i = 0; i < 3; i++) {
+        await registry.recordFailure('app_1');
+      }
+
+      const reopened = new FileLockoutRegistry({ ...policy(), dir });
+      expect((await reopened.getStatus('app_1')).locked).toBe(true);
+      expect(await reopened.getAuditTrail('app_1')).toHaveLength(1);
+    });
+
+    test('should name files by a hash of the applicant ID', async () => {
+      const registry = new FileLockoutRegistry({ ...policy(), dir });
+      await registry.recordFailure('../etc/passwd');
+      await registry.recordFailure('jane.doe@example.com');
+
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(2);
+      files.forEach(file => expect(file).toMatch(/^lockout_[0-9a-f]{64}\.json$/));
+      expect((await registry.getStatus('../etc/passwd')).failures).toBe(1);
+    });
+
+    test('should default to the lockouts directory', () => {
+      const saved = process.env.LOCKOUT_STORE_DIR;
+      delete process.env.LOCKOUT_STORE_DIR;
+      try {
+        expect(new FileLockoutRegistry().dir).toBe('lockouts');
+      } finally {
+        if (saved !== undefined) process.env.LOCKOUT_STORE_DIR = saved;
+      }
+    });
+  });
+
+  test('should track an applicant under their ID, or one derived from their identity details', () => {
+    const applicant = { name: 'John Doe', date_of_birth: '1985-03-15', ssn_last_four: '1234' };
+
+    expect(resolveApplicantId({ ...applicant, applicant_id: 'app_1' })).toBe('app_1');
+    expect(resolveApplicantId({ ...applicant, id: 42 })).toBe('42');
+    expect(resolveApplicantId(applicant)).toMatch(/^derived_[0-9a-f]{32}$/);
+    expect(resolveApplicantId({ ...applicant, name: ' john doe ' })).toBe(resolveApplicantId(applicant));
+    expect(resolveApplicantId({ ...applicant, ssn_last_four: '5678' })).not.toBe(resolveApplicantId(applicant));
+    expect(resolveApplicantId(applicant)).not.toContain('1234');
+    expect(resolveApplicantId({ name: 'John Doe' })).toBeNull();
+  });
+
+  test('should create registries by type', () => {
+    expect(createLockoutRegistry({ type: 'memory' })).toBeInstanceOf(InMemoryLockoutRegistry);
+    expect(createLockoutRegistry({ type: 'file', dir: 'lockouts' })).toBeInstanceOf(FileLockoutRegistry);
+    expect(createLockoutRegistry({ dir: 'lockouts' })).toBeInstanceOf(FileLockoutRegistry);
+    expect(() => createLockoutRegistry({ type: 'redis' })).toThrow('Unknown lockout store type');
+  });
+});
@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { pathToFileURL } from 'url';
+import JsonlLogWriter from '../utils/logWriter.js';
+import ConversationLogger from '../utils/conversationLogger.js';
+import { listConversationLogs, loadConversationLog, buildMetrics } from '../utils/logReader.js';
+
+describe('JSONL Conversation Logs', () => {
+  let logDir;
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonl-logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  test('should buffer entries and append them as JSON lines', async () => {
+    const writer = new JsonlLogWriter({ dir: logDir, prefix: 'conversation_s1', flushIntervalMs: 1000 });
+
+    writer.write({ step: 'a' });
+    writer.write({ step: 'b' });
+    expect(fs.existsSync(writer.getFilePath())).toBe(false);
+
+    await writer.flush();
+    writer.write({ step: 'c' });
+    await writer.sync();
+
+    const lines = fs.readFileSync(path.join(logDir, 'conversation_s1.jsonl'), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).step)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should rotate to a new segment by size and by age', async () => {
+    const writer = new JsonlLogWriter({ dir: logDir, prefix: 'conversation_s1', maxBytes: 40 });
+
+    for (const step of ['first', 'second', 'third']) {
+      writer.write({ step, padding: 'x'.repeat(10) });
+    }
+    await writer.flush();
+    expect(fs.readdirSync(logDir).sort()).toEqual([
+      'conversation_s1.1.jsonl',
+      'conversation_s1.2.jsonl',
+      'conversation_s1.jsonl'
+    ]);
+
+    const aged = new JsonlLogWriter({ dir: logDir, prefix: 'conversation_s2', maxAgeMs: 1 });
+    aged.write({ step: 'first' });
+    await aged.flush();
+    aged.segmentStartedAt -= 10;
+    aged.write({ step: 'second' });
+    await aged.flush();
+    expect(fs.existsSync(path.join(logDir, 'conversation_s2.1.jsonl'))).toBe(true);
+  });
+
+  test('should resume from the last segment of a reopened session', async () => {
+    const first = new JsonlLogWriter({ dir: logDir, prefix: 'conversation_s1', maxBytes: 40 });
+    for (const step of ['first', 'second']) {
+      first.write({ step, padding: 'x'.repeat(10) });
+    }
+    await first.flush();
+    const before = fs.readFileSync(path.join(logDir, 'conversation_s1.jsonl'), 'utf8');
+
+    const reopened = new JsonlLogWriter({ dir: logDir, prefix: 'conversation_s1', maxBytes: 40 });
+    expect(reopened.segment).toBe(1);
+    expect(reopened.segmentBytes).toBe(fs.statSync(path.join(logDir, 'conversation_s1.1.jsonl')).size);
+
+    reopened.write({ step: 'third', padding: 'x'.repeat(10) });
+    await reopened.flush();
+    expect(fs.readFileSync(path.join(logDir, 'conversation_s1.jsonl'), 'utf8')).toBe(before);
+    expect(fs.readdirSync(logDir).sort()).toEqual([
+      'conversation_s1.1.jsonl',
+      'conversation_s1.2.jsonl',
+      'conversation_s1.jsonl'
+    ]);
+
+    const [logInfo] = listConversationLogs(logDir);
+    expect(loadConversationLog(logInfo).logs.map(entry => entry.step)).toEqual(['first', 'second', 'third']);
+  });
+
+  test('should write buffered entries before the process exits', () => {
+    const writerUrl = pathToFileURL(path.resolve('src/utils/logWriter.js')).href;
+    const runChild = (prefix, exit) => execFileSync(process.execPath, ['--input-type=module', '-e', `
+      import JsonlLogWriter from ${JSON.stringify(writerUrl)};
+      const writer = new JsonlLogWriter({ dir: ${JSON.stringify(logDir)}, prefix: '${prefix}', flushIntervalMs: 60000 });
+      writer.write({ step: 'first' });
+      writer.write({ step: 'last' });
+      ${exit}
+    `]);
+    const steps = prefix => fs.readFileSync(path.join(logDir, `${prefix}.jsonl`), 'utf8')
+      .trim().split('\n').map(line => JSON.parse(line).step);
+
+    // The flush timer never keeps the process alive, and process.exit() stops asynchronous writes
+    runChild('conversation_drained', '');
+    runChild('conversation_exited', 'process.exit(0);');
+    expect(steps('conversation_drained')).toEqual(['first', 'last']);
+    expect(steps('conversation_exited')).toEqual(['first', 'last']);
+  });
+
+  test('should load a rotated JSONL session with the metrics the logger kept', async () => {
+    const logger = new ConversationLogger({
+      logDir,
+      sessionId: 'session_jsonl',
+      enableConsoleLogging: false,
+      rotation: { maxBytes: 300 }
+    });
+
+    logger.logNodeTransition('START', 'GREETING', { event: 'next' });
+    logger.logUserResponse('yes', 'GREETING');
+    logger.logValidation('jobTenure', 36, true);
+    logger.logError('Something went wrong', {}, 'low');
+    logger.logCompletion({}, 'completed');
+    await logger.flush();
+
+    const [logInfo] = listConversationLogs(logDir);
+    expect(logInfo.sessionId).toBe('session_jsonl');
+    expect(logInfo.files.length).toBeGreaterThan(1);
+
+    const conversation = loadConversationLog(logInfo);
+    expect(conversation.logs).toEqual(logger.logs);
+    expect(conversation.metrics).toEqual(logger.metrics);
+  });
+
+  test('should load legacy JSON logs and skip a line cut short by a crash', () => {
+    const legacy = { sessionId: 'session_old', startTime: '2024-06-01T12:00:00.000Z', logs: [], metrics: { totalSteps: 0 } };
+    fs.writeFileSync(path.join(logDir, 'conversation_session_old.json'), JSON.stringify(legacy, null, 2));
+    fs.writeFileSync(
+      path.join(logDir, 'conversation_session_new.jsonl'),
+      `${JSON.stringify({ timestamp: '2024-06-01T12:00:00.000Z', step: 'user_response', data: { response: 'yes', stepNumber: 1 } })}\n{"timestamp":"2024-06`
+    );
+    fs.writeFileSync(path.join(logDir, 'report_session_old.json'), '{}');
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const logs = Object.fromEntries(listConversationLogs(logDir).map(logInfo => [logInfo.sessionId, loadConversationLog(logInfo)]));
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    consoleError.mockRestore();
+
+    expect(Object.keys(logs).sort()).toEqual(['session_new', 'session_old']);
+    expect(logs.session_old).toEqual(legacy);
+    expect(logs.session_new.startTime).toBe('2024-06-01T12:00:00.000Z');
+    expect(logs.session_new.metrics.userResponses).toEqual([{ response: 'yes' }]);
+  });
+
+  test('should keep the recorded duration of a completed session, even zero', () => {
+    const entry = (step, timestamp, data = {}) => ({ step, timestamp, data });
+
+    const completed = buildMetrics([
+      entry('conversation_start', '2024-06-01T12:00:00.000Z'),
+      entry('completion', '2024-06-01T12:00:00.250Z', { duration: 0 })
+    ]);
+    expect(completed.duration).toBe(0);
+
+    const abandoned = buildMetrics([
+      entry('conversation_start', '2024-06-01T12:00:00.000Z'),
+      entry('user_response', '2024-06-01T12:00:00.250Z', { response: 'hello' })
+    ]);
+    expect(abandoned.duration).toBe(250);
+  });
+});
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import Redactor, { scrubText, maskValue, parseRedactionPolicy } from '../utils/redactor.js';
+import ConversationLogger from '../utils/conversationLogger.js';
+import VerificationAgent from '../agent/VerificationAgent.js';
+import { InMemoryLockoutRegistry } from '../services/lockoutRegistry.js';
+import { InMemoryAuditTrail } from '../services/auditTrail.js';
+
+describe('Log Redaction', () => {
+  test('should scrub digits, dates and emails from free text', () => {
+    expect(scrubText('My date of birth is March 15th, 1985')).toBe('My date of birth is [DATE]');
+    expect(scrubText('march fifteenth nineteen eighty five')).toBe('[DATE]');
+    expect(scrubText('It\'s 03/15/1985')).toBe('It\'s [DATE]');
+    expect(scrubText('The last four are 7 2 3 4')).toBe('The last four are [DIGITS]');
+    expect(scrubText('seven two three four')).toBe('[DIGITS]');
+    expect(scrubText('Email me at john.doe@example.com')).toBe('Email me at [EMAIL]');
+    expect(scrubText('john dot doe at gmail dot com')).toBe('[EMAIL]');
+    expect(scrubText('I make $6,500 a month')).toBe('I make $[DIGITS] a month');
+    expect(scrubText('Yes, that\'s me')).toBe('Yes, that\'s me');
+    expect(scrubText('It\'s 88 Pine Avenue, Apt 12C, Denver, Colorado 80203. Is that right?')).toBe('It\'s [ADDRESS]. Is that right?');
+    expect(scrubText('Your email is j a n e   d o t   r o e')).toBe('Your email is [SPELLED]');
+    expect(scrubText('Am I speaking with Jane Roe?', ['Jane Roe'])).toBe('Am I speaking with [NAME] [NAME]?');
+  });
+
+  test('should mask values while keeping their shape', () => {
+    expect(maskValue('John Doe')).toBe('J*** D**');
+    expect(maskValue('john.doe@example.com')).toBe('j***@example.com');
+    expect(maskValue(6500)).toBe('****');
+    expect(maskValue({ street: '1247 Oak St', zip_code: '80202' })).toEqual({ street: '1*** O** S*', zip_code: '8****' });
+    expect(maskValue('j a n e')).toBe('* * * *');
+  });
+
+  test('should apply field policies at any depth', () => {
+    const redactor = new Redactor({ salt: 'test-salt' });
+    const redacted = redactor.redact({
+      step: 'completion',
+      collectedData: { dob: '1985-03-15', ssnLast4: '1234', email: 'jd@example.com', monthlyIncome: 6500, jobTenure: 36 },
+      transcript: [{ nodeId: 'IDENTITY_VERIFICATION_SSN', userResponse: 'It\'s 1234' }],
+      callback: { requestedTime: 'Friday the 12th after 5', reason: 'applicant_unavailable' },
+      unitVerification: { result: 'mismatch', stated: 'Apt 12C', onFile: 'Apt 3B' },
+      diffs: { city: { stated: 'Denver', onFile: 'Austin' }, state: { stated: 'CO', onFile: 'TX' } }
+    });
+
+    expect(redacted.step).toBe('completion');
+    expect(redacted.collectedData).toEqual({
+      dob: redactor.hash('1985-03-15'),
+      email: 'j***@example.com',
+      monthlyIncome: '****',
+      jobTenure: 36
+    });
+    expect(redacted.transcript[0]).toEqual({ nodeId: 'IDENTITY_VERIFICATION_SSN', userResponse: 'It\'s [DIGITS]' });
+    expect(redacted.callback.requestedTime).toBe('Friday the [DIGITS]th after [DIGITS]');
+    expect(redacted.unitVerification).toEqual({ result: 'mismatch', stated: 'A** 1**', onFile: 'A** 3*' });
+    expect(redacted.diffs).toEqual({
+      city: { stated: 'D*****', onFile: 'A*****' },
+      state: { stated: 'C*', onFile: 'T*' }
+    });
+  });
+
+  test('should hash equal values alike only under the same salt', () => {
+    const first = new Redactor({ salt: 'salt-a' });
+    expect(first.redactField('dob', '1985-03-15')).toBe(new Redactor({ salt: 'salt-a' }).redactField('dob', '1985-03-15'));
+    expect(first.redactField('dob', '1985-03-15')).not.toBe(new Redactor({ salt: 'salt-b' }).redactField('dob', '1985-03-15'));
+  });
+
+  test('should take policy overrides and reject unknown actions', () => {
+    expect(parseRedactionPolicy('email:keep, dob:drop')).toEqual({ email: 'keep', dob: 'drop' });
+
+    const redactor = new Redactor({ policy: { email: 'keep', jobTenure: 'drop' } });
+    expect(redactor.redact({ email: 'jd@example.com', jobTenure: 36 })).toEqual({ email: 'jd@example.com' });
+    expect(new Redactor({ enabled: false }).redact({ ssnLast4: '1234' })).toEqual({ ssnLast4: '1234' });
+    expect(() => new Redactor({ policy: { email: 'encrypt' } })).toThrow('Unknown redaction action');
+  });
+
+  describe('ConversationLogger', () => {
+    let logDir;
+
+    beforeEach(() => {
+      logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redacted-logs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    test('should redact entries before they reach the console or disk', async () => {
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const logger = new ConversationLogger({ logDir, enableConsoleLogging: true });
+
+      logger.logUserResponse('My SSN ends in 7 2 3 4 and I was born 03/15/1985', 'IDENTITY_VERIFICATION_SSN');
+      logger.logValidation('ssnLast4', '7234', true);
+      logger.logAgentPrompt('Your email is jd@example.com, is that right?', 'FINAL_CONFIRMATION');
+      logger.logCompletion({ collectedData: { ssnLast4: '7234', email: 'jd@example.com' } }, 'completed', {
+        dob: '1985-03-15',
+        ssnLast4: '7234'
+      });
+      await logger.flush();
+
+      const written = fs.readdirSync(logDir).map(file => fs.readFileSync(path.join(logDir, file), 'utf8')).join('\n');
+      const printed = consoleLog.mock.calls.flat().join('\n');
+      consoleLog.mockRestore();
+
+      for (const raw of ['7234', '7 2 3 4', '1985', 'jd@example.com']) {
+        expect(written).not.toContain(raw);
+        expect(printed).not.toContain(raw);
+      }
+      expect(logger.metrics.userResponses[0].response).toBe('My SSN ends in [DIGITS] and I was born [DATE]');
+    });
+
+    test('should leave no raw applicant details in the logs of a completed session', async () => {
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const agent = new VerificationAgent({
+        name: 'Jane Roe',
+        applicant_id: 'app_3003',
+        date_of_birth: '1979-11-02',
+        ssn_last_four: '7234',
+        monthly_income: 6500,
+        application_job_tenure: 24,
+        mailing_address: { street: '1247 Oak Street', unit: 'Apt 3B', city: 'Austin', state: 'TX', zip_code: '78701' }
+      }, {
+        logDir,
+        extractionStrategy: 'rules',
+        lockoutRegistry: new InMemoryLockoutRegistry(),
+        auditTrail: new InMemoryAuditTrail()
+      });
+
+      agent.generatePrompt();
+      const answers = [
+        'Yes, that\'s me.',
+        'November 2nd, 1979',
+        'seven two three four',
+        'Yes, that\'s correct.',
+        '88 Pine Avenue, Denver, Colorado 80203',
+        'Yes, I moved',
+        'Yes, apartment 12C',
+        'jane dot roe at example dot com',
+        '$6,500 a month',
+        'About two years',
+        'Yes, that\'s all correct.'
+      ];
+      for (const answer of answers) {
+        await agent.processUserInput(answer);
+      }
+      await agent.logger.flush();
+
+      const written = fs.readdirSync(logDir).map(file => fs.readFileSync(path.join(logDir, file), 'utf8')).join('\n');
+      const printed = consoleLog.mock.calls.flat().join('\n');
+      consoleLog.mockRestore();
+
+      expect(agent.conversationState.currentNodeId).toBe('COMPLETION');
+      const rawValues = [
+        'Jane', 'Roe', '1979', 'November 2', '7234', '7-2-3-4', 'seven two',
+        '1247', 'Oak', '3B', 'Austin', '78701', '88 Pine', 'Pine Avenue', 'Denver', 'Colorado', '80203', '12C',
+        'jane.roe', 'j a n e', '6500', '6,500'
+      ];
+      for (const raw of rawValues) {
+        expect(written).not.toContain(raw);
+        expect(printed).not.toContain(raw);
+      }
+    });
+  });
+});
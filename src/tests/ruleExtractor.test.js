@@ -0,0 +1,44 @@
+import { extractEntitiesWithRules, extractDate, extractDigits, extractEmail } from '../services/ruleExtractor.js';
+import { extractEntities } from '../services/llmService.js';
+
+describe('Rule-Based Entity Extractor', () => {
+  test('should extract dates in common spoken and written forms', () => {
+    expect(extractDate('March 15th, 1985')).toBe('1985-03-15');
+    expect(extractDate('It\'s 03/15/1985')).toBe('1985-03-15');
+    expect(extractDate('the 15th of March 1985')).toBe('1985-03-15');
+    expect(extractDate('February 30th, 1985')).toBeNull();
+    expect(extractDate('I don\'t remember')).toBeNull();
+  });
+
+  test('should extract spoken digits', () => {
+    expect(extractDigits('The last four are 7 2 3 4')).toBe('7234');
+    expect(extractDigits('seven two three four')).toBe('7234');
+    expect(extractDigits('I\'d rather not say')).toBeNull();
+  });
+
+  test('should extract written and spoken email addresses', () => {
+    expect(extractEmail('It\'s John.Doe@Example.com.')).toBe('john.doe@example.com');
+    expect(extractEmail('my email is john dot doe at gmail dot com')).toBe('john.doe@gmail.com');
+  });
+
+  test('should extract a US address', () => {
+    const schema = { street: 'Street', city: 'City', state: 'State', zip_code: 'ZIP' };
+    expect(extractEntitiesWithRules('1247 Oak Street, Austin, Texas 78701', schema)).toEqual({
+      street: '1247 Oak Street', city: 'Austin', state: 'Texas', zip_code: '78701'
+    });
+  });
+
+  test('should extract by slot type and return null for what was not said', () => {
+    expect(extractEntitiesWithRules('About 80k a year', { pay: 'Income', date: 'Date of birth' }, { pay: 'money' }))
+      .toEqual({ pay: '$80,000 a year', date: null });
+    expect(extractEntitiesWithRules('Two and a half years', { time: 'Tenure' }, { time: 'duration' }))
+      .toEqual({ time: '30' });
+  });
+
+  test('should run offline with the rules strategy and reject unknown strategies', async () => {
+    await expect(extractEntities('7 2 3 4', { ssn: 'SSN last four' }, { strategy: 'rules' }))
+      .resolves.toEqual({ ssn: '7234' });
+    await expect(extractEntities('7 2 3 4', { ssn: 'SSN last four' }, { strategy: 'guess' }))
+      .rejects.toThrow('Unknown extraction strategy');
+  });
+});
@@ -0,0 +1,235 @@
+import { createApp } from '../server.js';
+import { InMemorySessionStore } from '../services/sessionStore.js';
+import { InMemoryLockoutRegistry } from '../services/lockoutRegistry.js';
+import { InMemoryAuditTrail } from '../services/auditTrail.js';
+
+describe('Verification Session API', () => {
+  let server;
+  let baseUrl;
+  const sessionStore = new InMemorySessionStore();
+  const agentConfig = { enableLogging: false, enableConsoleLogging: false, extractionStrategy: 'rules' };
+  // Lockouts and the audit trail outlive a restart, so both apps share them
+  const stores = { lockoutRegistry: new InMemoryLockoutRegistry(), auditTrail: new InMemoryAuditTrail() };
+  const testApplicant = {
+    name: 'John Doe',
+    date_of_birth: '1985-03-15',
+    ssn_last_four: '1234',
+    application_job_tenure: 24
+  };
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  beforeAll(async () => {
+    const app = createApp({ sessionStore, agentConfig, ...stores });
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should create a session and return the greeting', async () => {
+    const { status, body } = await request('POST', '/sessions', { applicantData: testApplicant });
+
+    expect(status).toBe(201);
+    expect(body.sessionId).toBeDefined();
+    expect(body.currentNodeId).toBe('START');
+    expect(body.prompt).toContain('Am I speaking with John Doe');
+    expect(body.isTerminal).toBe(false);
+  });
+
+  test('should only let a session choose its flow', async () => {
+    const refinance = await request('POST', '/sessions', { applicantData: testApplicant, config: { flowId: 'refinance_verification' } });
+    expect(refinance.status).toBe(201);
+
+    for (const config of [
+      { maxIdentityAttempts: 10 },
+      { identityDisclosure: 'specific' },
+      { logDir: '/tmp', enableLogging: false },
+      { sessionId: refinance.body.sessionId },
+      { flowId: 'unknown_flow' },
+      ['flowId']
+    ]) {
+      const { status, body } = await request('POST', '/sessions', { applicantData: testApplicant, config });
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/Unsupported session config|Unknown conversation flow|must be an object/);
+    }
+  });
+
+  test('should reject a session without applicant data', async () => {
+    const { status } = await request('POST', '/sessions', {});
+    expect(status).toBe(400);
+
+    // Nothing to track identity lockouts under
+    const unidentified = await request('POST', '/sessions', { applicantData: { name: 'John Doe' } });
+    expect(unidentified.status).toBe(400);
+    expect(unidentified.body.error).toContain('applicant_id');
+    expect((await request('POST', '/sessions', { applicantData: { name: 'John Doe', applicant_id: 'app_1' } })).status).toBe(201);
+  });
+
+  test('should advance the conversation on user input', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    const { status, body } = await request('POST', `/sessions/${created.body.sessionId}/messages`, {
+      utterance: 'Yes, that\'s me.'
+    });
+
+    expect(status).toBe(200);
+    expect(body.currentNodeId).toBe('IDENTITY_VERIFICATION_DOB');
+    expect(body.prompt).toContain('date of birth');
+  });
+
+  test('should hold and re-prompt the caller', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    const { sessionId } = created.body;
+
+    const held = await request('POST', `/sessions/${sessionId}/messages`, { utterance: 'Hold on a second' });
+    expect(held.body.currentNodeId).toBe('START');
+    expect(held.body.repromptAfterMs).toBeGreaterThan(0);
+
+    const reprompted = await request('POST', `/sessions/${sessionId}/reprompt`);
+    expect(reprompted.status).toBe(200);
+    expect(reprompted.body.prompt).toContain('Are you still there?');
+    expect(reprompted.body.repromptAfterMs).toBeNull();
+
+    const notHeld = await request('POST', `/sessions/${sessionId}/reprompt`);
+    expect(notHeld.status).toBe(409);
+  });
+
+  test('should hand an escalated call over with its context packet', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    const { sessionId } = created.body;
+
+    const notEscalated = await request('GET', `/sessions/${sessionId}/handoff`);
+    expect(notEscalated.status).toBe(404);
+
+    const escalated = await request('POST', `/sessions/${sessionId}/messages`, {
+      utterance: 'Can I speak to a real person?'
+    });
+    expect(escalated.body.currentNodeId).toBe('ESCALATION');
+    expect(escalated.body.isTerminal).toBe(true);
+
+    const { status, body } = await request('GET', `/sessions/${sessionId}/handoff`);
+    expect(status).toBe(200);
+    expect(body.handoff.reason).toBe('caller_request');
+    expect(body.handoff.failedStep.nodeId).toBe('START');
+    expect(body.handoff.transcriptSummary.recentExchanges).toEqual([
+      { nodeId: 'START', userResponse: 'Can I speak to a real person?' }
+    ]);
+  });
+
+  test('should reject empty utterances', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    const { status } = await request('POST', `/sessions/${created.body.sessionId}/messages`, { utterance: '' });
+    expect(status).toBe(400);
+  });
+
+  test('should fetch and close a session', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    const { sessionId } = created.body;
+
+    const state = await request('GET', `/sessions/${sessionId}`);
+    expect(state.status).toBe(200);
+    expect(state.body.identityVerified).toBe(false);
+    expect(state.body.attempts.identity).toBe(0);
+
+    const closed = await request('DELETE', `/sessions/${sessionId}`);
+    expect(closed.status).toBe(204);
+
+    const missing = await request('GET', `/sessions/${sessionId}`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should return 404 for unknown sessions', async () => {
+    const { status } = await request('POST', '/sessions/unknown/messages', { utterance: 'yes' });
+    expect(status).toBe(404);
+
+    // A malformed ID never reaches the store
+    expect((await request('GET', '/sessions/..%2Fetc%2Fpasswd')).status).toBe(404);
+    expect((await request('POST', '/sessions/session%20one/messages', { utterance: 'yes' })).status).toBe(404);
+  });
+
+  test('should redact collected data in the session state', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    const { sessionId } = created.body;
+    await request('POST', `/sessions/${sessionId}/messages`, { utterance: 'Yes, that\'s me.' });
+    await request('POST', `/sessions/${sessionId}/messages`, { utterance: 'March 15th, 1985' });
+
+    const state = await request('GET', `/sessions/${sessionId}`);
+    expect(state.body.collectedData.dob).toMatch(/^sha256:/);
+    expect(JSON.stringify(state.body)).not.toContain('1985');
+  });
+
+  test('should run one request at a time on a session', async () => {
+    const sessions = new Map();
+    const app = createApp({ sessions, sessionStore, agentConfig, ...stores });
+    const instance = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const post = (path, body) => fetch(`http://127.0.0.1:${instance.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    try {
+      const { sessionId } = await (await post('/sessions', { applicantData: testApplicant })).json();
+      const agent = sessions.get(sessionId);
+      const processUserInput = agent.processUserInput.bind(agent);
+      let running = 0;
+      let overlapped = false;
+      agent.processUserInput = async (utterance) => {
+        overlapped ||= running > 0;
+        running++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        try {
+          return await processUserInput(utterance);
+        } finally {
+          running--;
+        }
+      };
+
+      const responses = await Promise.all([
+        post(`/sessions/${sessionId}/messages`, { utterance: 'Yes, that\'s me.' }),
+        post(`/sessions/${sessionId}/messages`, { utterance: 'March 15th, 1985' })
+      ]);
+
+      expect(responses.map(response => response.status)).toEqual([200, 200]);
+      expect(overlapped).toBe(false);
+      expect(agent.conversationState.currentNodeId).toBe('IDENTITY_VERIFICATION_SSN');
+    } finally {
+      await new Promise(resolve => instance.close(resolve));
+    }
+  });
+
+  test('should resume a session from the store after a restart', async () => {
+    const created = await request('POST', '/sessions', { applicantData: testApplicant });
+    await request('POST', `/sessions/${created.body.sessionId}/messages`, { utterance: 'Yes' });
+
+    // A fresh app shares only the store, as a restarted process would
+    const restarted = createApp({ sessionStore, agentConfig, ...stores });
+    const restartedServer = await new Promise(resolve => {
+      const instance = restarted.listen(0, () => resolve(instance));
+    });
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${restartedServer.address().port}/sessions/${created.body.sessionId}`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.currentNodeId).toBe('IDENTITY_VERIFICATION_DOB');
+    } finally {
+      await new Promise(resolve => restartedServer.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { InMemorySessionStore, FileSessionStore, createSessionStore } from '../services/sessionStore.js';
+
+const snapshot = {
+  version: 1,
+  sessionId: 'session_1_abc',
+  conversationState: { currentNodeId: 'IDENTITY_VERIFICATION_RETRY', attempts: { identity: 1 } }
+};
+
+describe('Session Stores', () => {
+  describe('InMemorySessionStore', () => {
+    test('should save, load, list and delete snapshots', async () => {
+      const store = new InMemorySessionStore();
+
+      await store.set('session_1_abc', snapshot);
+      expect(await store.get('session_1_abc')).toEqual(snapshot);
+      expect(await store.list()).toEqual(['session_1_abc']);
+
+      expect(await store.delete('session_1_abc')).toBe(true);
+      expect(await store.get('session_1_abc')).toBeNull();
+    });
+
+    test('should not share references with callers', async () => {
+      const store = new InMemorySessionStore();
+      const copy = JSON.parse(JSON.stringify(snapshot));
+
+      await store.set('session_1_abc', copy);
+      copy.conversationState.attempts.identity = 5;
+
+      expect((await store.get('session_1_abc')).conversationState.attempts.identity).toBe(1);
+    });
+  });
+
+  describe('FileSessionStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should persist snapshots across store instances', async () => {
+      await new FileSessionStore({ dir }).set('session_1_abc', snapshot);
+
+      const reopened = new FileSessionStore({ dir });
+      expect(await reopened.get('session_1_abc')).toEqual(snapshot);
+      expect(await reopened.list()).toEqual(['session_1_abc']);
+    });
+
+    test('should handle missing sessions', async () => {
+      const store = new FileSessionStore({ dir: path.join(dir, 'missing') });
+
+      expect(await store.get('session_2_def')).toBeNull();
+      expect(await store.delete('session_2_def')).toBe(false);
+      expect(await store.list()).toEqual([]);
+    });
+
+    test('should reject session IDs that could escape the directory', async () => {
+      const store = new FileSessionStore({ dir });
+      await expect(store.get('../etc/passwd')).rejects.toThrow('Invalid session ID');
+    });
+  });
+
+  test('should create stores by type', () => {
+    expect(createSessionStore({ type: 'memory' })).toBeInstanceOf(InMemorySessionStore);
+    expect(createSessionStore({ type: 'file', dir: 'sessions' })).toBeInstanceOf(FileSessionStore);
+    expect(() => createSessionStore({ type: 'redis' })).toThrow('Unknown session store type');
+  });
+});
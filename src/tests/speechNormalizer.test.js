@@ -0,0 +1,43 @@
+import { normalizeTranscript } from '../utils/speechNormalizer.js';
+
+describe('Speech Normalizer', () => {
+  test('should convert spoken digits, repeats and years', () => {
+    expect(normalizeTranscript('seven two three four')).toBe('7234');
+    expect(normalizeTranscript('double seven two three')).toBe('7723');
+    expect(normalizeTranscript('oh three fifteen nineteen eighty five')).toBe('03 15 1985');
+    expect(normalizeTranscript('twenty twenty one')).toBe('2021');
+    expect(normalizeTranscript('nineteen oh five')).toBe('1905');
+    expect(normalizeTranscript('sixty five hundred a month')).toBe('6500 a month');
+  });
+
+  test('should convert ordinals only in dates', () => {
+    expect(normalizeTranscript('March fifteenth, nineteen eighty-five')).toBe('March 15th, 1985');
+    expect(normalizeTranscript('the twenty first of June')).toBe('the 21st of June');
+    expect(normalizeTranscript('give me a second')).toBe('give me a second');
+  });
+
+  test('should join letter-by-letter and NATO spelling', () => {
+    expect(normalizeTranscript('m as in Mary, t as in Tom')).toBe('mt');
+    expect(normalizeTranscript('mike tango')).toBe('mt');
+    expect(normalizeTranscript('Mike is my brother')).toBe('Mike is my brother');
+  });
+
+  test('should keep "k" with its number and "a" as an article', () => {
+    expect(normalizeTranscript('about eighty k a year')).toBe('about 80k a year');
+    expect(normalizeTranscript('fifty k, a year')).toBe('50k, a year');
+    expect(normalizeTranscript('j o h n a day')).toBe('john a day');
+    expect(normalizeTranscript('l i s a')).toBe('lisa');
+  });
+
+  test('should rewrite spoken email addresses', () => {
+    expect(normalizeTranscript('m thompson dot denver at gmail dot com')).toBe('mthompson.denver@gmail.com');
+    expect(normalizeTranscript('my email is j o h n at example dot com')).toBe('my email is john@example.com');
+    expect(normalizeTranscript('call me back at three')).toBe('call me back at 3');
+  });
+
+  test('should leave ordinary answers alone', () => {
+    expect(normalizeTranscript('Yes, that\'s me.')).toBe('Yes, that\'s me.');
+    expect(normalizeTranscript('Oh, yes')).toBe('Oh, yes');
+    expect(normalizeTranscript('1247 Oak Street, Austin, Texas 78701')).toBe('1247 Oak Street, Austin, Texas 78701');
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Address Matcher
+ * Normalizes US mailing addresses and compares a stated address with the one
+ * on file, tolerating the ways the same address is commonly said or written
+ */
+
+const STREET_SUFFIXES = {
+  alley: 'aly', avenue: 'ave', av: 'ave', boulevard: 'blvd', circle: 'cir',
+  court: 'ct', cove: 'cv', crossing: 'xing', drive: 'dr', expressway: 'expy',
+  freeway: 'fwy', highway: 'hwy', lane: 'ln', parkway: 'pkwy', place: 'pl',
+  plaza: 'plz', road: 'rd', square: 'sq', street: 'st', terrace: 'ter',
+  trail: 'trl', way: 'way'
+};
+
+const DIRECTIONALS = {
+  north: 'n', south: 's', east: 'e', west: 'w',
+  northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw'
+};
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC',
+  florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL',
+  indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+  maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK',
+  oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+  'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+};
+
+// "Apt 3B", "apartment 3B", "unit 3B", "suite 200", "#3B" (optionally with a trailing comma)
+const UNIT_PATTERN = /(?:,\s*|\s+)(?:(?:apt|apartment|unit|suite|ste)\.?\s*#?|#\s*)([a-z0-9-]+)\s*$/i;
+
+// "yes, apartment 3B", "apartment 3 B" (as transcribed), "it's unit number 12", "suite 200"
+const SPOKEN_UNIT_PATTERN = /\b(apt|apartment|unit|suite|ste)\.?\s*(?:number\s*)?#?\s*([a-z]?\d+(?:\s?[a-z]\b)?|[a-z])\b/i;
+const HASH_UNIT_PATTERN = /#\s*([a-z0-9-]+)\b/i;
+// A bare identifier given as the whole answer ("3B", "it's 12", "yes, it's 4B")
+const BARE_UNIT_PATTERN = /^(?:(?:yes|yeah|yep|yup)[,.!]?\s+)?(?:it's\s+|it is\s+|number\s+)?#?\s*([a-z]?\d+[a-z]?|[a-z])[.!]?$/i;
+
+const UNIT_DESIGNATORS = { apt: 'Apt', apartment: 'Apt', unit: 'Unit', suite: 'Suite', ste: 'Suite' };
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zip_code'];
+
+/**
+ * Lowercases, strips punctuation and collapses whitespace
+ * @param {string} value - Raw value
+ * @returns {string} - Cleaned value
+ */
+function clean(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalizes a unit designator to just its identifier ("Apt. 3b" -> "3B")
+ * @param {string} unit - Unit as said or written
+ * @returns {string|null} - Normalized unit, or null if empty
+ */
+export function normalizeUnit(unit) {
+  if (!unit) return null;
+  const normalized = String(unit)
+    .replace(/^\s*(?:apt|apartment|unit|suite|ste)\.?\s*/i, '')
+    .replace(/^#\s*/, '')
+    .replace(/[\s.]/g, '')
+    .toUpperCase();
+  return normalized || null;
+}
+
+/**
+ * Finds a unit number in a spoken answer ("yes, apartment 3B" -> "Apt 3B")
+ * @param {string} text - User's answer
+ * @param {object} options - Extraction options
+ * @param {boolean} options.allowBare - Accept a bare identifier ("3B") when it is the whole answer, or follows a yes
+ * @returns {string|null} - Unit with its designator, or null if none was found
+ */
+export function extractUnit(text, { allowBare = false } = {}) {
+  const value = String(text || '').trim();
+
+  const spoken = value.match(SPOKEN_UNIT_PATTERN);
+  if (spoken) {
+    return `${UNIT_DESIGNATORS[spoken[1].toLowerCase()]} ${spoken[2].replace(/\s/g, '').toUpperCase()}`;
+  }
+
+  const hash = value.match(HASH_UNIT_PATTERN);
+  if (hash) {
+    return `Unit ${hash[1].toUpperCase()}`;
+  }
+
+  const bare = allowBare && value.match(BARE_UNIT_PATTERN);
+  if (bare) {
+    return `Unit ${bare[1].toUpperCase()}`;
+  }
+
+  return null;
+}
+
+/**
+ * Splits a trailing unit designator off a street line
+ * @param {string} street - Street line ("1247 Oak St Apt 3B")
+ * @returns {{street: string, unit: (string|null)}} - Street without the unit, and the unit
+ */
+export function splitUnitFromStreet(street) {
+  const value = String(street || '').trim();
+  const match = value.match(UNIT_PATTERN);
+  if (!match) {
+    return { street: value, unit: null };
+  }
+  return { street: value.slice(0, match.index).trim(), unit: normalizeUnit(match[1]) };
+}
+
+/**
+ * Normalizes a street line, abbreviating suffixes and directionals
+ * @param {string} street - Street line
+ * @returns {string} - Normalized street ("1247 north oak street" -> "1247 n oak st")
+ */
+export function normalizeStreet(street) {
+  return clean(splitUnitFromStreet(street).street)
+    .split(' ')
+    .map(word => STREET_SUFFIXES[word] || DIRECTIONALS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Normalizes a state name or postal code to its postal code
+ * @param {string} state - State name or code
+ * @returns {string} - Two-letter postal code, or the cleaned input if unknown
+ */
+export function normalizeState(state) {
+  const value = clean(state);
+  if (STATE_CODES[value]) return STATE_CODES[value];
+  return value.toUpperCase();
+}
+
+/**
+ * Normalizes a ZIP or ZIP+4 code
+ * @param {string} zip - ZIP code
+ * @returns {{zip5: string, plus4: (string|null)}} - Five-digit ZIP and optional +4 extension
+ */
+export function normalizeZip(zip) {
+  const digits = String(zip || '').replace(/\D/g, '');
+  return {
+    zip5: digits.slice(0, 5),
+    plus4: digits.length === 9 ? digits.slice(5) : null
+  };
+}
+
+/**
+ * Normalizes a full address object
+ * @param {object} address - Address ({ street, unit, city, state, zip_code })
+ * @returns {object} - Normalized address
+ */
+export function normalizeAddress(address = {}) {
+  const { unit: streetUnit } = splitUnitFromStreet(address.street);
+  return {
+    street: normalizeStreet(address.street),
+    unit: normalizeUnit(address.unit) || streetUnit,
+    city: clean(address.city),
+    state: normalizeState(address.state),
+    zip: normalizeZip(address.zip_code)
+  };
+}
+
+/**
+ * Finds a state name or postal code at the end of some text
+ * @param {string} text - Text ending in a state ("Austin, Texas")
+ * @returns {{state: string, rest: string}|null} - The state as written and the text before it
+ */
+function splitTrailingState(text) {
+  const names = Object.keys(STATE_CODES).sort((a, b) => b.length - a.length);
+  const codes = Object.values(STATE_CODES);
+
+  for (const name of names) {
+    const match = text.match(new RegExp(`(?:^|[\\s,])(${name})$`, 'i'));
+    if (match) {
+      return { state: match[1], rest: text.slice(0, text.length - match[1].length) };
+    }
+  }
+
+  const code = text.match(/(?:^|[\s,])([a-z]{2})\.?$/i);
+  if (code && codes.includes(code[1].toUpperCase())) {
+    return { state: code[1].toUpperCase(), rest: text.slice(0, code.index + code[0].indexOf(code[1])) };
+  }
+
+  return null;
+}
+
+/**
+ * Splits a street line from the city when the address was said without commas
+ * ("1247 Oak Street Austin")
+ * @param {string} text - Street and city
+ * @returns {{street: string, city: string}} - Street line (with any unit) and city
+ */
+function splitStreetAndCity(text) {
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 1) {
+    return { street: parts.slice(0, -1).join(', '), city: parts[parts.length - 1] };
+  }
+
+  // Without commas the street ends at its suffix, plus any directional or unit after it
+  const words = text.split(/\s+/);
+  const suffixes = new Set([...Object.keys(STREET_SUFFIXES), ...Object.values(STREET_SUFFIXES)]);
+  const suffixIndex = words.findLastIndex((word, index) => index > 0 && suffixes.has(clean(word)));
+  if (suffixIndex === -1) {
+    return { street: text, city: '' };
+  }
+
+  let end = suffixIndex + 1;
+  if (words[end] && DIRECTIONALS[clean(words[end])]) end++;
+  const unit = words.slice(end, end + 2).join(' ').match(/^(?:(?:apt|apartment|unit|suite|ste)\.?\s*#?\s*[a-z0-9-]+|#\s*[a-z0-9-]+)/i);
+  if (unit) end += unit[0].split(/\s+/).length;
+
+  return { street: words.slice(0, end).join(' '), city: words.slice(end).join(' ') };
+}
+
+/**
+ * Parses a spoken or written US address into its parts
+ * @param {string} text - Address ("1247 Oak Street, Austin, Texas 78701")
+ * @returns {{street: (string|null), city: (string|null), state: (string|null), zip_code: (string|null)}} -
+ *   Address parts, null where a part was not found
+ */
+export function parseAddress(text) {
+  const address = { street: null, city: null, state: null, zip_code: null };
+  let rest = String(text || '').trim().replace(/[.\s]+$/, '');
+
+  // The ZIP is the last five-digit group; house numbers can have five digits too
+  const zips = [...rest.matchAll(/\b(\d{5})(?:[-\s](\d{4}))?\b/g)];
+  const zip = zips[zips.length - 1];
+  if (zip && zip.index > 0) {
+    address.zip_code = zip[2] ? `${zip[1]}-${zip[2]}` : zip[1];
+    rest = rest.slice(0, zip.index);
+  }
+  rest = rest.replace(/[,\s]+$/, '');
+
+  const state = splitTrailingState(rest);
+  if (state) {
+    address.state = state.state;
+    rest = state.rest.replace(/[,\s]+$/, '');
+  }
+
+  // Drop lead-ins like "my address is" before the house number
+  rest = rest.replace(/^[^\d]*?(?=\d)/, '');
+  const { street, city } = splitStreetAndCity(rest);
+  if (/^\d/.test(street)) {
+    address.street = street;
+  }
+  address.city = city || null;
+
+  return address;
+}
+
+/**
+ * Reads one part of an address given on its own, as when the caller was just
+ * asked for it ("80203", "it's Colorado", "4B")
+ * @param {string} text - User's answer
+ * @param {string} part - 'zip_code', 'state' or 'unit'
+ * @returns {string|null} - The part as given (a unit with its designator), or null if none was found
+ */
+export function parseAddressPart(text, part) {
+  const value = String(text || '').trim().replace(/[.\s]+$/, '');
+
+  switch (part) {
+    case 'zip_code': {
+      const zip = [...value.matchAll(/\b(\d{5})(?:[-\s](\d{4}))?\b/g)].pop();
+      if (!zip) return null;
+      return zip[2] ? `${zip[1]}-${zip[2]}` : zip[1];
+    }
+    case 'state':
+      return splitTrailingState(value)?.state || null;
+    case 'unit':
+      return extractUnit(value, { allowBare: true });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compares a stated address with the address on file
+ * @param {object} stated - Address given by the caller
+ * @param {object} onFile - Address from the application
+ * @returns {{result: string, diffs: object, matchedFields: string[]}} - 'match', 'partial' or 'mismatch',
+ *   with the raw stated/on-file values for each differing field
+ */
+export function compareAddresses(stated, onFile) {
+  const a = normalizeAddress(stated);
+  const b = normalizeAddress(onFile);
+  const diffs = {};
+  const matchedFields = [];
+
+  const fieldMatches = {
+    street: a.street === b.street,
+    city: a.city === b.city,
+    state: a.state === b.state,
+    // ZIP+4 extensions only count when both sides have one
+    zip_code: a.zip.zip5 === b.zip.zip5 && (!a.zip.plus4 || !b.zip.plus4 || a.zip.plus4 === b.zip.plus4)
+  };
+
+  for (const field of ADDRESS_FIELDS) {
+    if (fieldMatches[field]) {
+      matchedFields.push(field);
+    } else {
+      diffs[field] = { stated: stated?.[field] ?? null, onFile: onFile?.[field] ?? null };
+    }
+  }
+
+  // Units are only compared when the caller gave one; it may still be collected later
+  if (a.unit) {
+    if (a.unit === b.unit) {
+      matchedFields.push('unit');
+    } else {
+      diffs.unit = { stated: a.unit, onFile: b.unit };
+    }
+  }
+
+  let result = 'match';
+  if (Object.keys(diffs).length > 0) {
+    // Same street line means the same home with a slip elsewhere; a different street is a different address
+    result = fieldMatches.street ? 'partial' : 'mismatch';
+  }
+
+  return { result, diffs, matchedFields };
+}
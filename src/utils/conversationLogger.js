@@ -6,13 +6,20 @@
 import fs from 'fs';
 import path from 'path';
 import { format } from 'date-fns';
+import Redactor from './redactor.js';
+import JsonlLogWriter from './logWriter.js';
+import { getDefaultEncryptor } from './encryption.js';
 
 export class ConversationLogger {
   constructor(options = {}) {
     this.logDir = options.logDir || 'logs';
     this.enableFileLogging = options.enableFileLogging !== false;
     this.enableConsoleLogging = options.enableConsoleLogging !== false;
-    this.sessionId = this.generateSessionId();
+    this.sessionId = options.sessionId || this.generateSessionId();
+    // Applied to every entry before it is kept, printed or written (see redactor.js)
+    this.redactor = options.redactor || new Redactor(options.redaction);
+    // Encrypts log and report files when a key is configured (see encryption.js)
+    this.encryptor = options.encryptor || getDefaultEncryptor();
     this.startTime = new Date();
     this.logs = [];
     this.metrics = {
@@ -27,6 +34,13 @@ export class ConversationLogger {
     };
     
     this.ensureLogDirectory();
+    // Entries are appended to conversation_<sessionId>.jsonl (see logWriter.js)
+    this.writer = this.enableFileLogging ? new JsonlLogWriter({
+      dir: this.logDir,
+      prefix: `conversation_${this.sessionId}`,
+      encryptor: this.encryptor,
+      ...(options.rotation || {})
+    }) : null;
   }
 
   /**
@@ -53,6 +67,16 @@ export class ConversationLogger {
    * @param {string} type - Log type (info, success, error, warning)
    */
   logStep(step, data = {}, type = 'info') {
+    this.writeStep(step, this.redactor.redact(data), type);
+  }
+
+  /**
+   * Records a step whose data has already been redacted
+   * @param {string} step - Step name
+   * @param {object} data - Redacted step data
+   * @param {string} type - Log type (info, success, error, warning)
+   */
+  writeStep(step, data = {}, type = 'info') {
     const timestamp = new Date();
     const logEntry = {
       sessionId: this.sessionId,
@@ -88,7 +112,7 @@ export class ConversationLogger {
       from: fromNode,
       to: toNode,
       timestamp: new Date().toISOString(),
-      context
+      context: this.redactor.redact(context)
     };
 
     if (!this.metrics.nodeTransitions[fromNode]) {
@@ -96,10 +120,11 @@ export class ConversationLogger {
     }
     this.metrics.nodeTransitions[fromNode].push(transition);
 
-    this.logStep('node_transition', {
+    this.writeStep('node_transition', {
       fromNode,
       toNode,
-      context
+      context: transition.context,
+      timestamp: transition.timestamp
     }, 'info');
   }
 
@@ -110,17 +135,17 @@ export class ConversationLogger {
    * @param {object} extractedData - Extracted data from response
    */
   logUserResponse(response, currentNode, extractedData = {}) {
-    const userResponse = {
+    const userResponse = this.redactor.redact({
       response,
       currentNode,
       extractedData,
       timestamp: new Date().toISOString(),
       responseLength: response.length
-    };
+    });
 
     this.metrics.userResponses.push(userResponse);
 
-    this.logStep('user_response', userResponse, 'info');
+    this.writeStep('user_response', userResponse, 'info');
   }
 
   /**
@@ -130,17 +155,17 @@ export class ConversationLogger {
    * @param {object} context - Prompt context
    */
   logAgentPrompt(prompt, nodeId, context = {}) {
-    const agentPrompt = {
+    const agentPrompt = this.redactor.redact({
       prompt,
       nodeId,
       context,
       timestamp: new Date().toISOString(),
       promptLength: prompt.length
-    };
+    });
 
     this.metrics.agentPrompts.push(agentPrompt);
 
-    this.logStep('agent_prompt', agentPrompt, 'info');
+    this.writeStep('agent_prompt', agentPrompt, 'info');
   }
 
   /**
@@ -152,18 +177,18 @@ export class ConversationLogger {
    * @param {boolean} success - Whether call was successful
    */
   logLLMCall(functionName, input, output, duration, success = true) {
-    const llmCall = {
+    const llmCall = this.redactor.redact({
       function: functionName,
       input,
       output,
       duration,
       success,
       timestamp: new Date().toISOString()
-    };
+    });
 
     this.metrics.llmCalls.push(llmCall);
 
-    this.logStep('llm_call', llmCall, success ? 'info' : 'error');
+    this.writeStep('llm_call', llmCall, success ? 'info' : 'error');
   }
 
   /**
@@ -174,9 +199,10 @@ export class ConversationLogger {
    * @param {string} reason - Validation reason
    */
   logValidation(field, value, isValid, reason = '') {
+    // The value is redacted by the policy for the field it belongs to
     const validation = {
       field,
-      value,
+      value: this.redactor.redactField(field, value),
       isValid,
       reason,
       timestamp: new Date().toISOString()
@@ -187,7 +213,7 @@ export class ConversationLogger {
     }
     this.metrics.validationResults[field].push(validation);
 
-    this.logStep('validation', validation, isValid ? 'success' : 'error');
+    this.writeStep('validation', validation, isValid ? 'success' : 'error');
   }
 
   /**
@@ -197,16 +223,16 @@ export class ConversationLogger {
    * @param {string} severity - Error severity (low, medium, high, critical)
    */
   logError(error, context = {}, severity = 'medium') {
-    const errorEntry = {
+    const errorEntry = this.redactor.redact({
       error,
       context,
       severity,
       timestamp: new Date().toISOString()
-    };
+    });
 
     this.metrics.errors.push(errorEntry);
 
-    this.logStep('error', errorEntry, 'error');
+    this.writeStep('error', errorEntry, 'error');
   }
 
   /**
@@ -229,6 +255,21 @@ export class ConversationLogger {
 
     this.logStep('completion', completion, 'success');
     this.generateSessionReport();
+    this.flush();
+  }
+
+  /**
+   * Writes buffered log entries and fsyncs the log file
+   * @returns {Promise<void>} - Resolves once the entries are on disk
+   */
+  async flush() {
+    if (!this.writer) return;
+
+    try {
+      await this.writer.sync();
+    } catch (error) {
+      console.error('Failed to write log file:', error);
+    }
   }
 
   /**
@@ -259,19 +300,7 @@ export class ConversationLogger {
    * @param {object} logEntry - Log entry
    */
   logToFile(logEntry) {
-    const logFile = path.join(this.logDir, `conversation_${this.sessionId}.json`);
-    const logData = {
-      sessionId: this.sessionId,
-      startTime: this.startTime.toISOString(),
-      logs: this.logs,
-      metrics: this.metrics
-    };
-
-    try {
-      fs.writeFileSync(logFile, JSON.stringify(logData, null, 2));
-    } catch (error) {
-      console.error('Failed to write log file:', error);
-    }
+    this.writer.write(logEntry);
   }
 
   /**
@@ -299,7 +328,7 @@ export class ConversationLogger {
     if (this.enableFileLogging) {
       const reportFile = path.join(this.logDir, `report_${this.sessionId}.json`);
       try {
-        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+        fs.writeFileSync(reportFile, this.encryptor.encryptDocument(JSON.stringify(report, null, 2)));
       } catch (error) {
         console.error('Failed to write report file:', error);
       }
@@ -1,15 +1,20 @@
 /**
  * Conversation Visualizer
- * Provides visualization tools for post-conversation analysis
+ * Provides visualization tools for post-conversation analysis. Reports hold
+ * the decrypted conversation, so they are encrypted like the logs they come
+ * from when a key is configured.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { format, parseISO } from 'date-fns';
+import { getDefaultEncryptor } from './encryption.js';
 
 export class ConversationVisualizer {
   constructor(options = {}) {
     this.outputDir = options.outputDir || 'analysis';
+    // Encrypts report files when a key is configured (see encryption.js)
+    this.encryptor = options.encryptor || getDefaultEncryptor();
     this.enableHTML = options.enableHTML !== false;
     this.enableJSON = options.enableJSON !== false;
     this.enableCSV = options.enableCSV !== false;
@@ -32,7 +37,9 @@ export class ConversationVisualizer {
    * @returns {string} Mermaid diagram
    */
   generateFlowDiagram(conversationData) {
-    const { nodeTransitions, logs } = conversationData;
+    const { logs } = conversationData;
+    // Loaded logs keep their transitions in the metrics
+    const nodeTransitions = conversationData.nodeTransitions || conversationData.metrics?.nodeTransitions || {};
     
     let diagram = 'graph TD\n';
     diagram += '  Start([Start]) --> IDENTITY_VERIFICATION_DOB\n';
@@ -773,20 +780,20 @@ export class ConversationVisualizer {
     if (this.enableHTML) {
       const htmlReport = this.generateHTMLReport(conversationData, sessionId);
       const htmlFile = path.join(this.outputDir, `analysis_${sessionId}_${timestamp}.html`);
-      fs.writeFileSync(htmlFile, htmlReport);
+      fs.writeFileSync(htmlFile, this.encryptor.encryptDocument(htmlReport));
       console.log(`HTML report saved: ${htmlFile}`);
     }
     
     if (this.enableJSON) {
       const jsonFile = path.join(this.outputDir, `analysis_${sessionId}_${timestamp}.json`);
-      fs.writeFileSync(jsonFile, JSON.stringify(conversationData, null, 2));
+      fs.writeFileSync(jsonFile, this.encryptor.encryptDocument(JSON.stringify(conversationData, null, 2)));
       console.log(`JSON report saved: ${jsonFile}`);
     }
     
     if (this.enableCSV) {
       const csvData = this.generateCSV(conversationData, sessionId);
       const csvFile = path.join(this.outputDir, `analysis_${sessionId}_${timestamp}.csv`);
-      fs.writeFileSync(csvFile, csvData);
+      fs.writeFileSync(csvFile, this.encryptor.encryptDocument(csvData));
       console.log(`CSV report saved: ${csvFile}`);
     }
   }
@@ -0,0 +1,135 @@
+/**
+ * Duration Parser
+ * Deterministically turns spoken job tenure ("two and a half years",
+ * "since March 2021", "since last March", "two or three years") into months
+ */
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+  fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+  thirty: 30, forty: 40, fifty: 50, couple: 2, few: 3
+};
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT = '(years?|yrs?|months?|mos?)';
+
+// "2 to 3 years", "between 18 and 24 months", "2-3 years", "two or three years"
+const RANGE_PATTERN = new RegExp(`(?:between\\s+)?${NUMBER}\\s*(?:to|-|or|and)\\s*${NUMBER}\\s*${UNIT}\\b`);
+const COMPONENT_PATTERN = new RegExp(`${NUMBER}\\s*${UNIT}\\b`, 'g');
+const SINCE = '\\b(?:since|started(?:\\s+in)?|starting(?:\\s+in)?|from)\\s+';
+// "since March 2021", "started in June of 2019", "since 2020"
+const SINCE_PATTERN = new RegExp(`${SINCE}(?:(${MONTH_NAMES.join('|')})\\s+(?:of\\s+)?)?(\\d{4})\\b`);
+// "since January", "since last March"
+const SINCE_MONTH_PATTERN = new RegExp(`${SINCE}(?:last\\s+)?(${MONTH_NAMES.join('|')})\\b`);
+
+/**
+ * Rewrites number words and halves as digits ("two and a half years" -> "2.5 years")
+ * @param {string} text - Lowercased text
+ * @returns {string} - Text with numbers as digits
+ */
+function normalizeNumbers(text) {
+  return text
+    .replace(/\b(twenty|thirty|forty|fifty)[\s-](one|two|three|four|five|six|seven|eight|nine)\b/g,
+      (match, tens, ones) => String(NUMBER_WORDS[tens] + NUMBER_WORDS[ones]))
+    .replace(/\ba\s+(couple|few)(\s+of)?\b/g, '$1')
+    .replace(/\b(an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|couple|few)\b/g,
+      (word) => String(NUMBER_WORDS[word]))
+    // "1 and 1 half years", "2 1/2 years"
+    .replace(/(\d+)\s+and\s+1\s+half\b/g, (match, whole) => `${whole}.5`)
+    .replace(/(\d+)\s+1\/2\b/g, (match, whole) => `${whole}.5`)
+    // "1 year and 1 half" -> "1.5 years"
+    .replace(/(\d+(?:\.\d+)?)\s*(years?|months?)\s+and\s+1\s+half\b/g,
+      (match, amount, unit) => `${parseFloat(amount) + 0.5} ${unit}`)
+    // "half a year", "1 half year"
+    .replace(/\b(?:1\s+)?half\s+(?:1\s+)?(year|month)\b/g, '0.5 $1');
+}
+
+/**
+ * Converts an amount in a unit to months
+ * @param {number} amount - Amount
+ * @param {string} unit - Unit word ("years", "mo", ...)
+ * @returns {number} - Months
+ */
+function toMonths(amount, unit) {
+  return unit.startsWith('y') ? amount * 12 : amount;
+}
+
+/**
+ * Counts whole months between a start date and the call date
+ * @param {number} year - Start year
+ * @param {number} monthIndex - Start month (0-11)
+ * @param {Date} now - Call date
+ * @returns {number} - Elapsed months (never negative)
+ */
+function monthsSince(year, monthIndex, now) {
+  const months = (now.getFullYear() - year) * 12 + (now.getMonth() - monthIndex);
+  return Math.max(months, 0);
+}
+
+/**
+ * Parses a spoken job tenure
+ * @param {string} text - Tenure answer
+ * @param {object} options - Parsing options
+ * @param {Date} options.now - Call date that "since <date>" is measured from, and that a month
+ *   named without a year is the latest one before (default: now)
+ * @param {string} options.defaultUnit - Unit for a bare number ("months"), or null to reject bare numbers
+ * @returns {object|null} - { months, kind } plus { low, high } for ranges and { since } for start dates,
+ *   or null if no duration was found
+ */
+export function parseDuration(text, { now = new Date(), defaultUnit = null } = {}) {
+  if (text === undefined || text === null) return null;
+  const value = normalizeNumbers(String(text).toLowerCase());
+
+  const since = value.match(SINCE_PATTERN);
+  if (since) {
+    // A year alone is taken as the start of that year
+    const monthIndex = since[1] ? MONTH_NAMES.indexOf(since[1]) : 0;
+    const year = parseInt(since[2]);
+    return {
+      months: monthsSince(year, monthIndex, now),
+      kind: 'since',
+      since: `${year}-${String(monthIndex + 1).padStart(2, '0')}`
+    };
+  }
+
+  const sinceMonth = value.match(SINCE_MONTH_PATTERN);
+  if (sinceMonth) {
+    // "since March" said in June is this March; said in February, it is last year's
+    const monthIndex = MONTH_NAMES.indexOf(sinceMonth[1]);
+    const year = now.getFullYear() - (monthIndex < now.getMonth() ? 0 : 1);
+    return {
+      months: monthsSince(year, monthIndex, now),
+      kind: 'since',
+      since: `${year}-${String(monthIndex + 1).padStart(2, '0')}`
+    };
+  }
+
+  const range = value.match(RANGE_PATTERN);
+  if (range) {
+    const low = Math.round(toMonths(parseFloat(range[1]), range[3]));
+    const high = Math.round(toMonths(parseFloat(range[2]), range[3]));
+    if (high >= low) {
+      return { months: Math.round((low + high) / 2), kind: 'range', low, high };
+    }
+  }
+
+  // "2 years and 3 months" adds up every component
+  const components = [...value.matchAll(COMPONENT_PATTERN)];
+  if (components.length > 0) {
+    const months = components.reduce((total, match) => total + toMonths(parseFloat(match[1]), match[2]), 0);
+    return { months: Math.round(months), kind: 'duration' };
+  }
+
+  const bare = defaultUnit && value.trim().match(new RegExp(`^${NUMBER}$`));
+  if (bare) {
+    return { months: Math.round(toMonths(parseFloat(bare[1]), defaultUnit)), kind: 'duration' };
+  }
+
+  return null;
+}
@@ -0,0 +1,203 @@
+/**
+ * Encryption at Rest
+ * Optional AES-256-GCM encryption for conversation logs, session reports and
+ * session snapshots. An encrypted file starts with a header line naming the
+ * key it was written with, followed by one encrypted record per line, so
+ * append-only logs stay appendable and keys can be rotated: new files use the
+ * active key while files written under older keys still decrypt.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+export const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Decodes a key given as 64 hex characters or base64
+ * @param {string} keyId - Key ID, for the error message
+ * @param {string} value - Encoded key
+ * @returns {Buffer} - 32-byte key
+ */
+function decodeKey(keyId, value) {
+  const text = String(value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption key ${keyId} must be ${KEY_BYTES} bytes (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+/**
+ * Parses keys given as "keyId:key" pairs, such as "2024-06:<base64>,2024-01:<base64>"
+ * @param {string} spec - Comma-separated keyId:key pairs; the first is the active key
+ * @returns {object} - Encoded keys by key ID, in the order given
+ */
+export function parseEncryptionKeys(spec) {
+  const keys = {};
+  for (const entry of String(spec || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+  }
+  return keys;
+}
+
+/**
+ * Reads the header line of an encrypted file
+ * @param {string} line - First line of a file (or any line of a log)
+ * @returns {{encryption: string, keyId: string}|null} - Header, or null if the line isn't one
+ */
+export function parseEncryptionHeader(line) {
+  if (!line || !line.startsWith('{"encryption"')) return null;
+  try {
+    const header = JSON.parse(line);
+    return header.encryption === ENCRYPTION_ALGORITHM && header.keyId ? header : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether file contents were written encrypted
+ * @param {string} content - File contents
+ * @returns {boolean} - Whether the contents start with an encryption header
+ */
+export function isEncrypted(content) {
+  return parseEncryptionHeader(String(content).split('\n', 1)[0]) !== null;
+}
+
+/**
+ * Encrypts and decrypts records with a set of keys
+ */
+export class Encryptor {
+  /**
+   * @param {object} options - Encryption options; with no key configured anywhere, files are written in plain text
+   * @param {object} options.keys - Keys by key ID (64 hex characters or base64 each)
+   * @param {string} options.activeKeyId - Key new files are encrypted with (default: the first key)
+   * @param {string} options.keyFile - JSON file holding { activeKeyId, keys } (default: ENCRYPTION_KEY_FILE)
+   */
+  constructor(options = {}) {
+    let { keys, activeKeyId } = options;
+
+    if (!keys) {
+      const keyFile = options.keyFile || process.env.ENCRYPTION_KEY_FILE;
+      if (keyFile) {
+        const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+        keys = stored.keys || {};
+        activeKeyId = activeKeyId || stored.activeKeyId;
+      } else {
+        // "keyId:key,..." with the active key first
+        keys = parseEncryptionKeys(process.env.ENCRYPTION_KEYS);
+      }
+    }
+
+    this.keys = new Map(Object.entries(keys).map(([keyId, value]) => [keyId, decodeKey(keyId, value)]));
+    this.activeKeyId = activeKeyId || this.keys.keys().next().value || null;
+
+    if (this.activeKeyId && !this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active encryption key ${this.activeKeyId} is not among the configured keys`);
+    }
+  }
+
+  /**
+   * Whether new files are encrypted
+   * @returns {boolean} - Whether an active key is configured
+   */
+  get enabled() {
+    return this.activeKeyId !== null;
+  }
+
+  /**
+   * Header line for a file encrypted with the active key
+   * @returns {string} - Header line, without the newline
+   */
+  header() {
+    return JSON.stringify({ encryption: ENCRYPTION_ALGORITHM, keyId: this.activeKeyId });
+  }
+
+  /**
+   * Gets a key by ID
+   * @param {string} keyId - Key ID from a file header
+   * @returns {Buffer} - Key
+   */
+  getKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Encrypted with key "${keyId}", which is not configured (set ENCRYPTION_KEYS or ENCRYPTION_KEY_FILE)`);
+    }
+    return key;
+  }
+
+  /**
+   * Encrypts one record with the active key
+   * @param {string} text - Plain text (one log entry or a whole document)
+   * @returns {string} - "iv.tag.ciphertext", each part base64
+   */
+  encryptRecord(text) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.getKey(this.activeKeyId), iv);
+    // Binding the key ID means a record can't be passed off under another header
+    cipher.setAAD(Buffer.from(this.activeKeyId));
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+  }
+
+  /**
+   * Decrypts one record
+   * @param {string} record - Record produced by encryptRecord
+   * @param {string} keyId - Key ID from the header above the record
+   * @returns {string} - Plain text
+   */
+  decryptRecord(record, keyId) {
+    const [iv, tag, ciphertext] = record.trim().split('.').map(part => Buffer.from(part, 'base64'));
+    if (!iv || !tag || !ciphertext) {
+      throw new Error('Malformed encrypted record');
+    }
+
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, this.getKey(keyId), iv);
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Encrypts a whole file's contents, when a key is configured
+   * @param {string} text - File contents
+   * @returns {string} - Header line and one encrypted record, or the text unchanged if encryption is off
+   */
+  encryptDocument(text) {
+    if (!this.enabled) return text;
+    return `${this.header()}\n${this.encryptRecord(text)}\n`;
+  }
+
+  /**
+   * Decrypts a file written by encryptDocument; plain-text files pass through
+   * @param {string} content - File contents
+   * @returns {string} - Plain text
+   */
+  decryptDocument(content) {
+    const [first, record] = String(content).split('\n');
+    const header = parseEncryptionHeader(first);
+    return header ? this.decryptRecord(record, header.keyId) : content;
+  }
+}
+
+let defaultEncryptor = null;
+
+/**
+ * Gets the encryptor configured by ENCRYPTION_KEYS or ENCRYPTION_KEY_FILE, created on first use
+ * @returns {Encryptor} - Default encryptor
+ */
+export function getDefaultEncryptor() {
+  if (!defaultEncryptor) {
+    defaultEncryptor = new Encryptor();
+  }
+  return defaultEncryptor;
+}
+
+export default Encryptor;
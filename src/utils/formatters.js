@@ -74,3 +74,19 @@ export function formatSpokenAddress(address) {
   
   return result;
 }
+
+/**
+ * Formats a prompt for slower delivery, in short chunks separated by pauses
+ * (e.g., "Is that right? Thank you." -> "Is that right? ... Thank you.")
+ * @param {string} text - Prompt text
+ * @returns {string} - Prompt with a pause after each sentence and clause
+ */
+export function formatSlowSpeech(text) {
+  if (!text || typeof text !== 'string') return text;
+  
+  return text
+    .split(/(?<=[.?!,;:])\s+/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .join(' ... ');
+}
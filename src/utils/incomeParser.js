@@ -0,0 +1,112 @@
+import { formatSpokenCurrency } from './formatters.js';
+
+/**
+ * Income Parser
+ * Understands income answers given per hour, week, pay period or year and
+ * normalizes them to the monthly figure the verification script asks for
+ */
+
+export const INCOME_PERIODS = ['hourly', 'weekly', 'biweekly', 'semimonthly', 'monthly', 'annual'];
+
+const DEFAULT_HOURS_PER_WEEK = 40;
+
+// Answers without a period at or above this amount are almost always annual salaries
+const ANNUAL_INFERENCE_THRESHOLD = 20000;
+
+// Checked in order; hourly must come before weekly so "40 hours a week" is read as hours
+const PERIOD_PATTERNS = [
+  ['hourly', /\b(hourly|an hour|per hour|a hr|per hr|\/\s*(?:hour|hr))\b/i],
+  ['biweekly', /\b(bi-?weekly|every (?:two|2|other) weeks?)\b/i],
+  ['semimonthly', /\b(semi-?monthly|twice a month|two times a month|1st and (?:the )?15th)\b/i],
+  ['weekly', /\b(weekly|a week|per week|\/\s*week)\b/i],
+  ['monthly', /\b(monthly|a month|per month|\/\s*(?:month|mo))\b/i],
+  ['annual', /\b(annual(?:ly)?|yearly|a year|per year|per annum|salary|\/\s*(?:year|yr))\b/i]
+];
+
+const PERIOD_LABELS = {
+  hourly: 'an hour',
+  weekly: 'a week',
+  biweekly: 'every two weeks',
+  semimonthly: 'twice a month',
+  monthly: 'a month',
+  annual: 'a year'
+};
+
+const MULTIPLIERS = { k: 1000, thousand: 1000, grand: 1000, m: 1000000, million: 1000000 };
+
+// "$80,000", "80k", "6.5 thousand", "25" - but not "40 hours"
+const AMOUNT_PATTERN = /\$?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|thousand|grand|million|m)?\b(?!\s*(?:hours?|hrs?)\b)/gi;
+const HOURS_PATTERN = /(\d+(?:\.\d+)?)\s*(?:hours?|hrs?)\s*(?:a|per|each|every)\s*week/i;
+
+/**
+ * Finds the income amount in a piece of text
+ * @param {string} text - Income answer
+ * @returns {number|null} - Amount in dollars, or null if there is none
+ */
+function findAmount(text) {
+  for (const match of text.matchAll(AMOUNT_PATTERN)) {
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    if (!Number.isNaN(value) && value > 0) {
+      return value * (MULTIPLIERS[match[2]?.toLowerCase()] || 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts an amount paid per period to a monthly amount
+ * @param {number} amount - Amount per period
+ * @param {string} period - One of INCOME_PERIODS
+ * @param {number} hoursPerWeek - Hours worked per week (hourly pay only)
+ * @returns {number} - Monthly amount, rounded to the dollar
+ */
+export function toMonthly(amount, period, hoursPerWeek = DEFAULT_HOURS_PER_WEEK) {
+  const perMonth = {
+    hourly: amount * hoursPerWeek * 52 / 12,
+    weekly: amount * 52 / 12,
+    biweekly: amount * 26 / 12,
+    semimonthly: amount * 2,
+    monthly: amount,
+    annual: amount / 12
+  };
+  return Math.round(perMonth[period]);
+}
+
+/**
+ * Parses an income answer ("about 80k a year", "$25 an hour, 40 hours a week")
+ * @param {string} text - Income answer
+ * @returns {object|null} - { amount, period, monthly, periodInferred, hoursPerWeek? }, or null if no amount was found
+ */
+export function parseIncome(text) {
+  if (text === undefined || text === null) return null;
+  const value = String(text);
+
+  const amount = findAmount(value);
+  if (!amount) return null;
+
+  const stated = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(value));
+  // The question asks for monthly income, so a bare amount is monthly unless it is salary-sized
+  const period = stated ? stated[0] : (amount >= ANNUAL_INFERENCE_THRESHOLD ? 'annual' : 'monthly');
+
+  const income = { amount, period, periodInferred: !stated };
+  if (period === 'hourly') {
+    const hours = value.match(HOURS_PATTERN);
+    income.hoursPerWeek = hours ? parseFloat(hours[1]) : DEFAULT_HOURS_PER_WEEK;
+  }
+  income.monthly = toMonthly(amount, period, income.hoursPerWeek);
+
+  return income;
+}
+
+/**
+ * Describes a parsed income the way the user said it, for read-back
+ * @param {object} income - Parsed income (see parseIncome)
+ * @returns {string} - Spoken description ("$25 an hour at 40 hours a week")
+ */
+export function describeIncome(income) {
+  let description = `${formatSpokenCurrency(income.amount)} ${PERIOD_LABELS[income.period]}`;
+  if (income.period === 'hourly') {
+    description += ` at ${income.hoursPerWeek} hours a week`;
+  }
+  return description;
+}
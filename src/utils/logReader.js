@@ -0,0 +1,175 @@
+/**
+ * Conversation Log Reader
+ * Loads conversation logs for the analysis scripts and dashboard, whether
+ * written as JSONL segments by the current logger or as a single JSON file
+ * by older versions. Both load to the same { sessionId, startTime, logs, metrics } shape.
+ * Encrypted files are decrypted with the keys named in their headers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDefaultEncryptor, parseEncryptionHeader } from './encryption.js';
+
+// conversation_<sessionId>.jsonl, conversation_<sessionId>.<segment>.jsonl, or legacy conversation_<sessionId>.json
+const LOG_FILE_PATTERN = /^conversation_(.+?)(?:\.(\d+))?\.(jsonl|json)$/;
+
+/**
+ * Lists the conversation logs in a directory, newest first
+ * @param {string} logDir - Log directory
+ * @returns {Array<{sessionId: string, format: string, files: string[], mtime: Date}>} - One entry per
+ *   session, with its files in write order
+ */
+export function listConversationLogs(logDir) {
+  if (!fs.existsSync(logDir)) {
+    return [];
+  }
+
+  const sessions = new Map();
+  for (const file of fs.readdirSync(logDir)) {
+    const match = file.match(LOG_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, sessionId, segment, extension] = match;
+    // A legacy file never has segments, so only a .jsonl name can carry a number
+    if (segment && extension === 'json') continue;
+
+    const key = `${sessionId}.${extension}`;
+    if (!sessions.has(key)) {
+      sessions.set(key, { sessionId, format: extension, segments: [], mtime: new Date(0) });
+    }
+
+    const session = sessions.get(key);
+    const filePath = path.join(logDir, file);
+    const { mtime } = fs.statSync(filePath);
+    session.segments.push({ filePath, segment: parseInt(segment) || 0 });
+    if (mtime > session.mtime) {
+      session.mtime = mtime;
+    }
+  }
+
+  return [...sessions.values()]
+    .map(({ segments, ...session }) => ({
+      ...session,
+      files: segments.sort((a, b) => a.segment - b.segment).map(entry => entry.filePath)
+    }))
+    .sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * Loads one conversation log
+ * @param {object} logInfo - Entry from listConversationLogs
+ * @param {Encryptor} encryptor - Holds the keys for encrypted files (default: ENCRYPTION_KEYS / ENCRYPTION_KEY_FILE)
+ * @returns {{sessionId: string, startTime: string, logs: object[], metrics: object}} - Conversation data
+ */
+export function loadConversationLog(logInfo, encryptor = getDefaultEncryptor()) {
+  if (logInfo.format === 'json') {
+    return {
+      sessionId: logInfo.sessionId,
+      ...JSON.parse(encryptor.decryptDocument(fs.readFileSync(logInfo.files[0], 'utf8')))
+    };
+  }
+
+  const logs = logInfo.files.flatMap(filePath => readJsonl(filePath, encryptor));
+  return {
+    sessionId: logInfo.sessionId,
+    startTime: logs[0]?.timestamp || null,
+    logs,
+    metrics: buildMetrics(logs)
+  };
+}
+
+/**
+ * Reads the entries of a JSONL file. Lines after an encryption header are
+ * decrypted with its key; plain-text lines are read as they are.
+ * @param {string} filePath - File path
+ * @param {Encryptor} encryptor - Holds the keys for encrypted lines
+ * @returns {object[]} - Parsed entries; a line cut short by a crash is skipped
+ */
+export function readJsonl(filePath, encryptor = getDefaultEncryptor()) {
+  const entries = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  let keyId = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const header = parseEncryptionHeader(line);
+    if (header) {
+      keyId = header.keyId;
+      return;
+    }
+
+    try {
+      entries.push(JSON.parse(line.startsWith('{') ? line : encryptor.decryptRecord(line, keyId)));
+    } catch (error) {
+      // Without the key nothing in the file can be read, so that is an error for the whole file
+      if (keyId && !encryptor.keys.has(keyId)) throw error;
+      console.error(`Skipping unreadable line ${index + 1} of ${filePath}:`, error.message);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Rebuilds a session's metrics from its log entries, matching what
+ * ConversationLogger keeps in memory
+ * @param {object[]} logs - Log entries in write order
+ * @returns {object} - Metrics
+ */
+export function buildMetrics(logs) {
+  const metrics = {
+    totalSteps: logs.length,
+    nodeTransitions: {},
+    userResponses: [],
+    agentPrompts: [],
+    llmCalls: [],
+    validationResults: {},
+    errors: [],
+    duration: 0
+  };
+  let completed = false;
+
+  for (const { step, timestamp, data = {} } of logs) {
+    const { stepNumber, ...entry } = data;
+
+    switch (step) {
+      case 'node_transition':
+        (metrics.nodeTransitions[entry.fromNode] ||= []).push({
+          from: entry.fromNode,
+          to: entry.toNode,
+          timestamp: entry.timestamp || timestamp,
+          context: entry.context
+        });
+        break;
+      case 'user_response':
+        metrics.userResponses.push(entry);
+        break;
+      case 'agent_prompt':
+        metrics.agentPrompts.push(entry);
+        break;
+      case 'llm_call':
+        metrics.llmCalls.push(entry);
+        break;
+      case 'validation':
+        (metrics.validationResults[entry.field] ||= []).push(entry);
+        break;
+      case 'error':
+        metrics.errors.push(entry);
+        break;
+      case 'completion':
+        metrics.duration = entry.duration;
+        completed = true;
+        break;
+    }
+  }
+
+  // A session that never completed has lasted at least as long as its entries span
+  if (!completed && logs.length > 1) {
+    metrics.duration = Date.parse(logs[logs.length - 1].timestamp) - Date.parse(logs[0].timestamp);
+  }
+
+  return metrics;
+}
+
+export default loadConversationLog;
@@ -0,0 +1,255 @@
+/**
+ * JSONL Log Writer
+ * Appends one JSON line per log entry to a session's log file. Entries are
+ * buffered and written asynchronously, so logging a step never rewrites the
+ * file or blocks the event loop. Files rotate to a new segment by size or age.
+ * With an encryptor, each line is encrypted and each segment starts with a
+ * header naming the key (see encryption.js). Entries still buffered when the
+ * process exits are written before it does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Writers holding buffered entries, flushed before the process exits
+const bufferedWriters = new Set();
+let exitHooksInstalled = false;
+
+/**
+ * Flushes buffered entries before the process exits: asynchronously once the
+ * event loop has nothing else to do, and synchronously on process.exit(),
+ * when asynchronous writes would never finish
+ */
+function installExitHooks() {
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
+
+  process.on('beforeExit', () => {
+    for (const writer of bufferedWriters) {
+      writer.flush().catch(error => console.error('Failed to write log file:', error));
+    }
+  });
+  process.on('exit', () => {
+    for (const writer of bufferedWriters) {
+      try {
+        writer.flushSync();
+      } catch (error) {
+        console.error('Failed to write log file:', error);
+      }
+    }
+  });
+}
+
+export class JsonlLogWriter {
+  /**
+   * @param {object} options - Writer options
+   * @param {string} options.dir - Directory holding the log segments
+   * @param {string} options.prefix - File name before the segment number and extension (e.g. conversation_<sessionId>)
+   * @param {number} options.maxBytes - Segment size that starts a new segment (default: LOG_ROTATE_MAX_BYTES or 5 MB)
+   * @param {number} options.maxAgeMs - Segment age that starts a new segment (default: LOG_ROTATE_MAX_AGE_MS or 1 hour)
+   * @param {number} options.flushIntervalMs - How long entries wait in the buffer (default: LOG_FLUSH_INTERVAL_MS or 100)
+   * @param {Encryptor} options.encryptor - Encrypts each line when it has a key configured
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || 'logs';
+    this.prefix = options.prefix;
+    this.maxBytes = options.maxBytes || parseInt(process.env.LOG_ROTATE_MAX_BYTES) || 5 * 1024 * 1024;
+    this.maxAgeMs = options.maxAgeMs || parseInt(process.env.LOG_ROTATE_MAX_AGE_MS) || 60 * 60 * 1000;
+    this.flushIntervalMs = options.flushIntervalMs ?? (parseInt(process.env.LOG_FLUSH_INTERVAL_MS) || 100);
+    this.encryptor = options.encryptor?.enabled ? options.encryptor : null;
+
+    this.segment = 0;
+    this.segmentBytes = 0;
+    this.segmentStartedAt = Date.now();
+    // A resumed session appends to an existing segment, so every writer
+    // starts its first write to a segment with a header
+    this.segmentHasHeader = false;
+    this.resumeLastSegment();
+    this.buffer = [];
+    this.timer = null;
+    // Flushes run one after another so lines stay in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Picks up where an earlier writer for the same prefix left off (a resumed
+   * session), so rotation counts the bytes already in its last segment and
+   * never writes into an older one
+   */
+  resumeLastSegment() {
+    // Segments are numbered in the order they were started, without gaps
+    let segment = 0;
+    while (fs.existsSync(this.getFilePath(segment + 1))) {
+      segment++;
+    }
+    if (segment === 0 && !fs.existsSync(this.getFilePath(0))) return;
+
+    const { size, birthtimeMs, mtimeMs } = fs.statSync(this.getFilePath(segment));
+    this.segment = segment;
+    this.segmentBytes = size;
+    // Not every file system records a creation time
+    this.segmentStartedAt = birthtimeMs || mtimeMs;
+  }
+
+  /**
+   * Path of a log segment; the first segment has no number
+   * @param {number} segment - Segment number
+   * @returns {string} - File path
+   */
+  getFilePath(segment = this.segment) {
+    const suffix = segment === 0 ? '' : `.${segment}`;
+    return path.join(this.dir, `${this.prefix}${suffix}.jsonl`);
+  }
+
+  /**
+   * Buffers an entry for the next flush
+   * @param {object} entry - Log entry
+   */
+  write(entry) {
+    const text = JSON.stringify(entry);
+    this.buffer.push(`${this.encryptor ? this.encryptor.encryptRecord(text) : text}\n`);
+    bufferedWriters.add(this);
+    installExitHooks();
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.flush().catch(error => console.error('Failed to write log file:', error));
+      }, this.flushIntervalMs);
+      // A pending flush never keeps the process alive on its own
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Writes buffered entries
+   * @returns {Promise<void>} - Resolves once every entry buffered so far is on disk
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const lines = this.buffer;
+    this.buffer = [];
+    bufferedWriters.delete(this);
+    if (lines.length === 0) {
+      return this.queue;
+    }
+
+    this.queue = this.queue
+      .catch(() => {})
+      .then(() => this.append(lines));
+    return this.queue;
+  }
+
+  /**
+   * Writes buffered entries synchronously, for a process that is exiting
+   */
+  flushSync() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const lines = this.buffer;
+    this.buffer = [];
+    bufferedWriters.delete(this);
+    if (lines.length === 0) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const chunk of this.segmentChunks(lines)) {
+      this.appendToSegmentSync(chunk);
+    }
+  }
+
+  /**
+   * Flushes and then fsyncs the current segment, so a finished session
+   * survives a crash
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    await this.flush();
+    if (this.segment === 0 && this.segmentBytes === 0) return;
+
+    let handle;
+    try {
+      handle = await fs.promises.open(this.getFilePath(), 'a');
+      await handle.sync();
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  /**
+   * Appends lines, moving to a new segment whenever the current one is full or too old
+   * @param {string[]} lines - Serialized entries, each ending in a newline
+   * @returns {Promise<void>}
+   */
+  async append(lines) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    for (const chunk of this.segmentChunks(lines)) {
+      await this.appendToSegment(chunk);
+    }
+  }
+
+  /**
+   * Groups lines into one chunk per segment. Each chunk must be appended
+   * before the next is taken, which moves to the next segment.
+   * @param {string[]} lines - Serialized entries, each ending in a newline
+   * @returns {Generator<string>} - Text to append to the current segment
+   */
+  *segmentChunks(lines) {
+    let chunk = '';
+    for (const line of lines) {
+      const bytes = Buffer.byteLength(line);
+      const full = this.segmentBytes + Buffer.byteLength(chunk) + bytes > this.maxBytes;
+      const stale = Date.now() - this.segmentStartedAt > this.maxAgeMs;
+
+      if ((full || stale) && this.segmentBytes + chunk.length > 0) {
+        yield chunk;
+        chunk = '';
+        this.segment++;
+        this.segmentBytes = 0;
+        this.segmentStartedAt = Date.now();
+        this.segmentHasHeader = false;
+      }
+      chunk += line;
+    }
+
+    yield chunk;
+  }
+
+  /**
+   * Appends text to the current segment
+   * @param {string} chunk - Lines to append
+   * @returns {Promise<void>}
+   */
+  async appendToSegment(chunk) {
+    if (!chunk) return;
+    const text = this.withSegmentHeader(chunk);
+    await fs.promises.appendFile(this.getFilePath(), text);
+    this.segmentBytes += Buffer.byteLength(text);
+  }
+
+  /**
+   * Appends text to the current segment synchronously
+   * @param {string} chunk - Lines to append
+   */
+  appendToSegmentSync(chunk) {
+    if (!chunk) return;
+    const text = this.withSegmentHeader(chunk);
+    fs.appendFileSync(this.getFilePath(), text);
+    this.segmentBytes += Buffer.byteLength(text);
+  }
+
+  /**
+   * Puts the encryption header before the first lines written to a segment
+   * @param {string} chunk - Lines to append
+   * @returns {string} - Text to append
+   */
+  withSegmentHeader(chunk) {
+    if (!this.encryptor || this.segmentHasHeader) return chunk;
+    this.segmentHasHeader = true;
+    return `${this.encryptor.header()}\n${chunk}`;
+  }
+}
+
+export default JsonlLogWriter;
@@ -1,25 +1,25 @@
-import { ChatOpenAI } from "@langchain/openai";
-import { JsonOutputFunctionsParser } from "langchain/output_parsers";
-import { HumanMessage } from "@langchain/core/messages";
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import { getDefaultLLMService } from '../services/llmService.js';
 
 dotenv.config();
 
-// Initialize OpenAI model for synthetic data generation
-const model = new ChatOpenAI({ 
-  temperature: 0.7, // Higher creativity for data generation
-  modelName: "gpt-3.5-turbo",
-  openAIApiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * Mock Data Generator for Financial Verification Agent
  * Generates synthetic data for testing without real PII
  */
 class MockDataGenerator {
-  constructor() {
+  /**
+   * @param {object} options - Generator options
+   * @param {LLMService} options.llmService - LLM service for LLM-generated scenarios (default: shared service)
+   * @param {object} options.llm - Model, temperature and timeout for generation calls
+   */
+  constructor(options = {}) {
+    this.llm = options.llmService || getDefaultLLMService();
+    // Higher creativity for data generation
+    this.llmOptions = { temperature: 0.7, ...options.llm };
+    
     this.baseNames = [
       'Michael Thompson', 'Jennifer Martinez', 'Robert Johnson', 'Sarah Williams',
       'David Brown', 'Lisa Garcia', 'James Wilson', 'Maria Rodriguez',
@@ -635,14 +635,11 @@ class MockDataGenerator {
     };
 
     try {
-      const runnable = model.bind({
-        functions: [functionSchema],
-        function_call: { name: "generate_test_scenarios" },
-      }).pipe(new JsonOutputFunctionsParser());
-
-      const result = await runnable.invoke([
-        new HumanMessage(`Generate ${count} realistic test scenarios for a financial verification system. Include various scenarios: successful verification, identity failures, tenure discrepancies, and different employment statuses. Use realistic but fictional data - no real PII.`)
-      ]);
+      const result = await this.llm.callFunction(
+        `Generate ${count} realistic test scenarios for a financial verification system. Include various scenarios: successful verification, identity failures, tenure discrepancies, and different employment statuses. Use realistic but fictional data - no real PII.`,
+        functionSchema,
+        this.llmOptions
+      );
       
       console.log('LLM-generated scenarios created');
       return result.scenarios;
@@ -0,0 +1,226 @@
+/**
+ * Log Redaction
+ * Applies a field-level policy to everything the conversation logger records,
+ * so raw identity, contact and income details never reach the console or disk.
+ * Free-text fields (utterances, prompts) are scrubbed with pattern detectors.
+ */
+
+import crypto from 'crypto';
+
+// keep: as-is; mask: hide all but the first character of each word;
+// hash: salted SHA-256, so equal values can still be matched; drop: remove the field;
+// scrub: free text with digits, dates and emails replaced
+export const REDACTION_ACTIONS = ['keep', 'mask', 'hash', 'drop', 'scrub'];
+
+// Applied by field name wherever the field appears, at any depth; unlisted fields are kept
+export const DEFAULT_REDACTION_POLICY = {
+  // Identity
+  name: 'mask',
+  applicantName: 'mask',
+  dob: 'hash',
+  date_of_birth: 'hash',
+  date: 'hash',
+  ssn: 'drop',
+  ssnLast4: 'drop',
+  ssn_last_four: 'drop',
+  // Contact
+  email: 'mask',
+  address: 'mask',
+  mailing_address: 'mask',
+  addressOnFile: 'mask',
+  street: 'mask',
+  unit: 'mask',
+  city: 'mask',
+  state: 'mask',
+  zip_code: 'mask',
+  // Stated and on-file values of a unit or address comparison
+  stated: 'mask',
+  onFile: 'mask',
+  // Income
+  income: 'mask',
+  monthlyIncome: 'mask',
+  monthly_income: 'mask',
+  incomeDetails: 'mask',
+  applicationIncome: 'mask',
+  statedIncome: 'mask',
+  incomeAsStated: 'mask',
+  convertedIncome: 'mask',
+  // Free text that can repeat any of the above
+  response: 'scrub',
+  userResponse: 'scrub',
+  utterance: 'scrub',
+  prompt: 'scrub',
+  question: 'scrub',
+  original: 'scrub',
+  normalized: 'scrub',
+  explanation: 'scrub',
+  summary: 'scrub',
+  correctionReadback: 'scrub',
+  callbackTime: 'scrub',
+  requestedTime: 'scrub',
+  // Error messages, which can repeat a provider's request or response
+  error: 'scrub'
+};
+
+const MONTH_NAMES = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DIGIT_WORDS = 'zero|oh|one|two|three|four|five|six|seven|eight|nine';
+const NUMBER_WORDS = `${DIGIT_WORDS}|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|` +
+  'twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|hundred|thousand|' +
+  'first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|eleventh|twelfth|thirteenth|fourteenth|' +
+  'fifteenth|sixteenth|seventeenth|eighteenth|nineteenth|twentieth|thirtieth';
+const STREET_SUFFIXES = 'street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|court|ct|place|pl|way|' +
+  'terrace|ter|circle|cir|parkway|pkwy|highway|hwy|trail|trl';
+
+// Checked in order, so an email, a date or an address is replaced whole before its digits are
+const TEXT_DETECTORS = [
+  ['[EMAIL]', /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi],
+  ['[EMAIL]', /\b[a-z0-9._-]+(?:\s+(?:dot|underscore|dash)\s+[a-z0-9]+)*\s+at\s+[a-z0-9-]+(?:\s+dot\s+[a-z]+)+\b/gi],
+  ['[DATE]', /\b\d{4}-\d{1,2}-\d{1,2}\b/g],
+  ['[DATE]', /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g],
+  ['[DATE]', new RegExp(`\\b(?:${MONTH_NAMES})\\.?(?:[\\s,-]+(?:of\\s+)?(?:\\d+(?:st|nd|rd|th)?|${NUMBER_WORDS}))+\\b`, 'gi')],
+  // A house number and street, with whatever follows in the same sentence (unit, city, state, ZIP)
+  ['[ADDRESS]', new RegExp(`\\b\\d+\\s+(?:[a-z]+\\.?\\s+){0,3}(?:${STREET_SUFFIXES})\\b\\.?[^.?!]*`, 'gi')],
+  ['[DIGITS]', /\d(?:[\d,.\s-]*\d)?/g],
+  ['[DIGITS]', new RegExp(`\\b(?:${DIGIT_WORDS})(?:[\\s,-]+(?:${DIGIT_WORDS}))+\\b`, 'gi')],
+  // Spelled out letter by letter, as emails are read back ("j o h n   d o t ...")
+  ['[SPELLED]', /\b[a-z](?:\s{1,3}[a-z0-9]\b){3,}/gi]
+];
+
+/**
+ * Replaces digits, dates, addresses, email addresses and known names in free text
+ * @param {string} text - Utterance, prompt or other free text
+ * @param {string[]} names - Names to replace wherever they appear, word by word
+ * @returns {string} - Text with each detected value replaced by a placeholder
+ */
+export function scrubText(text, names = []) {
+  if (typeof text !== 'string') return text;
+  const scrubbed = TEXT_DETECTORS.reduce((result, [placeholder, pattern]) => result.replace(pattern, placeholder), text);
+  const words = names.flatMap(name => String(name || '').match(/[a-z][a-z'-]+/gi) || []);
+  if (words.length === 0) return scrubbed;
+  const escaped = words.map(word => word.replace(/[-']/g, '\\$&'));
+  return scrubbed.replace(new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi'), '[NAME]');
+}
+
+/**
+ * Masks a value, keeping its shape: the first character of each longer word
+ * of a string, the domain of an email, nothing of a number
+ * @param {any} value - Value to mask (objects and arrays are masked leaf by leaf)
+ * @returns {any} - Masked value
+ */
+export function maskValue(value) {
+  if (value === null || value === undefined || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return '*'.repeat(String(value).length);
+  if (Array.isArray(value)) return value.map(maskValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskValue(item)]));
+  }
+
+  const text = String(value);
+  const at = text.indexOf('@');
+  if (at > 0) {
+    return `${text[0]}***${text.slice(at)}`;
+  }
+  // A one-character word would be kept whole, and spelled-out values are nothing but those
+  return text.replace(/([a-z0-9])([a-z0-9]*)/gi, (match, first, rest) => (rest ? first : '*') + '*'.repeat(rest.length));
+}
+
+/**
+ * Parses a policy override such as "email:keep,dob:drop"
+ * @param {string} spec - Comma-separated field:action pairs
+ * @returns {object} - Policy entries keyed by field
+ */
+export function parseRedactionPolicy(spec) {
+  const policy = {};
+  for (const entry of String(spec || '').split(',')) {
+    const [field, action] = entry.split(':').map(part => part?.trim());
+    if (field && action) {
+      policy[field] = action;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Applies a redaction policy to log entries
+ */
+export class Redactor {
+  /**
+   * @param {object} options - Redaction options
+   * @param {boolean} options.enabled - Whether to redact at all (default: true unless LOG_REDACTION=off)
+   * @param {object} options.policy - Actions by field name, merged over DEFAULT_REDACTION_POLICY and LOG_REDACTION_POLICY
+   * @param {string} options.salt - Salt for hashed fields (default: LOG_REDACTION_SALT, or random per process)
+   * @param {string[]} options.names - Names scrubbed from free text, such as the applicant's, which no pattern can spot
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LOG_REDACTION !== 'off';
+    this.policy = {
+      ...DEFAULT_REDACTION_POLICY,
+      ...parseRedactionPolicy(process.env.LOG_REDACTION_POLICY),
+      ...(options.policy || {})
+    };
+    // Without a configured salt hashes only match within one process
+    this.salt = options.salt || process.env.LOG_REDACTION_SALT || crypto.randomBytes(16).toString('hex');
+    this.names = options.names || [];
+
+    for (const [field, action] of Object.entries(this.policy)) {
+      if (!REDACTION_ACTIONS.includes(action)) {
+        throw new Error(`Unknown redaction action for ${field}: ${action}`);
+      }
+    }
+  }
+
+  /**
+   * Hashes a value with the salt
+   * @param {any} value - Value to hash
+   * @returns {string} - "sha256:" and the first 16 hex characters of the salted hash
+   */
+  hash(value) {
+    const digest = crypto.createHmac('sha256', this.salt).update(JSON.stringify(value)).digest('hex');
+    return `sha256:${digest.slice(0, 16)}`;
+  }
+
+  /**
+   * Redacts a value by the policy for the field it is stored under
+   * @param {string} field - Field name
+   * @param {any} value - Field value
+   * @returns {any} - Redacted value, or undefined if the field is dropped
+   */
+  redactField(field, value) {
+    if (!this.enabled) return value;
+
+    switch (this.policy[field] || 'keep') {
+      case 'drop':
+        return undefined;
+      case 'mask':
+        return maskValue(value);
+      case 'hash':
+        return value === null || value === undefined || typeof value === 'boolean' ? value : this.hash(value);
+      case 'scrub':
+        return typeof value === 'string' ? scrubText(value, this.names) : this.redact(value);
+      default:
+        return this.redact(value);
+    }
+  }
+
+  /**
+   * Redacts every field of a value, at any depth
+   * @param {any} value - Log entry or part of one
+   * @returns {any} - Redacted copy; the value passed in is not changed
+   */
+  redact(value) {
+    if (!this.enabled || value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value;
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+
+    const redacted = {};
+    for (const [field, item] of Object.entries(value)) {
+      const result = this.redactField(field, item);
+      if (result !== undefined) {
+        redacted[field] = result;
+      }
+    }
+    return redacted;
+  }
+}
+
+export default Redactor;
@@ -0,0 +1,350 @@
+/**
+ * Speech Normalizer
+ * Rewrites speech-to-text transcripts into canonical text before extraction:
+ * spoken digits and years, ordinals in dates, "double seven", letter-by-letter
+ * and NATO spelling, and spoken email addresses
+ */
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+// "oh" and "o" are only zeros next to other numbers ("nineteen oh five")
+const SPOKEN_ZEROS = ['oh', 'o'];
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = { hundred: 100, thousand: 1000 };
+const REPEATS = { double: 2, triple: 3 };
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8,
+  ninth: 9, tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14,
+  fifteenth: 15, sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19,
+  twentieth: 20, thirtieth: 30
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'
+];
+
+const NATO = {
+  alpha: 'a', alfa: 'a', bravo: 'b', charlie: 'c', delta: 'd', echo: 'e', foxtrot: 'f',
+  golf: 'g', hotel: 'h', india: 'i', juliet: 'j', juliett: 'j', kilo: 'k', lima: 'l',
+  mike: 'm', november: 'n', oscar: 'o', papa: 'p', quebec: 'q', romeo: 'r', sierra: 's',
+  tango: 't', uniform: 'u', victor: 'v', whiskey: 'w', xray: 'x', 'x-ray': 'x',
+  yankee: 'y', zulu: 'z'
+};
+
+// Words that end the local part of a spoken email ("my email is ...")
+const EMAIL_LEAD_INS = ['is', "it's", 'its', 'email', 'address', 'was', 'my', 'the', 'it', 'yes', 'yeah', 'sure', 'and', 'use'];
+const EMAIL_SYMBOLS = { dot: '.', period: '.', underscore: '_', dash: '-', hyphen: '-' };
+
+/**
+ * Splits a token into its word and trailing punctuation
+ * @param {string} token - Whitespace-delimited token
+ * @returns {{word: string, punctuation: string}} - Lowercased word and punctuation
+ */
+function splitToken(token) {
+  const match = token.match(/^(.*?)([.,!?;:]*)$/);
+  return { word: match[1].toLowerCase(), punctuation: match[2] };
+}
+
+/**
+ * Whether a word is a number word or a numeral
+ * @param {string} word - Lowercased word
+ * @returns {boolean} - Whether the word is numeric
+ */
+function isNumberWord(word) {
+  return word in UNITS || word in TEENS || word in TENS || word in SCALES || word in REPEATS || /^\d+$/.test(word);
+}
+
+/**
+ * Adds the ordinal suffix to a number (1 -> 1st, 22 -> 22nd)
+ * @param {number} value - Number
+ * @returns {string} - Number with suffix
+ */
+function withOrdinalSuffix(value) {
+  const lastTwo = value % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${value}th`;
+  return `${value}${{ 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th'}`;
+}
+
+/**
+ * Reads a run containing "hundred" or "thousand" as one cardinal number
+ * @param {string[]} words - Number words
+ * @returns {string} - Number
+ */
+function readCardinal(words) {
+  let total = 0;
+  let current = 0;
+  for (const word of words) {
+    if (word in SCALES) {
+      current = (current || 1) * SCALES[word];
+      if (SCALES[word] === 1000) {
+        total += current;
+        current = 0;
+      }
+    } else if (word !== 'and') {
+      current += UNITS[word] ?? TEENS[word] ?? TENS[word] ?? parseInt(word);
+    }
+  }
+  return String(total + current);
+}
+
+/**
+ * Reads a run of number words as digit strings, two-digit numbers and spoken years
+ * ("seven two three four" -> "7234", "oh three fifteen nineteen eighty five" -> "03 15 1985")
+ * @param {string[]} words - Number words
+ * @returns {string} - Canonical numbers, space separated
+ */
+function readNumberRun(words) {
+  if (words.some(word => word in SCALES)) {
+    return readCardinal(words);
+  }
+
+  // Group into single digits and two-digit numbers
+  const chunks = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const next = words[i + 1];
+    if (word in REPEATS && next !== undefined && (next in UNITS || SPOKEN_ZEROS.includes(next))) {
+      chunks.push({ kind: 'digits', text: String(UNITS[next] ?? 0).repeat(REPEATS[word]) });
+      i++;
+    } else if (word in TENS) {
+      const unit = next !== undefined && UNITS[next] > 0 ? UNITS[next] : 0;
+      chunks.push({ kind: 'pair', value: TENS[word] + unit });
+      if (unit) i++;
+    } else if (word in TEENS) {
+      chunks.push({ kind: 'pair', value: TEENS[word] });
+    } else if (word in UNITS || SPOKEN_ZEROS.includes(word)) {
+      chunks.push({ kind: 'digits', text: String(UNITS[word] ?? 0), zero: !(word in UNITS) || UNITS[word] === 0 });
+    } else {
+      chunks.push({ kind: word.length === 1 ? 'digits' : 'number', text: word });
+    }
+  }
+
+  // Spoken years: "nineteen eighty five", "twenty twenty one", "nineteen oh five"
+  const merged = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const next = chunks[i + 1];
+    const isCentury = chunk.kind === 'pair' && (chunk.value === 19 || chunk.value === 20);
+    if (isCentury && next?.kind === 'pair' && next.value >= 10) {
+      merged.push({ kind: 'number', text: `${chunk.value}${next.value}` });
+      i++;
+    } else if (isCentury && next?.zero && chunks[i + 2]?.kind === 'digits' && chunks[i + 2].text.length === 1) {
+      merged.push({ kind: 'number', text: `${chunk.value}0${chunks[i + 2].text}` });
+      i += 2;
+    } else {
+      merged.push(chunk);
+    }
+  }
+
+  // Consecutive single digits are one digit string ("seven two three four")
+  const output = [];
+  for (const chunk of merged) {
+    const text = chunk.kind === 'pair' ? String(chunk.value) : chunk.text;
+    if (chunk.kind === 'digits' && output.length > 0 && output[output.length - 1].kind === 'digits') {
+      output[output.length - 1].text += text;
+    } else {
+      output.push({ kind: chunk.kind, text });
+    }
+  }
+  return output.map(chunk => chunk.text).join(' ');
+}
+
+/**
+ * Rewrites spoken numbers, spoken years and date ordinals as digits
+ * @param {string[]} tokens - Transcript tokens
+ * @returns {string[]} - Tokens with numbers normalized
+ */
+function normalizeNumbers(tokens) {
+  const parts = tokens.map(splitToken);
+  const result = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    const { word } = parts[i];
+    const previous = parts[i - 1]?.word;
+
+    // Ordinals only in dates ("March fifteenth", "the twenty first of June") so
+    // phrases like "give me a second" are left alone
+    const ordinalWord = word in TENS && parts[i + 1]?.word in ORDINALS && ORDINALS[parts[i + 1].word] < 10
+      ? parts[i + 1].word
+      : word;
+    if (ordinalWord in ORDINALS || (ordinalWord !== word)) {
+      const followsDateWord = MONTHS.includes(previous) || previous === 'the';
+      const span = ordinalWord !== word ? 2 : 1;
+      const beforeOf = parts[i + span]?.word === 'of';
+      if (followsDateWord || beforeOf) {
+        const value = (ordinalWord !== word ? TENS[word] : 0) + ORDINALS[ordinalWord];
+        result.push(withOrdinalSuffix(value) + parts[i + span - 1].punctuation);
+        i += span - 1;
+        continue;
+      }
+    }
+
+    const startsRun = isNumberWord(word) ||
+      (SPOKEN_ZEROS.includes(word) && isNumberWord(parts[i + 1]?.word || '') && !parts[i].punctuation);
+    if (!startsRun || (/^\d+$/.test(word) && !isNumberWord(parts[i + 1]?.word || ''))) {
+      result.push(tokens[i]);
+      continue;
+    }
+
+    // Collect the run; punctuation ends it ("four, five" stays two answers)
+    const run = [];
+    let j = i;
+    while (j < parts.length) {
+      const current = parts[j].word;
+      const numeric = isNumberWord(current) || SPOKEN_ZEROS.includes(current) ||
+        (current === 'and' && run.some(word => word in SCALES) && isNumberWord(parts[j + 1]?.word || ''));
+      if (!numeric) break;
+      run.push(current);
+      if (parts[j].punctuation) {
+        j++;
+        break;
+      }
+      j++;
+    }
+
+    // A trailing "oh" is a word, not a zero
+    while (run.length > 1 && SPOKEN_ZEROS.includes(run[run.length - 1]) && !parts[j - 1].punctuation) {
+      run.pop();
+      j--;
+    }
+
+    result.push(readNumberRun(run) + parts[j - 1].punctuation);
+    i = j - 1;
+  }
+
+  return result;
+}
+
+/**
+ * Joins letter-by-letter and NATO spelling ("j o h n", "m as in Mary", "mike tango")
+ * @param {string[]} tokens - Transcript tokens
+ * @returns {string[]} - Tokens with spelled words joined
+ */
+function normalizeSpelling(tokens) {
+  // "m as in Mary" -> "m"
+  const collapsed = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const { word } = splitToken(tokens[i]);
+    const isLetter = /^[a-z]$/.test(word);
+    if (isLetter && /^(as|like)$/i.test(tokens[i + 1] || '') && /^in$/i.test(tokens[i + 2] || '') && tokens[i + 3]) {
+      collapsed.push(tokens[i].replace(/[.,!?;:]+$/, '') + splitToken(tokens[i + 3]).punctuation);
+      i += 3;
+    } else {
+      collapsed.push(tokens[i]);
+    }
+  }
+
+  const letterOf = (token) => {
+    const { word } = splitToken(token);
+    if (/^[a-z]$/.test(word)) return token.replace(/[.,!?;:]+$/, '');
+    return NATO[word] || null;
+  };
+
+  const result = [];
+  for (let i = 0; i < collapsed.length; i++) {
+    // "80 k" is an amount in thousands, not the start of a spelled word
+    const { word, punctuation } = splitToken(collapsed[i]);
+    if (word === 'k' && /^\d[\d,.]*$/.test(result[result.length - 1] || '')) {
+      result[result.length - 1] += `k${punctuation}`;
+      continue;
+    }
+
+    const run = [];
+    let j = i;
+    while (j < collapsed.length && letterOf(collapsed[j]) !== null) {
+      run.push(collapsed[j]);
+      j++;
+      // Commas between spelled letters are pauses, not separators
+      if (/[.!?;:]$/.test(collapsed[j - 1])) break;
+    }
+
+    // A bare "a" with more words after it is the article ("... k a year")
+    if (run.length > 1 && /^a$/i.test(run[run.length - 1]) && j < collapsed.length) {
+      run.pop();
+      j--;
+    }
+
+    const letters = run.map(letterOf);
+    const natoOnlyOnce = run.length === 1;
+    const articlesOnly = letters.every(letter => /^[ai]$/i.test(letter));
+    if (natoOnlyOnce || run.length === 0 || articlesOnly) {
+      result.push(collapsed[i]);
+      continue;
+    }
+
+    result.push(letters.join('') + splitToken(run[run.length - 1]).punctuation.replace(',', ''));
+    i = j - 1;
+  }
+
+  return result;
+}
+
+/**
+ * Rewrites a spoken email address ("m thompson dot denver at gmail dot com")
+ * @param {string[]} tokens - Transcript tokens
+ * @returns {string[]} - Tokens with the email address joined
+ */
+function normalizeEmail(tokens) {
+  const words = tokens.map(token => splitToken(token).word);
+  const at = words.indexOf('at');
+  if (at < 1 || tokens.some(token => token.includes('@'))) return tokens;
+
+  // Domain: word (dot word)+ after "at"
+  let end = at + 1;
+  const domain = [];
+  while (end < words.length && /^[a-z0-9-]+$/.test(words[end])) {
+    domain.push(words[end]);
+    if (words[end + 1] !== 'dot' || !words[end + 2]) {
+      end++;
+      break;
+    }
+    domain.push('.');
+    end += 2;
+  }
+  if (!domain.includes('.') || !/^[a-z]{2,6}$/.test(domain[domain.length - 1])) return tokens;
+
+  // Local part: back to the lead-in, at most eight words
+  let start = at;
+  while (start > 0 && at - start < 8 && !EMAIL_LEAD_INS.includes(words[start - 1]) &&
+    /^[a-z0-9._-]+$/.test(words[start - 1])) {
+    start--;
+  }
+  if (start === at) return tokens;
+
+  const local = words.slice(start, at).map(word => EMAIL_SYMBOLS[word] ?? word).join('');
+  const email = `${local}@${domain.join('')}` + splitToken(tokens[end - 1]).punctuation.replace(/[.,]$/, '');
+  return [...tokens.slice(0, start), email, ...tokens.slice(end)];
+}
+
+/**
+ * Normalizes a speech-to-text transcript into canonical text for extraction
+ * @param {string} text - Raw transcript
+ * @returns {string} - Normalized transcript
+ */
+export function normalizeTranscript(text) {
+  if (!text) return text;
+
+  // "twenty-one" and "x-ray" are one spoken unit each
+  const prepared = String(text)
+    .replace(/\b(twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)-(\w+)/gi, '$1 $2')
+    .trim();
+  if (prepared === '') return prepared;
+
+  let tokens = prepared.split(/\s+/);
+  tokens = normalizeNumbers(tokens);
+  tokens = normalizeSpelling(tokens);
+  tokens = normalizeEmail(tokens);
+
+  return tokens.join(' ');
+}
+
+export default normalizeTranscript;
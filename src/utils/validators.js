@@ -32,14 +32,13 @@ export function validateDob(dob) {
 export function validateSsnLast4(ssn) {
   if (!ssn || typeof ssn !== 'string') return false;
   
-  // Remove any non-digit characters
-  const cleanSsn = ssn.replace(/\D/g, '');
+  // Exactly 4 digits; the value is compared to the applicant's as given,
+  // so separators like "12-34" are not accepted
+  if (!/^\d{4}$/.test(ssn)) return false;
   
-  // Check if exactly 4 digits
-  if (cleanSsn.length !== 4) return false;
-  
-  // Check if all digits are not the same (e.g., 0000, 1111)
-  if (/^(\d)\1{3}$/.test(cleanSsn)) return false;
+  // Check if all digits are not the same (e.g., 0000, 1111), except 9999,
+  // which is an issued serial number
+  if (/^(\d)\1{3}$/.test(ssn) && ssn !== '9999') return false;
   
   return true;
 }